@@ -0,0 +1,128 @@
+// Offline support: caches the app shell, keeps the last copy of each USGS feed and serves
+// basemap tiles pre-downloaded by the page (src/lib/offlineTiles.js).
+const SHELL_CACHE = 'shell-v1'
+const FEED_CACHE = 'feeds-v1'
+// must match TILE_CACHE in src/lib/offlineTiles.js
+const TILE_CACHE = 'tiles-v1'
+const KEEP = [SHELL_CACHE, FEED_CACHE, TILE_CACHE]
+
+// header carrying the time a cached feed was fetched; read by api/earthquakes fetchJson
+const FETCHED_HEADER = 'X-Fetched-At'
+const STALE_HEADER = 'X-Stale-Since'
+
+const TILE_HOSTS = ['tile.openstreetmap.org', 'tile.opentopomap.org', 'server.arcgisonline.com']
+
+// written by the build (see vite.config.js): URLs of the hashed bundles, CSS and worker
+const PRECACHE_MANIFEST = '/precache-manifest.json'
+
+// The shell plus every built file. On a first visit the bundles load before this worker
+// controls the page, so they are never seen by the fetch handler and must be precached.
+async function shellUrls() {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST, { cache: 'no-cache' })
+    if (response.ok) return ['/', ...(await response.json())]
+  } catch (e) {
+    // no manifest (dev server) or offline: the shell alone
+  }
+  return ['/']
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), shellUrls()])
+      .then(([cache, urls]) => cache.addAll(urls))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !KEEP.includes(k)).map(k => caches.delete(k))))
+      .then(pruneShell)
+      .then(() => self.clients.claim())
+  )
+})
+
+// hashed files of earlier builds are never requested again
+async function pruneShell() {
+  const urls = await shellUrls()
+  if (urls.length < 2) return
+  const current = new Set(urls.map(url => new URL(url, self.location.origin).href))
+  const cache = await caches.open(SHELL_CACHE)
+  const requests = await cache.keys()
+  const stale = requests.filter(r => new URL(r.url).pathname.startsWith('/assets/') && !current.has(r.url))
+  await Promise.all(stale.map(r => cache.delete(r)))
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstShell(request))
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request, event))
+  } else if (url.hostname === 'earthquake.usgs.gov' && url.pathname.startsWith('/earthquakes/feed/')) {
+    event.respondWith(networkFirstFeed(request))
+  } else if (TILE_HOSTS.some(host => url.hostname.endsWith(host))) {
+    event.respondWith(cachedTile(request))
+  }
+})
+
+// Navigations: always try for a fresh index.html, fall back to the cached shell
+async function networkFirstShell(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put('/', response.clone())
+    return response
+  } catch (e) {
+    const cached = await cache.match('/')
+    if (cached) return cached
+    throw e
+  }
+}
+
+// Hashed build assets: answer from cache immediately and refresh in the background
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  })
+  if (cached) {
+    event.waitUntil(network.catch(() => {}))
+    return cached
+  }
+  return network
+}
+
+// USGS feeds: fresh when online; offline, the last copy marked with when it was fetched
+async function networkFirstFeed(request) {
+  const cache = await caches.open(FEED_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const body = await response.clone().blob()
+      const headers = new Headers(response.headers)
+      headers.set(FETCHED_HEADER, String(Date.now()))
+      cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }))
+    }
+    return response
+  } catch (e) {
+    const cached = await cache.match(request)
+    if (!cached) throw e
+    const headers = new Headers(cached.headers)
+    headers.set(STALE_HEADER, cached.headers.get(FETCHED_HEADER) || '')
+    return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers })
+  }
+}
+
+// Tiles: pre-downloaded copies first; tiles browsed online are not stored
+async function cachedTile(request) {
+  const cached = await caches.match(request.url, { cacheName: TILE_CACHE })
+  return cached || fetch(request)
+}
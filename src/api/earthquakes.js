@@ -1,5 +1,5 @@
 // Minimal USGS earthquake API helper
-// Exports: getEarthquakes({ range: '24h'|'7d'|'30d', minMagnitude?: number }) -> Promise<{features: Array}> 
+// Exports: getEarthquakes({ range: '24h'|'7d'|'30d', minMagnitude?: number, force?: boolean, onRevalidate?: fn }) -> Promise<{features: Array}> 
 
 const RANGE_TO_FEED = {
   '24h': 'all_day', // ~24 hours
@@ -7,10 +7,15 @@ const RANGE_TO_FEED = {
   '30d': 'all_month' // ~30 days
 }
 
-import cache from '../lib/cache'
+import { cacheNamespace } from '../lib/cache'
+import { NORMALIZED_VERSION } from './normalize'
+import { getDataEngine } from '../lib/dataEngine'
 
-// Keep an in-memory cache as well for fastest hits within the session
-const _cache = new Map() // key -> { ts, features }
+// the normalized shape lives in ./normalize so the data worker can use it without the fetch/cache code
+export { NORMALIZED_VERSION, normalizeFeature } from './normalize'
+
+// memory + IndexedDB tiers, LRU-bounded (see lib/cache)
+const feedCache = cacheNamespace('feed')
 const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
 
 function buildFeedUrl(range) {
@@ -18,7 +23,25 @@ function buildFeedUrl(range) {
   return `https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/${feed}.geojson`
 }
 
-async function fetchJson(url, timeout = 15000, externalSignal) {
+// Response header set by the service worker (public/sw.js) when it answers from its cache
+const STALE_HEADER = 'X-Stale-Since'
+
+// Origins whose CORS setup rejected a conditional request; those are then fetched plainly
+const _noConditional = new Set()
+
+function conditionalHeaders(url, validators) {
+  if (!validators || _noConditional.has(new URL(url).origin)) return null
+  const headers = {}
+  if (validators.etag) headers['If-None-Match'] = validators.etag
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified
+  return Object.keys(headers).length ? headers : null
+}
+
+// meta (optional): pass { validators: { etag, lastModified } } to make a conditional request.
+// It receives { etag, lastModified } from the response, { notModified: true } on a 304 (the
+// result is then null) and { staleSince } when the service worker answered with an offline copy.
+// With { responseType: 'text' } the body is returned unparsed.
+export async function fetchJson(url, timeout = 15000, externalSignal, meta) {
   // Create a controller that will be aborted either by timeout or by externalSignal
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort(), timeout)
@@ -34,13 +57,34 @@ async function fetchJson(url, timeout = 15000, externalSignal) {
   }
 
   try {
-    const res = await fetch(url, { signal: controller.signal })
+    const headers = meta && conditionalHeaders(url, meta.validators)
+    let res
+    try {
+      res = await fetch(url, headers ? { signal: controller.signal, headers } : { signal: controller.signal })
+    } catch (err) {
+      // conditional headers need a CORS preflight; retry once without them if it was refused
+      if (!headers || controller.signal.aborted) throw err
+      _noConditional.add(new URL(url).origin)
+      res = await fetch(url, { signal: controller.signal })
+    }
     clearTimeout(timeoutId)
     if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort)
+    if (res.status === 304 && meta) {
+      meta.notModified = true
+      return null
+    }
     if (!res.ok) {
       throw new Error(`HTTP ${res.status}: ${res.statusText}`)
     }
-    return await res.json()
+    if (meta) {
+      const staleSince = res.headers.get(STALE_HEADER)
+      if (staleSince) meta.staleSince = Number(staleSince) || null
+      meta.etag = res.headers.get('ETag')
+      meta.lastModified = res.headers.get('Last-Modified')
+    }
+    // FDSN services answer an empty result with 204 No Content
+    if (res.status === 204) return null
+    return meta && meta.responseType === 'text' ? await res.text() : await res.json()
   } catch (err) {
     clearTimeout(timeoutId)
     if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort)
@@ -48,81 +92,100 @@ async function fetchJson(url, timeout = 15000, externalSignal) {
   }
 }
 
-function normalizeFeature(feature) {
-  // feature is the GeoJSON Feature from USGS
-  const { id, properties = {}, geometry = {} } = feature || {}
-  const { mag, place, time, url, detail } = properties
-  const coords = (geometry.coordinates && [...geometry.coordinates]) || [0, 0, 0]
-  const [lon, lat, depth] = coords
-  return {
-    id,
-    magnitude: mag,
-    place,
-    time,
-    url,
-    detail,
-    depth,
-    coords: { lat, lon }
-  }
+// Key of a feed in the `feed` cache namespace, e.g. `all_day|min:2.5|v2`
+export function feedCacheKey(range, minMagnitude = 0) {
+  return `${RANGE_TO_FEED[range] || RANGE_TO_FEED['24h']}|min:${minMagnitude}|v${NORMALIZED_VERSION}`
 }
 
-export async function getEarthquakes({ range = '24h', minMagnitude = 0, maxResults = 500, signal } = {}) {
-  const url = buildFeedUrl(range)
-  const cacheKey = `${url}|min:${minMagnitude}`
-  const now = Date.now()
-  // check in-memory cache first
-  const cached = _cache.get(cacheKey)
-  if (cached && (now - cached.ts) < CACHE_TTL) {
-    const capped = typeof maxResults === 'number' ? cached.features.slice(0, maxResults) : cached.features
-    return { ok: true, count: capped.length, features: capped, fromCache: true }
-  }
+// Inverse of feedCacheKey: { range, feed, minMagnitude, version }, or null for other keys
+export function parseFeedCacheKey(key) {
+  const match = /^([a-z_]+)\|min:([^|]+)\|v(\d+)$/.exec(key || '')
+  if (!match) return null
+  const range = Object.keys(RANGE_TO_FEED).find(r => RANGE_TO_FEED[r] === match[1]) || null
+  return { range, feed: match[1], minMagnitude: Number(match[2]), version: Number(match[3]) }
+}
 
-  // then check persistent cache (IndexedDB via localforage)
-  try {
-    const persistent = await cache.getCache(cacheKey)
-    if (persistent && Array.isArray(persistent)) {
-      // warm the in-memory cache
-      _cache.set(cacheKey, { ts: Date.now(), features: persistent })
-      const capped = typeof maxResults === 'number' ? persistent.slice(0, maxResults) : persistent
-      return { ok: true, count: capped.length, features: capped, fromCache: true }
-    }
-  } catch (e) {
-    // ignore persistent cache failures
-  }
-  try {
-    const json = await fetchJson(url, 15000, signal)
-    const features = (json && json.features) || []
-    const normalized = features
-      .map(normalizeFeature)
-      .filter(f => (f.magnitude || 0) >= (minMagnitude || 0))
-      // sort by magnitude desc so we show the largest quakes first when we cap
-      .sort((a, b) => (b.magnitude || 0) - (a.magnitude || 0))
-    // store full normalized list in cache (uncapped)
+// Listeners notified with the full (uncapped) list whenever getEarthquakes loads data from the
+// network or the persistent cache tier. Memory-tier hits are repeats within the session and are skipped.
+const _listeners = new Set()
+
+export function subscribeEarthquakes(listener) {
+  _listeners.add(listener)
+  return () => _listeners.delete(listener)
+}
+
+function emitEarthquakes(features, meta) {
+  _listeners.forEach(listener => {
     try {
-      _cache.set(cacheKey, { ts: Date.now(), features: normalized })
-      // persist to IndexedDB with TTL
-      cache.setCache(cacheKey, normalized, CACHE_TTL).catch(() => {})
-
-      // keep cache size reasonable
-      if (_cache.size > 50) {
-        // drop oldest
-        let oldestKey = null
-        let oldestTs = Infinity
-        for (const [k, v] of _cache.entries()) {
-          if (v.ts < oldestTs) { oldestTs = v.ts; oldestKey = k }
-        }
-        if (oldestKey) _cache.delete(oldestKey)
-      }
+      Promise.resolve(listener(features, meta)).catch(() => {})
     } catch (e) {
-      // ignore cache set failures
+      // a failing subscriber must not break the fetch
     }
+  })
+}
 
-    const capped = typeof maxResults === 'number' ? normalized.slice(0, maxResults) : normalized
-    return { ok: true, count: capped.length, features: capped }
+function feedFetcher(range, minMagnitude, signal) {
+  return async previous => {
+    const meta = { validators: previous, responseType: 'text' }
+    const text = await fetchJson(buildFeedUrl(range), 15000, signal, meta)
+    if (meta.notModified) return { notModified: true }
+    // JSON parsing, normalizing and sorting run in the data worker
+    const normalized = await getDataEngine().parseFeed(text, { minMagnitude })
+    // offline: the service worker answered with its last copy; don't store it as fresh
+    if (meta.staleSince) return { value: normalized, store: false, staleSince: meta.staleSince }
+    return { value: normalized, etag: meta.etag, lastModified: meta.lastModified }
+  }
+}
+
+// Network refresh (conditional when validators are cached) -> { features, stale?, staleSince?, notModified? } | { error }
+async function refreshFeed({ range, minMagnitude, signal }) {
+  const key = feedCacheKey(range, minMagnitude)
+  try {
+    const result = await feedCache.revalidate(key, feedFetcher(range, minMagnitude, signal), { ttl: CACHE_TTL })
+    if (result.staleSince) return { features: result.value, stale: true, staleSince: result.staleSince }
+    if (!result.notModified) emitEarthquakes(result.value, { range, minMagnitude, fromCache: false })
+    return { features: result.value, notModified: !!result.notModified }
   } catch (error) {
     // If the fetch was aborted, propagate a recognizable error
-    return { ok: false, error: error && error.name === 'AbortError' ? 'aborted' : (error.message || String(error)) }
+    if (error && error.name === 'AbortError' && signal && signal.aborted) return { error: 'aborted' }
+    // network failure (or timeout): fall back to the last stored copy, however old
+    const entry = await feedCache.getEntry(key, { count: false })
+    if (entry && Array.isArray(entry.value)) return { features: entry.value, stale: true, staleSince: entry.ts }
+    return { error: error && error.name === 'AbortError' ? 'aborted' : (error.message || String(error)) }
+  }
+}
+
+function toResult(refreshed, maxResults) {
+  if (refreshed.error) return { ok: false, error: refreshed.error }
+  const { features, stale, staleSince, notModified } = refreshed
+  const capped = typeof maxResults === 'number' ? features.slice(0, maxResults) : features
+  const result = { ok: true, count: capped.length, features: capped }
+  if (notModified) result.fromCache = true
+  // staleSince: when the served copy was fetched from USGS (ms epoch)
+  if (stale) Object.assign(result, { fromCache: true, stale: true, staleSince })
+  return result
+}
+
+// force: skip the cache and hit the network (used by live mode); the result is still cached.
+// onRevalidate: opt into stale-while-revalidate. An expired entry is returned at once with
+// `revalidating: true` and onRevalidate(result) is called when the refresh finishes.
+export async function getEarthquakes({ range = '24h', minMagnitude = 0, maxResults = 500, signal, force = false, onRevalidate = null } = {}) {
+  if (!force) {
+    const entry = await feedCache.getEntry(feedCacheKey(range, minMagnitude))
+    if (entry && Array.isArray(entry.value)) {
+      const capped = typeof maxResults === 'number' ? entry.value.slice(0, maxResults) : entry.value
+      if (!entry.expired) {
+        // memory hits are repeats within the session
+        if (entry.tier === 'store') emitEarthquakes(entry.value, { range, minMagnitude, fromCache: true })
+        return { ok: true, count: capped.length, features: capped, fromCache: true }
+      }
+      if (onRevalidate) {
+        refreshFeed({ range, minMagnitude }).then(refreshed => onRevalidate(toResult(refreshed, maxResults)))
+        return { ok: true, count: capped.length, features: capped, fromCache: true, revalidating: true, cachedAt: entry.ts }
+      }
+    }
   }
+  return toResult(await refreshFeed({ range, minMagnitude, signal }), maxResults)
 }
 
-export default { getEarthquakes }
+export default { getEarthquakes, subscribeEarthquakes, feedCacheKey, parseFeedCacheKey }
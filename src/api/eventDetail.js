@@ -0,0 +1,155 @@
+// USGS event detail document helper
+// Exports: getEventDetail(id, { signal, onRevalidate }) -> Promise<{ ok, detail, fromCache, stale }>
+// `detail` is a compact summary of the products we display, not the raw (often very large) document.
+
+import { fetchJson } from './earthquakes'
+import { cacheNamespace } from '../lib/cache'
+
+// Detail documents change less often than the feeds but products keep arriving for a while after an event
+export const DETAIL_TTL = 30 * 60 * 1000 // 30 minutes
+const detailCache = cacheNamespace('detail')
+
+export function buildDetailUrl(id) {
+  return `https://earthquake.usgs.gov/earthquakes/feed/v1.0/detail/${encodeURIComponent(id)}.geojson`
+}
+
+function num(v) {
+  if (v === null || v === undefined || v === '') return null
+  const n = Number(v)
+  return isFinite(n) ? n : null
+}
+
+// Products come as arrays ordered by preference; the first one is the authoritative one
+function preferred(products, type) {
+  const list = products && products[type]
+  if (!Array.isArray(list) || !list.length) return null
+  return { ...list[0], properties: list[0].properties || {} }
+}
+
+function productFiles(product) {
+  const contents = (product && product.contents) || {}
+  return Object.keys(contents)
+    .filter(path => contents[path] && contents[path].url)
+    .map(path => ({
+      path,
+      url: contents[path].url,
+      contentType: contents[path].contentType || null,
+      length: num(contents[path].length)
+    }))
+}
+
+function nodalPlanes(p) {
+  const planes = []
+  ;[1, 2].forEach(n => {
+    const strike = num(p[`nodal-plane-${n}-strike`])
+    if (strike === null) return
+    planes.push({ strike, dip: num(p[`nodal-plane-${n}-dip`]), rake: num(p[`nodal-plane-${n}-rake`] ?? p[`nodal-plane-${n}-slip`]) })
+  })
+  return planes
+}
+
+export function summarizeDetail(json) {
+  const props = (json && json.properties) || {}
+  const products = props.products || {}
+
+  const origins = (products.origin || []).map(o => {
+    const p = o.properties || {}
+    return {
+      source: o.source,
+      status: p['review-status'] || o.status || null,
+      time: p.eventtime || null,
+      latitude: num(p.latitude),
+      longitude: num(p.longitude),
+      depth: num(p.depth),
+      magnitude: num(p.magnitude),
+      magType: p['magnitude-type'] || null,
+      azimuthalGap: num(p['azimuthal-gap']),
+      stations: num(p['num-stations-used']),
+      updateTime: o.updateTime || null
+    }
+  })
+
+  const mt = preferred(products, 'moment-tensor')
+  const momentTensor = mt ? {
+    source: mt.source,
+    derivedMagnitude: num(mt.properties['derived-magnitude']),
+    derivedMagnitudeType: mt.properties['derived-magnitude-type'] || null,
+    scalarMoment: num(mt.properties['scalar-moment']),
+    percentDoubleCouple: num(mt.properties['percent-double-couple']),
+    depth: num(mt.properties['derived-depth']),
+    nodalPlanes: nodalPlanes(mt.properties),
+    files: productFiles(mt)
+  } : null
+
+  const fm = preferred(products, 'focal-mechanism')
+  const focalMechanism = fm ? { source: fm.source, nodalPlanes: nodalPlanes(fm.properties), files: productFiles(fm) } : null
+
+  const sm = preferred(products, 'shakemap')
+  const shakemap = sm ? {
+    source: sm.source,
+    maxMmi: num(sm.properties.maxmmi),
+    maxPga: num(sm.properties.maxpga),
+    maxPgv: num(sm.properties.maxpgv),
+    status: sm.properties['map-status'] || null,
+    files: productFiles(sm)
+  } : null
+
+  const dy = preferred(products, 'dyfi')
+  const dyfi = dy ? {
+    source: dy.source,
+    maxMmi: num(dy.properties.maxmmi),
+    responses: num(dy.properties.numResp ?? dy.properties['num-responses']),
+    files: productFiles(dy)
+  } : null
+
+  const lp = preferred(products, 'losspager')
+  const pager = lp ? {
+    source: lp.source,
+    alertLevel: lp.properties.alertlevel || props.alert || null,
+    maxMmi: num(lp.properties.maxmmi),
+    files: productFiles(lp)
+  } : null
+
+  return {
+    id: json && json.id,
+    title: props.title || props.place || null,
+    place: props.place || null,
+    time: props.time || null,
+    magnitude: num(props.mag),
+    magType: props.magType || null,
+    status: props.status || null,
+    alert: props.alert || null,
+    tsunami: Number(props.tsunami) === 1,
+    url: props.url || null,
+    productTypes: Object.keys(products).sort(),
+    origins,
+    momentTensor,
+    focalMechanism,
+    shakemap,
+    dyfi,
+    pager
+  }
+}
+
+// An expired cached detail is returned immediately (stale: true) and refreshed in the
+// background; onRevalidate({ ok, detail }) receives the refreshed copy.
+export async function getEventDetail(id, { signal, onRevalidate = null } = {}) {
+  if (!id) return { ok: false, error: 'No event id' }
+  const fetcher = async previous => {
+    const meta = { validators: previous }
+    const json = await fetchJson(buildDetailUrl(id), 15000, signal, meta)
+    if (meta.notModified) return { notModified: true }
+    return { value: summarizeDetail(json), etag: meta.etag, lastModified: meta.lastModified, store: !meta.staleSince }
+  }
+  try {
+    const res = await detailCache.swr(id, fetcher, { ttl: DETAIL_TTL })
+    if (res.revalidating) {
+      res.revalidating.then(fresh => { if (onRevalidate) onRevalidate({ ok: true, detail: fresh.value }) }, () => {})
+    }
+    return { ok: true, detail: res.value, fromCache: res.fromCache, stale: !!res.stale }
+  } catch (error) {
+    return { ok: false, error: error && error.name === 'AbortError' ? 'aborted' : (error.message || String(error)) }
+  }
+}
+
+export default { getEventDetail, summarizeDetail, buildDetailUrl }
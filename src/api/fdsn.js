@@ -0,0 +1,111 @@
+// USGS FDSN event web service client for arbitrary date ranges and regions
+// Exports: queryEvents({ startTime, endTime, minMagnitude, ... }) -> Promise<{ ok, count, features }>
+// Features use the same normalized shape as getEarthquakes so MapView and Charts can consume either.
+
+import { fetchJson, normalizeFeature, NORMALIZED_VERSION } from './earthquakes'
+import { cacheNamespace } from '../lib/cache'
+
+export const FDSN_BASE_URL = 'https://earthquake.usgs.gov/fdsnws/event/1/query'
+// The USGS service rejects queries that would return more than 20000 events
+export const FDSN_MAX_LIMIT = 20000
+const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
+const queryCache = cacheNamespace('query')
+
+const ORDER_BY = ['time', 'time-asc', 'magnitude', 'magnitude-asc']
+
+function toIso(value) {
+  if (value === undefined || value === null || value === '') return undefined
+  const d = value instanceof Date ? value : new Date(value)
+  if (isNaN(d.getTime())) throw new Error(`Invalid date: ${value}`)
+  return d.toISOString()
+}
+
+function setParam(params, name, value) {
+  if (value === undefined || value === null || value === '') return
+  if (typeof value === 'number' && !isFinite(value)) return
+  params.set(name, String(value))
+}
+
+/**
+ * Build the FDSN query URL for one page of results
+ */
+export function buildQueryUrl({
+  startTime,
+  endTime,
+  minMagnitude,
+  maxMagnitude,
+  bounds = null, // { north, south, east, west }
+  radius = null, // { lat, lon, km }
+  minDepth,
+  maxDepth,
+  eventType,
+  orderBy = 'time',
+  limit,
+  offset,
+  baseUrl = FDSN_BASE_URL
+} = {}) {
+  if (bounds && radius) throw new Error('Use either bounds or radius, not both')
+  if (orderBy && !ORDER_BY.includes(orderBy)) throw new Error(`Unsupported orderBy: ${orderBy}`)
+
+  const params = new URLSearchParams()
+  params.set('format', 'geojson')
+  setParam(params, 'starttime', toIso(startTime))
+  setParam(params, 'endtime', toIso(endTime))
+  setParam(params, 'minmagnitude', minMagnitude)
+  setParam(params, 'maxmagnitude', maxMagnitude)
+  if (bounds) {
+    setParam(params, 'minlatitude', bounds.south)
+    setParam(params, 'maxlatitude', bounds.north)
+    setParam(params, 'minlongitude', bounds.west)
+    setParam(params, 'maxlongitude', bounds.east)
+  }
+  if (radius) {
+    setParam(params, 'latitude', radius.lat)
+    setParam(params, 'longitude', radius.lon)
+    setParam(params, 'maxradiuskm', radius.km)
+  }
+  setParam(params, 'mindepth', minDepth)
+  setParam(params, 'maxdepth', maxDepth)
+  setParam(params, 'eventtype', eventType)
+  setParam(params, 'orderby', orderBy)
+  setParam(params, 'limit', limit)
+  setParam(params, 'offset', offset)
+  return `${baseUrl}?${params.toString()}`
+}
+
+export async function queryEvents({ limit = 2000, pageSize = FDSN_MAX_LIMIT, signal, timeout = 30000, ...query } = {}) {
+  const total = typeof limit === 'number' ? limit : Infinity
+  const perPage = Math.max(1, Math.min(pageSize, FDSN_MAX_LIMIT, total))
+
+  try {
+    // building the key validates the query, so invalid input is reported like any other failure
+    const cacheKey = `${buildQueryUrl({ ...query, limit: isFinite(total) ? total : undefined })}|v${NORMALIZED_VERSION}`
+    // ignore persistent cache failures
+    const persistent = await queryCache.get(cacheKey).catch(() => null)
+    if (persistent && Array.isArray(persistent)) {
+      return { ok: true, count: persistent.length, features: persistent, fromCache: true }
+    }
+
+    const features = []
+    // FDSN offsets are 1-based; keep requesting pages until one comes back short
+    let offset = 1
+    let pages = 0
+    while (features.length < total) {
+      const pageLimit = Math.min(perPage, total - features.length)
+      const url = buildQueryUrl({ ...query, limit: pageLimit, offset })
+      const json = await fetchJson(url, timeout, signal)
+      const page = (json && json.features) || []
+      features.push(...page.map(normalizeFeature))
+      pages++
+      if (page.length < pageLimit) break
+      offset += page.length
+    }
+
+    queryCache.set(cacheKey, features, { ttl: CACHE_TTL }).catch(() => {})
+    return { ok: true, count: features.length, features, pages }
+  } catch (error) {
+    return { ok: false, error: error && error.name === 'AbortError' ? 'aborted' : (error.message || String(error)) }
+  }
+}
+
+export default { queryEvents, buildQueryUrl }
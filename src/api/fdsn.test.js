@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest'
+import http from 'node:http'
+import { buildQueryUrl, queryEvents, FDSN_BASE_URL } from './fdsn'
+
+function feature(i) {
+  return {
+    type: 'Feature',
+    id: `ev${i}`,
+    properties: { mag: 2 + (i % 30) / 10, place: `Place ${i}`, time: 1700000000000 - i * 60000, status: 'reviewed', type: 'earthquake' },
+    geometry: { type: 'Point', coordinates: [-120 + i / 100, 35, 10] }
+  }
+}
+
+// Local FDSN stand-in: serves CATALOG pages by limit/offset, 204 when nothing matches and
+// error statuses on request. Every request URL is recorded.
+const CATALOG = Array.from({ length: 25 }, (_, i) => feature(i + 1))
+let server
+let baseUrl
+let requests = []
+
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost')
+  requests.push(url)
+  const params = url.searchParams
+  if (url.pathname === '/error') {
+    res.writeHead(503, 'Service Unavailable')
+    res.end('down for maintenance')
+    return
+  }
+  if (url.pathname === '/badjson') {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end('{"type": "FeatureCollection", "features": [')
+    return
+  }
+  if (url.pathname === '/slow') {
+    setTimeout(() => { res.writeHead(200); res.end('{"features": []}') }, 500)
+    return
+  }
+  if (url.pathname === '/empty' || Number(params.get('minmagnitude')) >= 9) {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+  const offset = Number(params.get('offset') || 1)
+  const limit = Number(params.get('limit') || CATALOG.length)
+  const features = CATALOG.slice(offset - 1, offset - 1 + limit)
+  if (!features.length) {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify({ type: 'FeatureCollection', features }))
+}
+
+beforeAll(async () => {
+  server = http.createServer(handle)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/fdsnws/event/1/query`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  requests = []
+})
+
+// distinct query per test so the query cache never answers
+let run = 0
+const fresh = () => ({ baseUrl, startTime: Date.UTC(2020, 0, 1) + ++run * 1000 })
+
+describe('buildQueryUrl', () => {
+  it('maps options to FDSN parameters', () => {
+    const url = new URL(buildQueryUrl({
+      startTime: '2024-01-01T00:00:00Z',
+      endTime: new Date(Date.UTC(2024, 1, 1)),
+      minMagnitude: 4.5,
+      maxMagnitude: 7,
+      bounds: { north: 40, south: 30, east: -110, west: -125 },
+      minDepth: 0,
+      maxDepth: 70,
+      eventType: 'earthquake',
+      orderBy: 'magnitude',
+      limit: 500,
+      offset: 501
+    }))
+    expect(`${url.origin}${url.pathname}`).toBe(FDSN_BASE_URL)
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      format: 'geojson',
+      starttime: '2024-01-01T00:00:00.000Z',
+      endtime: '2024-02-01T00:00:00.000Z',
+      minmagnitude: '4.5',
+      maxmagnitude: '7',
+      minlatitude: '30',
+      maxlatitude: '40',
+      minlongitude: '-125',
+      maxlongitude: '-110',
+      mindepth: '0',
+      maxdepth: '70',
+      eventtype: 'earthquake',
+      orderby: 'magnitude',
+      limit: '500',
+      offset: '501'
+    })
+  })
+
+  it('uses radius parameters and skips empty values', () => {
+    const url = new URL(buildQueryUrl({ radius: { lat: 35.5, lon: -117, km: 100 }, minMagnitude: '', maxMagnitude: NaN, baseUrl: 'http://stub/query' }))
+    expect(url.host).toBe('stub')
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      format: 'geojson',
+      latitude: '35.5',
+      longitude: '-117',
+      maxradiuskm: '100',
+      orderby: 'time'
+    })
+  })
+
+  it('rejects conflicting or invalid options', () => {
+    expect(() => buildQueryUrl({ bounds: { north: 1, south: 0, east: 1, west: 0 }, radius: { lat: 0, lon: 0, km: 1 } })).toThrow(/either bounds or radius/)
+    expect(() => buildQueryUrl({ orderBy: 'depth' })).toThrow(/Unsupported orderBy/)
+    expect(() => buildQueryUrl({ startTime: 'not a date' })).toThrow(/Invalid date/)
+  })
+})
+
+describe('queryEvents against a stub server', () => {
+  it('pages with 1-based offsets until a short page', async () => {
+    const res = await queryEvents({ ...fresh(), limit: null, pageSize: 10 })
+    expect(res.ok).toBe(true)
+    expect(res.count).toBe(25)
+    expect(res.pages).toBe(3)
+    expect(requests.map(u => [u.searchParams.get('offset'), u.searchParams.get('limit')])).toEqual([['1', '10'], ['11', '10'], ['21', '10']])
+    expect(res.features.map(eq => eq.id)).toEqual(CATALOG.map(f => f.id))
+    // normalized like the feeds
+    expect(res.features[0]).toMatchObject({ id: 'ev1', magnitude: 2.1, coords: { lat: 35, lon: -119.99 }, depth: 10, status: 'reviewed' })
+  })
+
+  it('stops at the requested limit, shrinking the last page', async () => {
+    const res = await queryEvents({ ...fresh(), limit: 15, pageSize: 10 })
+    expect(res.count).toBe(15)
+    expect(requests.map(u => [u.searchParams.get('offset'), u.searchParams.get('limit')])).toEqual([['1', '10'], ['11', '5']])
+  })
+
+  it('stops when a full page is followed by 204 No Content', async () => {
+    const res = await queryEvents({ ...fresh(), limit: null, pageSize: 5 })
+    expect(res.ok).toBe(true)
+    expect(res.count).toBe(25)
+    // five full pages, then an empty 204 answer at offset 26
+    expect(requests).toHaveLength(6)
+    expect(requests[5].searchParams.get('offset')).toBe('26')
+  })
+
+  it('treats 204 No Content as an empty result', async () => {
+    const res = await queryEvents({ ...fresh(), minMagnitude: 9.5 })
+    expect(res).toMatchObject({ ok: true, count: 0, features: [], pages: 1 })
+  })
+
+  it('reports HTTP errors', async () => {
+    const res = await queryEvents({ ...fresh(), baseUrl: baseUrl.replace(/\/fdsnws.*/, '/error') })
+    expect(res.ok).toBe(false)
+    expect(res.error).toBe('HTTP 503: Service Unavailable')
+  })
+
+  it('reports malformed responses', async () => {
+    const res = await queryEvents({ ...fresh(), baseUrl: baseUrl.replace(/\/fdsnws.*/, '/badjson') })
+    expect(res.ok).toBe(false)
+    expect(res.error).toEqual(expect.any(String))
+  })
+
+  it('reports invalid options without sending a request', async () => {
+    expect(await queryEvents({ ...fresh(), orderBy: 'depth' })).toEqual({ ok: false, error: expect.stringMatching(/Unsupported orderBy/) })
+    expect(await queryEvents({ baseUrl, startTime: 'not a date' })).toEqual({ ok: false, error: expect.stringMatching(/Invalid date/) })
+    expect(requests).toHaveLength(0)
+  })
+
+  it('reports an aborted query', async () => {
+    const controller = new AbortController()
+    const pending = queryEvents({ ...fresh(), baseUrl: baseUrl.replace(/\/fdsnws.*/, '/slow'), signal: controller.signal })
+    setTimeout(() => controller.abort(), 20)
+    expect(await pending).toEqual({ ok: false, error: 'aborted' })
+  })
+})
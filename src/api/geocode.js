@@ -0,0 +1,23 @@
+// Place search (forward geocoding) via OpenStreetMap Nominatim
+// Exports: searchPlaces(query, { signal }) -> Promise<{ ok, places: [{ name, lat, lon }] }>
+
+import { fetchJson } from './earthquakes'
+
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search'
+
+export async function searchPlaces(query, { signal, limit = 5 } = {}) {
+  const q = String(query || '').trim()
+  if (!q) return { ok: true, places: [] }
+  const params = new URLSearchParams({ q, format: 'jsonv2', limit: String(limit) })
+  try {
+    const json = await fetchJson(`${NOMINATIM_URL}?${params}`, 10000, signal)
+    const places = (json || [])
+      .map(r => ({ name: r.display_name, lat: Number(r.lat), lon: Number(r.lon) }))
+      .filter(p => isFinite(p.lat) && isFinite(p.lon))
+    return { ok: true, places }
+  } catch (error) {
+    return { ok: false, places: [], error: error && error.name === 'AbortError' ? 'aborted' : (error.message || String(error)) }
+  }
+}
+
+export default { searchPlaces }
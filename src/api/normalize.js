@@ -0,0 +1,60 @@
+// Normalized event shape shared by the USGS feeds, FDSN queries, imported catalogs and the data worker
+
+// Bump when the normalized shape changes so persisted entries from older builds are not reused
+export const NORMALIZED_VERSION = 2
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null
+  const n = Number(v)
+  return isFinite(n) ? n : null
+}
+
+function toText(v) {
+  return v === null || v === undefined || v === '' ? null : String(v)
+}
+
+export function normalizeFeature(feature) {
+  // feature is the GeoJSON Feature from USGS
+  const { id, properties = {}, geometry = {} } = feature || {}
+  const { mag, place, time, url, detail } = properties
+  const coords = (geometry.coordinates && [...geometry.coordinates]) || [0, 0, 0]
+  const [lon, lat, depth] = coords
+  return {
+    id,
+    magnitude: mag,
+    place,
+    time,
+    url,
+    detail,
+    depth,
+    coords: { lat, lon },
+    magType: toText(properties.magType),
+    sig: toNumber(properties.sig),
+    tsunami: Number(properties.tsunami) === 1,
+    alert: toText(properties.alert), // PAGER level: green | yellow | orange | red
+    felt: toNumber(properties.felt),
+    cdi: toNumber(properties.cdi),
+    mmi: toNumber(properties.mmi),
+    status: toText(properties.status), // automatic | reviewed | deleted
+    type: toText(properties.type), // earthquake | quarry blast | explosion | ...
+    net: toText(properties.net),
+    updated: toNumber(properties.updated),
+    gap: toNumber(properties.gap),
+    rms: toNumber(properties.rms),
+    dmin: toNumber(properties.dmin)
+  }
+}
+
+/**
+ * Parsed feed GeoJSON -> normalized events at or above minMagnitude, largest first
+ */
+export function normalizeFeed(json, minMagnitude = 0) {
+  const features = (json && json.features) || []
+  return features
+    .map(normalizeFeature)
+    .filter(f => (f.magnitude || 0) >= (minMagnitude || 0))
+    // sort by magnitude desc so we show the largest quakes first when we cap
+    .sort((a, b) => (b.magnitude || 0) - (a.magnitude || 0))
+}
+
+export default { normalizeFeature, normalizeFeed, NORMALIZED_VERSION }
@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { ComposedChart, Line, Scatter, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts'
+import { useEarthquakeStore } from '../store/EarthquakeStore'
+import { queryEvents } from '../api/fdsn'
+import { analyzeSequence, sequenceWindow, omoriRate, WINDOW_MODES, BATH_DELTA } from '../utils/aftershocks'
+import { formatTimestamp } from '../utils/formatDate'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const selectStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+const inputStyle = { ...selectStyle, width: 60 }
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '3px 8px', cursor: 'pointer', fontSize: 12 }
+
+// Aftershock sequence of the selected event: window selection, Omori fit and Båth's law.
+// Nothing is computed or highlighted on the map until the explorer is opened.
+export default function AftershockExplorer() {
+  const { features: loaded, selectedId, selectedEvent: mainshock, setHighlightedIds } = useEarthquakeStore()
+  const [open, setOpen] = useState(false)
+  const [mode, setMode] = useState('gk')
+  const [radiusKm, setRadiusKm] = useState(100)
+  const [days, setDays] = useState(30)
+  const [source, setSource] = useState('loaded') // 'loaded' | 'fdsn'
+  const [queried, setQueried] = useState(null) // { id, events } from the FDSN service
+  const [querying, setQuerying] = useState(false)
+  const [error, setError] = useState(null)
+
+  const windowOptions = useMemo(() => ({ mode, radiusKm, days }), [mode, radiusKm, days])
+
+  const candidates = source === 'fdsn' && queried && queried.id === selectedId ? queried.events : loaded
+  const sequence = useMemo(
+    () => (open && mainshock ? analyzeSequence(mainshock, candidates, windowOptions) : null),
+    [open, mainshock, candidates, windowOptions]
+  )
+
+  // show the sequence on the map while the explorer is open; closing it (or a new sequence)
+  // clears the highlight unless the charts or cross-section have replaced it meanwhile
+  useEffect(() => {
+    if (!sequence || !sequence.aftershocks.length) return
+    const ids = [mainshock.id, ...sequence.aftershocks.map(eq => eq.id)]
+    setHighlightedIds(ids)
+    return () => setHighlightedIds(prev => (prev === ids ? [] : prev))
+  }, [sequence, mainshock, setHighlightedIds])
+
+  const runQuery = async () => {
+    if (!mainshock) return
+    const span = sequenceWindow(mainshock, windowOptions)
+    setQuerying(true)
+    setError(null)
+    try {
+      const res = await queryEvents({
+        startTime: mainshock.time,
+        endTime: Math.min(Date.now(), mainshock.time + span.days * DAY_MS),
+        radius: { lat: mainshock.coords.lat, lon: mainshock.coords.lon, km: span.radiusKm },
+        orderBy: 'time-asc',
+        limit: 20000
+      })
+      if (!res.ok) throw new Error(res.error || 'Query failed')
+      setQueried({ id: mainshock.id, events: res.features })
+      setSource('fdsn')
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setQuerying(false)
+    }
+  }
+
+  const chartData = useMemo(() => {
+    if (!sequence) return []
+    return sequence.rates
+      .filter(bin => bin.count > 0)
+      .map(bin => ({ t: bin.t, rate: bin.rate, fitted: sequence.fit ? omoriRate(bin.t, sequence.fit) : null }))
+  }, [sequence])
+
+  const header = (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 6 }}>
+      <div style={{ fontSize: 13, fontWeight: 600 }}>
+        {open && mainshock ? `Aftershocks of M${mainshock.magnitude} ${mainshock.place}` : 'Aftershock explorer'}
+      </div>
+      {open ? (
+        <button onClick={() => setOpen(false)} style={buttonStyle}>Close</button>
+      ) : (
+        <button onClick={() => setOpen(true)} disabled={!mainshock} style={buttonStyle}>Explore</button>
+      )}
+    </div>
+  )
+
+  if (!selectedId || !mainshock || !open) {
+    return (
+      <div style={{ display: 'grid', gap: 8 }}>
+        {header}
+        {!selectedId && <div style={{ fontSize: 12, color: '#6b7280' }}>Select an event to explore its aftershock sequence.</div>}
+        {selectedId && !mainshock && <div style={{ fontSize: 12, color: '#6b7280' }}>The selected event is not in the loaded feed.</div>}
+      </div>
+    )
+  }
+
+  const { window: span, aftershocks, fit, bath } = sequence
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      {header}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', fontSize: 12 }}>
+        <select value={mode} onChange={e => setMode(e.target.value)} aria-label="Window" style={selectStyle}>
+          {Object.entries(WINDOW_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        {mode === 'fixed' && (
+          <>
+            <input type="number" min={1} value={radiusKm} onChange={e => setRadiusKm(Math.max(1, Number(e.target.value) || 1))} aria-label="Radius (km)" style={inputStyle} /> km
+            <input type="number" min={0.1} step={0.1} value={days} onChange={e => setDays(Math.max(0.1, Number(e.target.value) || 0.1))} aria-label="Duration (days)" style={inputStyle} /> days
+          </>
+        )}
+        {mode === 'gk' && <span style={{ color: '#6b7280' }}>{span.radiusKm.toFixed(0)} km · {span.days.toFixed(1)} days</span>}
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 12 }}>
+        <select value={source} onChange={e => setSource(e.target.value)} aria-label="Source" style={selectStyle}>
+          <option value="loaded">Loaded feed</option>
+          <option value="fdsn" disabled={!queried || queried.id !== selectedId}>FDSN query</option>
+        </select>
+        <button onClick={runQuery} disabled={querying} style={{ background: '#2563eb', color: 'white', border: 'none', padding: '4px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 12 }}>
+          {querying ? 'Querying…' : 'Query full window'}
+        </button>
+      </div>
+      {error && <div style={{ fontSize: 12, color: 'red' }}>{error}</div>}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '2px 8px', fontSize: 12 }}>
+        <span>Aftershocks</span><span>{aftershocks.length}</span>
+        <span>Omori fit</span>
+        <span>{fit ? `K=${fit.K.toFixed(1)} c=${fit.c.toFixed(3)}d p=${fit.p.toFixed(2)}` : 'not enough events (need 10)'}</span>
+        <span>Largest</span>
+        <span>{bath ? `M${bath.largest.magnitude} · ${formatTimestamp(bath.largest.time)}` : '—'}</span>
+        <span>Båth ΔM</span>
+        <span>{bath ? `${bath.delta.toFixed(1)} (law ${BATH_DELTA}, ${bath.departure >= 0 ? '+' : ''}${bath.departure.toFixed(1)})` : '—'}</span>
+      </div>
+
+      {chartData.length > 0 && (
+        <div style={{ height: 160 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart className="recharts-wrapper" data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--grid)" />
+              <XAxis dataKey="t" type="number" scale="log" domain={['auto', 'auto']} tickFormatter={t => (t < 1 ? `${(t * 24).toFixed(1)}h` : `${t.toFixed(0)}d`)} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
+              <YAxis scale="log" domain={['auto', 'auto']} tickFormatter={v => v.toPrecision(2)} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} width={40} />
+              <Tooltip
+                labelFormatter={t => `${Number(t).toFixed(2)} days after`}
+                formatter={(value, name) => [`${value.toFixed(2)} / day`, name]}
+                contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }}
+                labelStyle={{ color: 'var(--panel-text)' }}
+                itemStyle={{ color: 'var(--panel-text)' }}
+              />
+              <Scatter dataKey="rate" name="Observed" fill="var(--chart-bar)" isAnimationActive={false} />
+              <Line dataKey="fitted" name="Omori fit" stroke="var(--accent)" dot={false} strokeWidth={2} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,62 +1,241 @@
-import React, { useEffect, useState } from 'react'
-import cache from '../lib/cache'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import cache, { NAMESPACES } from '../lib/cache'
+import earthquakesAPI, { parseFeedCacheKey } from '../api/earthquakes'
+import eventDetailAPI from '../api/eventDetail'
+import { downloadFile } from '../utils/exporters'
+import { formatTimestamp, formatDuration } from '../utils/formatDate'
+import { formatBytes } from '../utils/formatBytes'
 
+const PREVIEW_LIMIT = 20000 // characters
+const USER_KINDS = { 'region:': 'Saved region', 'dataset:': 'Dataset', 'watch:': 'Watch zone', 'alerts:': 'Alert inbox' }
+
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid var(--muted-border)', verticalAlign: 'top' }
+const smallButton = { border: '1px solid var(--muted-border)', background: 'var(--panel-bg)', color: 'var(--panel-text)', borderRadius: 4, padding: '1px 6px', cursor: 'pointer', fontSize: 11 }
+
+// Human-readable description of a cache key
+function describeEntry({ namespace, key }) {
+  if (namespace === 'feed') {
+    const feed = parseFeedCacheKey(key)
+    if (feed) return `${feed.range || feed.feed} feed · M≥${feed.minMagnitude}`
+  }
+  if (namespace === 'query') {
+    try {
+      const params = new URL(key.split('|')[0]).searchParams
+      const parts = []
+      if (params.get('starttime') || params.get('endtime')) parts.push(`${(params.get('starttime') || '…').slice(0, 10)} → ${(params.get('endtime') || 'now').slice(0, 10)}`)
+      if (params.get('minmagnitude')) parts.push(`M≥${params.get('minmagnitude')}`)
+      if (params.get('maxradiuskm')) parts.push(`${Math.round(Number(params.get('maxradiuskm')))} km of ${Number(params.get('latitude')).toFixed(1)}, ${Number(params.get('longitude')).toFixed(1)}`)
+      return `FDSN query${parts.length ? ` · ${parts.join(' · ')}` : ''}`
+    } catch (e) {
+      // fall through to the raw key
+    }
+  }
+  if (namespace === 'detail') return `Event detail · ${key}`
+  if (namespace === 'user') {
+    const prefix = Object.keys(USER_KINDS).find(p => key.startsWith(p))
+    if (prefix) return `${USER_KINDS[prefix]} · ${key.slice(prefix.length)}`
+  }
+  return key
+}
+
+function canRefresh({ namespace, key }) {
+  return (namespace === 'feed' && !!(parseFeedCacheKey(key) || {}).range) || namespace === 'detail'
+}
+
+async function refreshEntry({ namespace, key }) {
+  if (namespace === 'feed') {
+    const { range, minMagnitude } = parseFeedCacheKey(key)
+    const res = await earthquakesAPI.getEarthquakes({ range, minMagnitude, maxResults: null, force: true })
+    if (!res.ok || res.stale) throw new Error(res.error || 'Offline')
+  } else if (namespace === 'detail') {
+    await cache.cacheNamespace('detail').remove(key)
+    const res = await eventDetailAPI.getEventDetail(key)
+    if (!res.ok) throw new Error(res.error)
+  }
+}
+
+function remaining(entry) {
+  if (entry.ttl === null) return '∞'
+  const left = entry.ts + entry.ttl - Date.now()
+  return left > 0 ? formatDuration(left) : 'expired'
+}
+
+// Every cache namespace as a table, with previews, selective delete/refresh, backups and hit/miss counters
 export default function CacheInspector(props) {
   const { onClose } = props || {}
-  const [keys, setKeys] = useState([])
+  const [entries, setEntries] = useState([])
+  const [stats, setStats] = useState(() => cache.getStats())
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [busyKey, setBusyKey] = useState(null)
+  const [preview, setPreview] = useState(null) // { id, text }
   const [clearing, setClearing] = useState(false)
   const [showConfirm, setShowConfirm] = useState(false)
+  const fileRef = useRef(null)
 
-  useEffect(() => {
-    let mounted = true
-    async function load() {
-      try {
-        const k = await cache.getKeys()
-        if (!mounted) return
-        setKeys(Array.isArray(k) ? k : [])
-      } catch (e) {
-        if (!mounted) return
-        setError('Failed to read cache')
-      } finally {
-        if (mounted) setLoading(false)
-      }
+  const load = useCallback(async () => {
+    try {
+      const lists = await Promise.all(Object.keys(NAMESPACES).map(name => cache.cacheNamespace(name).entries()))
+      setEntries(lists.flat().sort((a, b) => b.ts - a.ts))
+      setError(null)
+    } catch (e) {
+      setError('Failed to read cache')
+    } finally {
+      setLoading(false)
+      setStats(cache.getStats())
     }
+  }, [])
+
+  useEffect(() => {
+    load()
+    // counters move whenever the app reads the cache
+    const id = setInterval(() => setStats(cache.getStats()), 2000)
+    return () => clearInterval(id)
+  }, [load])
+
+  const entryId = entry => `${entry.namespace}/${entry.key}`
+
+  const removeEntry = async entry => {
+    await cache.cacheNamespace(entry.namespace).remove(entry.key)
+    if (preview && preview.id === entryId(entry)) setPreview(null)
+    load()
+  }
+
+  const refresh = async entry => {
+    setBusyKey(entryId(entry))
+    setMessage(null)
     try {
+      await refreshEntry(entry)
+      setMessage(`Refreshed ${describeEntry(entry)}`)
+    } catch (e) {
+      setMessage(`Refresh failed: ${e.message || e}`)
+    } finally {
+      setBusyKey(null)
       load()
+    }
+  }
+
+  const togglePreview = async entry => {
+    const id = entryId(entry)
+    if (preview && preview.id === id) return setPreview(null)
+    const stored = await cache.cacheNamespace(entry.namespace).getEntry(entry.key, { count: false })
+    const text = stored ? JSON.stringify(stored.value, null, 2) : '(entry no longer exists)'
+    setPreview({ id, text: text.length > PREVIEW_LIMIT ? `${text.slice(0, PREVIEW_LIMIT)}\n… (${formatBytes(text.length)} total)` : text })
+  }
+
+  const exportAll = async () => {
+    try {
+      const json = await cache.exportCache()
+      downloadFile(JSON.stringify(json), `earthquake-cache-${new Date().toISOString().slice(0, 10)}.json`, 'application/json')
     } catch (e) {
-      if (mounted) { setError('Failed to read cache'); setLoading(false) }
+      setMessage(`Export failed: ${e.message || e}`)
     }
-    return () => { mounted = false }
-  }, [])
+  }
+
+  const importFile = async e => {
+    const file = e.target.files && e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const written = await cache.importCache(await file.text())
+      setMessage(`Imported ${written} entries. Reload the page to see imported regions, datasets and watch zones.`)
+    } catch (err) {
+      setMessage(`Import failed: ${err.message || err}`)
+    }
+    load()
+  }
+
+  const totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0)
+  const clearable = entries.filter(e => e.ttl !== null).length
 
   return (
-    <div style={{ padding: 12, width: 340, background: 'var(--panel-bg)', color: 'var(--panel-text)', borderRadius: 8, boxShadow: '0 6px 18px rgba(0,0,0,0.12)' }}>
+    <div style={{ padding: 12, width: '100%', maxWidth: 760, background: 'var(--panel-bg)', color: 'var(--panel-text)', borderRadius: 8, boxShadow: '0 6px 18px rgba(0,0,0,0.12)', fontSize: 12 }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <div style={{ fontWeight: 700 }}>Cache Inspector</div>
-  <button onClick={onClose || (() => {})} style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--panel-text)' }}>✕</button>
+        <div style={{ fontWeight: 700, fontSize: 14 }}>Cache Inspector</div>
+        <button onClick={onClose || (() => {})} style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--panel-text)' }}>✕</button>
       </div>
-      <div style={{ marginTop: 8, fontSize: 13 }}>
+
+      <table style={{ marginTop: 8, borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: '#6b7280', textAlign: 'right' }}>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>This session</th><th style={cellStyle}>Hits</th><th style={cellStyle}>(memory)</th><th style={cellStyle}>Stale</th><th style={cellStyle}>Misses</th><th style={cellStyle}>304s</th><th style={cellStyle}>Evicted</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(stats).map(([name, s]) => (
+            <tr key={name} style={{ textAlign: 'right' }}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{NAMESPACES[name].label}</td>
+              <td style={cellStyle}>{s.hits}</td><td style={cellStyle}>{s.memoryHits}</td><td style={cellStyle}>{s.staleHits}</td><td style={cellStyle}>{s.misses}</td><td style={cellStyle}>{s.notModified}</td><td style={cellStyle}>{s.evictions}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 10 }}>
         {loading && 'Loading...'}
         {error && <div style={{ color: 'red' }}>{error}</div>}
-        {!loading && !error && (keys.length === 0 ? 'No cache to delete' : (
-          <ul style={{ maxHeight: 220, overflow: 'auto', paddingLeft: 14 }}>
-            {keys.map(k => <li key={k} style={{ marginBottom: 6, wordBreak: 'break-all' }}>{k}</li>)}
-          </ul>
+        {!loading && !error && (entries.length === 0 ? 'The cache is empty' : (
+          <div style={{ maxHeight: 320, overflow: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: '#6b7280', textAlign: 'left', position: 'sticky', top: 0, background: 'var(--panel-bg)' }}>
+                  <th style={cellStyle}>Entry</th><th style={cellStyle}>Age</th><th style={cellStyle}>TTL left</th><th style={cellStyle}>Records</th><th style={cellStyle}>Size</th><th style={cellStyle} />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => {
+                  const id = entryId(entry)
+                  const isUser = entry.ttl === null
+                  return (
+                    <React.Fragment key={id}>
+                      <tr>
+                        <td style={{ ...cellStyle, wordBreak: 'break-word' }} title={entry.key}>
+                          <div>{describeEntry(entry)}</div>
+                          <div style={{ color: '#6b7280', fontSize: 11 }}>{NAMESPACES[entry.namespace].label} · {formatTimestamp(entry.ts)}</div>
+                        </td>
+                        <td style={cellStyle}>{formatDuration(Date.now() - entry.ts)}</td>
+                        <td style={{ ...cellStyle, color: entry.expired ? '#b45309' : undefined }}>{remaining(entry)}</td>
+                        <td style={cellStyle}>{entry.count ?? '—'}</td>
+                        <td style={cellStyle}>{formatBytes(entry.bytes)}</td>
+                        <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                          <button onClick={() => togglePreview(entry)} style={smallButton}>{preview && preview.id === id ? 'Hide' : 'View'}</button>{' '}
+                          {canRefresh(entry) && <button onClick={() => refresh(entry)} disabled={busyKey === id} style={smallButton}>{busyKey === id ? '…' : 'Refresh'}</button>}{' '}
+                          {/* user data is managed in its own panel */}
+                          {!isUser && <button onClick={() => removeEntry(entry)} aria-label={`Delete ${describeEntry(entry)}`} style={{ ...smallButton, color: '#ef4444' }}>Delete</button>}
+                        </td>
+                      </tr>
+                      {preview && preview.id === id && (
+                        <tr>
+                          <td colSpan={6} style={cellStyle}>
+                            <pre style={{ margin: 0, maxHeight: 220, overflow: 'auto', fontSize: 11, background: 'rgba(0,0,0,0.04)', padding: 6, borderRadius: 4 }}>{preview.text}</pre>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
         ))}
+        {!loading && entries.length > 0 && <div style={{ marginTop: 4, color: '#6b7280' }}>{entries.length} entries · about {formatBytes(totalBytes)}</div>}
+        {message && <div style={{ marginTop: 6 }}>{message}</div>}
       </div>
 
-      <div style={{ marginTop: 10, display: 'flex', gap: 8 }}>
-        <button onClick={() => { if (!loading && keys.length > 0) setShowConfirm(true) }} disabled={clearing || loading || keys.length === 0} title={keys.length === 0 ? 'No cache entries' : undefined} style={{ background: (clearing || loading || keys.length === 0) ? '#9ca3af' : '#ef4444', color: 'white', border: 'none', padding: '8px 10px', borderRadius: 6, cursor: (clearing || loading || keys.length === 0) ? 'not-allowed' : 'pointer' }}>{clearing ? 'Clearing...' : (keys.length > 0 ? `Clear all (${keys.length})` : 'Clear all')}</button>
-  <button onClick={onClose || (() => {})} style={{ background: 'rgba(229,231,235,0.12)', border: 'none', padding: '8px 10px', borderRadius: 6, cursor: 'pointer', color: 'var(--panel-text)' }}>Close</button>
+      <div style={{ marginTop: 10, display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+        <button onClick={() => { if (!loading && clearable > 0) setShowConfirm(true) }} disabled={clearing || loading || clearable === 0} title={clearable === 0 ? 'No cache entries' : 'Saved regions, datasets and watch zones are kept'} style={{ background: (clearing || loading || clearable === 0) ? '#9ca3af' : '#ef4444', color: 'white', border: 'none', padding: '8px 10px', borderRadius: 6, cursor: (clearing || loading || clearable === 0) ? 'not-allowed' : 'pointer' }}>{clearing ? 'Clearing...' : (clearable > 0 ? `Clear cache (${clearable})` : 'Clear cache')}</button>
+        <button onClick={exportAll} disabled={loading} style={{ background: 'rgba(229,231,235,0.12)', border: '1px solid var(--muted-border)', padding: '8px 10px', borderRadius: 6, cursor: 'pointer', color: 'var(--panel-text)' }}>Export…</button>
+        <button onClick={() => fileRef.current && fileRef.current.click()} style={{ background: 'rgba(229,231,235,0.12)', border: '1px solid var(--muted-border)', padding: '8px 10px', borderRadius: 6, cursor: 'pointer', color: 'var(--panel-text)' }}>Import…</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: 'none' }} />
+        <button onClick={onClose || (() => {})} style={{ background: 'rgba(229,231,235,0.12)', border: 'none', padding: '8px 10px', borderRadius: 6, cursor: 'pointer', color: 'var(--panel-text)', marginLeft: 'auto' }}>Close</button>
       </div>
 
       {showConfirm && (
         <div style={{ position: 'fixed', left: 0, top: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.45)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 40000 }}>
           <div role="dialog" aria-modal="true" style={{ width: 420, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 18, borderRadius: 8, boxShadow: '0 12px 40px rgba(0,0,0,0.3)', zIndex: 40001 }}>
             <div style={{ fontWeight: 700 }}>Confirm clear cache</div>
-            <div style={{ marginTop: 8, fontSize: 13 }}>Clear all cached entries? This cannot be undone.</div>
+            <div style={{ marginTop: 8, fontSize: 13 }}>Clear all {clearable} cached feeds, queries and event details? Saved regions, datasets and watch zones are kept.</div>
             <div style={{ marginTop: 14, display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
               <button onClick={() => setShowConfirm(false)} style={{ background: 'rgba(229,231,235,0.12)', border: 'none', padding: '8px 12px', borderRadius: 6, cursor: 'pointer', color: 'var(--panel-text)' }}>Cancel</button>
               <button onClick={async () => {
@@ -64,7 +243,7 @@ export default function CacheInspector(props) {
                 setClearing(true)
                 try {
                   const removed = await cache.clearAll()
-                  setKeys([])
+                  await load()
                   if (props.onClearAll) props.onClearAll(null, removed)
                 } catch (e) {
                   if (props.onClearAll) props.onClearAll(e)
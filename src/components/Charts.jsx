@@ -1,58 +1,158 @@
-import React, { useMemo, useEffect, useState } from 'react'
-import earthquakesAPI from '../api/earthquakes'
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, BarChart, Bar, CartesianGrid } from 'recharts'
+import React, { useMemo, useState } from 'react'
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, BarChart, Bar, Cell, CartesianGrid, ReferenceLine } from 'recharts'
+import { isPlaybackActive } from '../utils/playback'
+import { useEarthquakeStore } from '../store/EarthquakeStore'
+import GutenbergRichterPanel from './GutenbergRichterPanel'
+import { cumulativeMoment, formatMoment, momentToMagnitude } from '../utils/seismic'
+import { createColorScale, DEFAULT_STYLE_OPTIONS } from '../lib/eventStyle'
 
 // data: array of features with { time, magnitude }
-export default function Charts({ range = '24h', minMagnitude = 0, selectedId = null, setSelectedId = () => {}, setHighlightedIds = () => {} }) {
-  const [data, setData] = useState([])
 
-  useEffect(() => {
-    let mounted = true
-    const controller = new AbortController()
-    earthquakesAPI.getEarthquakes({ range, minMagnitude, maxResults: 2000, signal: controller.signal }).then(res => {
-      if (!mounted) return
-      if (res.ok) setData(res.features)
-    }).catch(() => {})
-    return () => { mounted = false; controller.abort() }
-  }, [range, minMagnitude])
+function formatHourTick(ts) {
+  const d = new Date(ts)
+  return `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:00`
+}
+export default function Charts({ datasets = [], playback = null, setPlayback = () => {}, eventStyle = null }) {
+  // same dataset as the map: filtered events, either all loaded or only those in the map viewport
+  const { filtered, inView, setSelectedId, setHighlightedIds } = useEarthquakeStore()
+  const [scope, setScope] = useState('all') // 'all' | 'viewport'
+  const data = scope === 'viewport' ? inView : filtered
+
+  // imported overlay datasets are charted next to the USGS series
+  const visibleDatasets = useMemo(() => datasets.filter(ds => ds.visible), [datasets])
 
   const timeline = useMemo(() => {
     // bucket by hour for the last 7 days range (or available range)
     const map = new Map()
-    data.forEach(d => {
+    const bucket = (d, field) => {
+      if (!d.time) return
       const date = new Date(d.time)
       // bucket key: YYYY-MM-DD HH:00
       const key = date.toISOString().slice(0,13) + ':00'
-      map.set(key, (map.get(key) || 0) + 1)
-    })
-    const arr = Array.from(map.entries()).map(([k,v]) => ({ time: k, count: v }))
+      // ts (bucket start) gives the chart a real time axis so the playhead can sit between buckets
+      const entry = map.get(key) || { time: key, ts: Date.parse(key + ':00Z'), count: 0 }
+      entry[field] = (entry[field] || 0) + 1
+      map.set(key, entry)
+    }
+    data.forEach(d => bucket(d, 'count'))
+    visibleDatasets.forEach(ds => ds.events.forEach(d => bucket(d, ds.id)))
+    const arr = Array.from(map.values())
     // sort by time
     arr.sort((a,b) => a.time.localeCompare(b.time))
     return arr
-  }, [data])
+  }, [data, visibleDatasets])
+
+  // magnitude bars use the map's palette and scale type, whatever attribute the map is colored by
+  const magnitudeScale = useMemo(
+    () => createColorScale({ ...(eventStyle ? eventStyle.options : DEFAULT_STYLE_OPTIONS), colorBy: 'magnitude' }),
+    [eventStyle]
+  )
 
   const histogram = useMemo(() => {
     const buckets = [0,1,2,3,4,5,6,7,8]
-  const counts = buckets.map((b, i) => ({ bucket: `${b}-${b+1}`, count: 0, ids: [] }))
+  const counts = buckets.map((b, i) => ({ bucket: `${b}-${b+1}`, color: magnitudeScale.valueColor(b + 0.5), count: 0, reviewed: 0, automatic: 0, ids: [] }))
     data.forEach(d => {
       const m = Math.max(0, Math.floor(d.magnitude || 0))
       const idx = Math.min(m, counts.length - 1)
       counts[idx].count += 1
+      // split bars by review status so automatic solutions stand out
+      if (d.status === 'reviewed') counts[idx].reviewed += 1
+      else counts[idx].automatic += 1
       if (d.id) counts[idx].ids.push(d.id)
     })
+    visibleDatasets.forEach(ds => {
+      counts.forEach(c => { c[ds.id] = 0 })
+      ds.events.forEach(d => {
+        const idx = Math.min(Math.max(0, Math.floor(d.magnitude || 0)), counts.length - 1)
+        counts[idx][ds.id] += 1
+      })
+    })
   return counts
-  }, [data])
+  }, [data, visibleDatasets, magnitudeScale])
+
+  const momentSteps = useMemo(() => cumulativeMoment(data), [data])
+  // the step whose events are currently highlighted (click again to clear)
+  const [activeStep, setActiveStep] = useState(null)
+
+  const selectStep = state => {
+    const step = state && state.activePayload && state.activePayload[0] && state.activePayload[0].payload
+    if (!step || step.ts === activeStep) {
+      setActiveStep(null)
+      setHighlightedIds([])
+      return
+    }
+    setActiveStep(step.ts)
+    setHighlightedIds(step.ids)
+  }
+
+  const playbackOn = isPlaybackActive(playback)
+
+  const barHandlers = {
+    onMouseEnter: (entry) => {
+      const ids = entry && entry.payload && entry.payload.ids ? entry.payload.ids : []
+      setHighlightedIds(ids)
+    },
+    onMouseLeave: () => setHighlightedIds([]),
+    onClick: (entry) => {
+      const id = entry && entry.payload && entry.payload.ids && entry.payload.ids[0]
+      setSelectedId(id || null)
+    }
+  }
 
   return (
     <div style={{ display: 'grid', gap: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12 }}>
+        <span>{data.length.toLocaleString()} earthquakes</span>
+        <select value={scope} onChange={e => setScope(e.target.value)} aria-label="Charted events" style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+          <option value="all">All loaded</option>
+          <option value="viewport">Map viewport only</option>
+        </select>
+      </div>
       <div style={{ height: 140, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 8, borderRadius: 8 }}>
         <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Events over time</div>
         <ResponsiveContainer width="100%" height="100%">
-          <LineChart className="recharts-wrapper" data={timeline}>
-            <XAxis dataKey="time" tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
+          <LineChart
+            className="recharts-wrapper"
+            data={timeline}
+            onClick={state => {
+              // click-to-seek while the time-lapse is open
+              if (!playbackOn || !state || state.activeLabel === undefined) return
+              setPlayback(prev => ({ ...prev, playing: false, time: Math.max(prev.start, Math.min(prev.end, Number(state.activeLabel))) }))
+            }}
+            style={playbackOn ? { cursor: 'pointer' } : undefined}
+          >
+            <XAxis dataKey="ts" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatHourTick} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
             <YAxis tick={{ fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
-            <Tooltip contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }} labelStyle={{ color: 'var(--panel-text)' }} itemStyle={{ color: 'var(--panel-text)' }} />
-            <Line type="monotone" dataKey="count" stroke="var(--chart-line)" dot={false} />
+            <Tooltip labelFormatter={ts => new Date(ts).toLocaleString()} contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }} labelStyle={{ color: 'var(--panel-text)' }} itemStyle={{ color: 'var(--panel-text)' }} />
+            <Line type="monotone" dataKey="count" name="USGS" stroke="var(--chart-line)" dot={false} />
+            {playbackOn && <ReferenceLine x={playback.time} stroke="var(--accent)" strokeWidth={2} ifOverflow="extendDomain" />}
+            {visibleDatasets.map(ds => (
+              <Line key={ds.id} type="monotone" dataKey={ds.id} name={ds.name} stroke={ds.color} dot={false} connectNulls />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ height: 140, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 8, borderRadius: 8 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: 'flex', justifyContent: 'space-between' }}>
+          <span>Cumulative moment release</span>
+          {momentSteps.length > 0 && (
+            <span style={{ fontWeight: 400, fontSize: 11 }}>≈ one M{momentToMagnitude(momentSteps[momentSteps.length - 1].cumulative).toFixed(1)}</span>
+          )}
+        </div>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart className="recharts-wrapper" data={momentSteps} onClick={selectStep} style={{ cursor: 'pointer' }}>
+            <XAxis dataKey="ts" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatHourTick} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
+            <YAxis tickFormatter={v => v.toExponential(0)} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} width={48} />
+            <Tooltip
+              labelFormatter={ts => new Date(ts).toLocaleString()}
+              formatter={(value, name, item) => [`${formatMoment(value)} (${item.payload.ids.length} events this hour)`, 'Total']}
+              contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }}
+              labelStyle={{ color: 'var(--panel-text)' }}
+              itemStyle={{ color: 'var(--panel-text)' }}
+            />
+            <Line type="stepAfter" dataKey="cumulative" name="Moment" stroke="var(--chart-line)" dot={false} isAnimationActive={false} />
+            {activeStep !== null && <ReferenceLine x={activeStep} stroke="var(--accent)" strokeDasharray="3 3" />}
           </LineChart>
         </ResponsiveContainer>
       </div>
@@ -65,20 +165,21 @@ export default function Charts({ range = '24h', minMagnitude = 0, selectedId = n
             <XAxis dataKey="bucket" tick={{ fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
             <YAxis tick={{ fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
             <Tooltip contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }} labelStyle={{ color: 'var(--panel-text)' }} itemStyle={{ color: 'var(--panel-text)' }} />
-            <Bar dataKey="count" fill="var(--chart-bar)"
-              onMouseEnter={(entry, index) => {
-                const ids = entry && entry.payload && entry.payload.ids ? entry.payload.ids : []
-                setHighlightedIds(ids)
-              }}
-              onMouseLeave={() => setHighlightedIds([])}
-              onClick={(entry) => {
-                const id = entry && entry.payload && entry.payload.ids && entry.payload.ids[0]
-                setSelectedId(id || null)
-              }}
-            />
+            <Bar dataKey="reviewed" name="Reviewed" stackId="status" fill="var(--chart-bar)" {...barHandlers}>
+              {histogram.map(entry => <Cell key={entry.bucket} fill={entry.color} />)}
+            </Bar>
+            {/* automatic solutions: same color, faded */}
+            <Bar dataKey="automatic" name="Automatic" stackId="status" fill="var(--chart-bar-muted)" {...barHandlers}>
+              {histogram.map(entry => <Cell key={entry.bucket} fill={entry.color} fillOpacity={0.4} />)}
+            </Bar>
+            {visibleDatasets.map(ds => (
+              <Bar key={ds.id} dataKey={ds.id} name={ds.name} fill={ds.color} />
+            ))}
           </BarChart>
         </ResponsiveContainer>
       </div>
+
+      <GutenbergRichterPanel events={data} />
     </div>
   )
 }
@@ -0,0 +1,150 @@
+import React, { useMemo } from 'react'
+import { ScatterChart, Scatter, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts'
+import { useEarthquakeStore, useHoveredId } from '../store/EarthquakeStore'
+import { crossSection, createProfile, profileLengthKm } from '../utils/crossSection'
+import { createEventStyle } from '../lib/eventStyle'
+import { formatTimestamp } from '../utils/formatDate'
+
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '3px 8px', cursor: 'pointer', fontSize: 12 }
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)', width: 56 }
+
+const DEFAULT_EVENT_STYLE = createEventStyle()
+
+// chart radius from the map's size scale, shrunk so dense slabs stay readable
+function pointRadius(eventStyle, eq) {
+  return Math.max(2, Math.min(12, eventStyle.size.radius(eq) * 0.4))
+}
+
+function SectionTooltip({ active, payload }) {
+  if (!active || !payload || !payload.length) return null
+  const p = payload[0].payload
+  return (
+    <div style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)', padding: 6, fontSize: 12 }}>
+      <div><strong>M{p.magnitude ?? '?'}</strong> {p.place}</div>
+      <div>{p.depth.toFixed(1)} km deep · {p.distanceKm.toFixed(0)} km along · {Math.abs(p.offsetKm).toFixed(0)} km off-line</div>
+      <div>{formatTimestamp(p.time)}</div>
+    </div>
+  )
+}
+
+// Depth cross-section: distance along a profile drawn on the map against depth, for events in
+// its swath, colored and sized with the map's scales. Hovering a point highlights the event on
+// the map; clicking selects it.
+export default function CrossSection({ profile = null, setProfile = () => {}, drawing = false, setDrawing = () => {}, eventStyle = DEFAULT_EVENT_STYLE }) {
+  const { filtered, selectedId, setSelectedId, highlightedIds, setHighlightedIds } = useEarthquakeStore()
+  const hoveredId = useHoveredId()
+
+  const points = useMemo(() => crossSection(filtered, profile).map(p => ({
+    id: p.eq.id,
+    place: p.eq.place,
+    time: p.eq.time,
+    magnitude: p.eq.magnitude,
+    distanceKm: p.distanceKm,
+    offsetKm: p.offsetKm,
+    depth: p.depth,
+    color: eventStyle.color.color(p.eq),
+    radius: pointRadius(eventStyle, p.eq)
+  })), [filtered, profile, eventStyle])
+  const lengthKm = profile ? profileLengthKm(profile) : 0
+  // highlighted from the charts/section, or hovered on the map
+  const highlighted = useMemo(() => new Set(hoveredId ? [...highlightedIds, hoveredId] : highlightedIds), [highlightedIds, hoveredId])
+
+  const setWidth = value => {
+    const widthKm = Math.max(1, Number(value) || 0)
+    if (profile) setProfile(createProfile(profile.start, profile.end, widthKm))
+  }
+
+  const renderPoint = ({ cx, cy, payload }) => {
+    const isSelected = payload.id === selectedId
+    const isHighlighted = highlighted.has(payload.id)
+    const r = payload.radius + (isSelected ? 3 : isHighlighted ? 2 : 0)
+    return (
+      <circle
+        cx={cx}
+        cy={cy}
+        r={r}
+        fill={isHighlighted ? '#0ea5a4' : payload.color}
+        fillOpacity={isSelected || isHighlighted ? 1 : 0.7}
+        stroke={isSelected ? 'var(--accent)' : 'rgba(0,0,0,0.35)'}
+        strokeWidth={isSelected ? 2 : 0.5}
+      />
+    )
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8, fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div style={{ fontSize: 13, fontWeight: 600 }}>Depth cross-section</div>
+        {profile && <span style={{ color: '#6b7280' }}>{lengthKm.toFixed(0)} km · {points.length} events</span>}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+        <button onClick={() => setDrawing(!drawing)} style={{ ...buttonStyle, borderColor: drawing ? 'var(--accent)' : 'var(--muted-border)' }}>
+          {drawing ? 'Cancel drawing' : profile ? 'Redraw profile' : 'Draw profile'}
+        </button>
+        swath
+        <input
+          type="number"
+          min={1}
+          step={10}
+          value={profile ? profile.widthKm : ''}
+          placeholder="km"
+          disabled={!profile}
+          onChange={e => setWidth(e.target.value)}
+          aria-label="Swath width in km"
+          style={inputStyle}
+        />
+        km
+        {profile && <button onClick={() => setProfile(null)} style={buttonStyle}>Clear</button>}
+      </div>
+
+      {drawing && <div style={{ color: '#6b7280' }}>Click the start (A) and end (B) of the profile on the map. Esc cancels.</div>}
+
+      {profile && (
+        points.length ? (
+          <div style={{ height: 220 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 8, right: 8, bottom: 16, left: 0 }} onMouseLeave={() => setHighlightedIds([])}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--grid)" />
+                <XAxis
+                  dataKey="distanceKm"
+                  type="number"
+                  domain={[0, Math.ceil(lengthKm)]}
+                  tickFormatter={v => Math.round(v)}
+                  label={{ value: 'Distance A→B (km)', position: 'insideBottom', offset: -8, fontSize: 11, fill: 'var(--panel-text)' }}
+                  tick={{ fontSize: 10, fill: 'var(--panel-text)' }}
+                  axisLine={{ stroke: 'var(--grid)' }}
+                  tickLine={false}
+                />
+                <YAxis
+                  dataKey="depth"
+                  type="number"
+                  reversed
+                  domain={[0, 'dataMax']}
+                  label={{ value: 'Depth (km)', angle: -90, position: 'insideLeft', offset: 12, fontSize: 11, fill: 'var(--panel-text)' }}
+                  tick={{ fontSize: 10, fill: 'var(--panel-text)' }}
+                  axisLine={{ stroke: 'var(--grid)' }}
+                  tickLine={false}
+                  width={48}
+                />
+                <Tooltip content={<SectionTooltip />} cursor={false} />
+                <Scatter
+                  data={points}
+                  shape={renderPoint}
+                  isAnimationActive={false}
+                  onMouseEnter={p => setHighlightedIds([p.payload.id])}
+                  onClick={p => setSelectedId(p.payload.id)}
+                  style={{ cursor: 'pointer' }}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div style={{ color: '#6b7280' }}>No events with a depth inside the swath. Try a wider swath.</div>
+        )
+      )}
+
+      {!profile && !drawing && <div style={{ color: '#6b7280' }}>Draw a line across a subduction zone or fault to see its events by depth.</div>}
+    </div>
+  )
+}
@@ -0,0 +1,118 @@
+import React, { useRef, useState } from 'react'
+import { detectFormat, parseGeoJSON, parseCSV, guessCsvMapping, csvToEvents, parseQuakeML, CSV_FIELDS } from '../utils/importers'
+import { createDataset } from '../lib/datasets'
+
+const selectStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+const FORMAT_LABELS = { geojson: 'GeoJSON', csv: 'CSV', quakeml: 'QuakeML' }
+
+// Import local catalogs as overlay datasets and manage their color/visibility
+export default function DatasetManager({ datasets = [], onAdd = () => {}, onUpdate = () => {}, onRemove = () => {} }) {
+  const inputRef = useRef(null)
+  const [dragging, setDragging] = useState(false)
+  const [error, setError] = useState(null)
+  // CSV imports stop here until the user confirms the column mapping
+  const [pendingCsv, setPendingCsv] = useState(null)
+
+  const finishImport = (name, format, events) => {
+    if (!events.length) throw new Error('No events with valid coordinates found')
+    onAdd(createDataset({ name, format, events, existing: datasets }))
+  }
+
+  const handleFile = async (file) => {
+    if (!file) return
+    setError(null)
+    try {
+      const text = await file.text()
+      const format = detectFormat(file.name, text)
+      const name = file.name.replace(/\.[^.]+$/, '')
+      if (format === 'csv') {
+        const table = parseCSV(text)
+        if (!table.headers.length) throw new Error('CSV file has no header row')
+        setPendingCsv({ name, table, mapping: guessCsvMapping(table.headers) })
+      } else if (format === 'geojson') {
+        finishImport(name, format, parseGeoJSON(text, { idPrefix: name }))
+      } else {
+        finishImport(name, format, parseQuakeML(text, { idPrefix: name }))
+      }
+    } catch (e) {
+      setError(`${file.name}: ${e.message}`)
+    }
+  }
+
+  const confirmCsv = () => {
+    try {
+      finishImport(pendingCsv.name, 'csv', csvToEvents(pendingCsv.table, pendingCsv.mapping, { idPrefix: pendingCsv.name }))
+      setPendingCsv(null)
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ fontSize: 13, fontWeight: 600 }}>Overlay datasets</div>
+
+      <div
+        onDragOver={e => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={e => { e.preventDefault(); setDragging(false); Array.from(e.dataTransfer.files || []).forEach(handleFile) }}
+        onClick={() => inputRef.current && inputRef.current.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={e => { if (e.key === 'Enter' || e.key === ' ') inputRef.current && inputRef.current.click() }}
+        style={{ border: `2px dashed ${dragging ? 'var(--accent)' : 'var(--muted-border)'}`, borderRadius: 8, padding: 12, fontSize: 12, textAlign: 'center', cursor: 'pointer', color: '#6b7280' }}
+      >
+        Drop GeoJSON, CSV or QuakeML here, or click to choose a file
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".geojson,.json,.csv,.txt,.xml,.quakeml,.qml"
+          multiple
+          style={{ display: 'none' }}
+          onChange={e => { Array.from(e.target.files || []).forEach(handleFile); e.target.value = '' }}
+        />
+      </div>
+
+      {error && <div style={{ fontSize: 12, color: 'red' }}>{error}</div>}
+
+      {pendingCsv && (
+        <div style={{ border: '1px solid var(--muted-border)', borderRadius: 8, padding: 8, display: 'grid', gap: 6, fontSize: 12 }}>
+          <div style={{ fontWeight: 600 }}>Map columns for {pendingCsv.name} ({pendingCsv.table.rows.length} rows)</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 8px', alignItems: 'center' }}>
+            {CSV_FIELDS.map(f => (
+              <React.Fragment key={f.key}>
+                <label>{f.label}{f.required ? ' *' : ''}</label>
+                <select
+                  value={pendingCsv.mapping[f.key]}
+                  onChange={e => setPendingCsv(prev => ({ ...prev, mapping: { ...prev.mapping, [f.key]: e.target.value } }))}
+                  style={selectStyle}
+                >
+                  <option value="">—</option>
+                  {pendingCsv.table.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </React.Fragment>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 6 }}>
+            <button onClick={() => setPendingCsv(null)} style={{ background: 'rgba(229,231,235,0.12)', border: 'none', padding: '4px 8px', borderRadius: 4, cursor: 'pointer', color: 'var(--panel-text)' }}>Cancel</button>
+            <button onClick={confirmCsv} style={{ background: '#2563eb', color: 'white', border: 'none', padding: '4px 8px', borderRadius: 4, cursor: 'pointer' }}>Import</button>
+          </div>
+        </div>
+      )}
+
+      {datasets.length > 0 && (
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 6 }}>
+          {datasets.map(ds => (
+            <li key={ds.id} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+              <input type="checkbox" checked={ds.visible} onChange={e => onUpdate(ds.id, { visible: e.target.checked })} aria-label={`Show ${ds.name}`} />
+              <input type="color" value={ds.color} onChange={e => onUpdate(ds.id, { color: e.target.value })} aria-label={`${ds.name} color`} style={{ width: 22, height: 22, padding: 0, border: 'none', background: 'transparent' }} />
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={ds.name}>{ds.name}</span>
+              <span style={{ color: '#6b7280' }}>{ds.events.length} · {FORMAT_LABELS[ds.format] || ds.format}</span>
+              <button onClick={() => onRemove(ds.id)} aria-label={`Remove ${ds.name}`} style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#ef4444' }}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react'
+import eventDetailAPI from '../api/eventDetail'
+import { formatTimestamp } from '../utils/formatDate'
+
+const PAGER_COLORS = { green: '#16a34a', yellow: '#eab308', orange: '#f97316', red: '#dc2626' }
+
+function fmt(n, digits = 1, suffix = '') {
+  return n === null || n === undefined ? 'N/A' : `${Number(n).toFixed(digits)}${suffix}`
+}
+
+function Section({ title, children }) {
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 6 }}>{title}</div>
+      <div style={{ fontSize: 12, lineHeight: 1.5 }}>{children}</div>
+    </div>
+  )
+}
+
+function FileLinks({ files = [], limit = 6 }) {
+  if (!files.length) return null
+  return (
+    <ul style={{ margin: '4px 0 0', paddingLeft: 16 }}>
+      {files.slice(0, limit).map(f => (
+        <li key={f.url} style={{ wordBreak: 'break-all' }}>
+          <a href={f.url} target="_blank" rel="noreferrer" style={{ color: 'var(--accent)' }}>{f.path}</a>
+        </li>
+      ))}
+      {files.length > limit && <li style={{ color: '#6b7280' }}>+{files.length - limit} more</li>}
+    </ul>
+  )
+}
+
+function NodalPlanes({ planes = [] }) {
+  if (!planes.length) return null
+  return (
+    <div>
+      {planes.map((p, i) => (
+        <div key={i}>Plane {i + 1}: strike {fmt(p.strike, 0, '°')}, dip {fmt(p.dip, 0, '°')}, rake {fmt(p.rake, 0, '°')}</div>
+      ))}
+    </div>
+  )
+}
+
+// Side drawer with the products from the USGS detail document of the selected event
+export default function EventDrawer({ eventId = null, onClose = () => {} }) {
+  const [detail, setDetail] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!eventId) return
+    let mounted = true
+    const controller = new AbortController()
+    setLoading(true)
+    setError(null)
+    setDetail(null)
+    const onRevalidate = res => { if (mounted && res.ok) setDetail(res.detail) }
+    eventDetailAPI.getEventDetail(eventId, { signal: controller.signal, onRevalidate }).then(res => {
+      if (!mounted) return
+      if (res.ok) setDetail(res.detail)
+      else if (res.error !== 'aborted') setError(res.error || 'Failed to load event details')
+      setLoading(false)
+    })
+    return () => { mounted = false; controller.abort() }
+  }, [eventId])
+
+  useEffect(() => {
+    if (!eventId) return
+    const onKey = e => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [eventId, onClose])
+
+  if (!eventId) return null
+
+  return (
+    <aside
+      role="dialog"
+      aria-label="Event details"
+      style={{ position: 'fixed', top: 0, right: 0, bottom: 0, width: 'min(420px, 100vw)', zIndex: 25000, background: 'var(--panel-bg)', color: 'var(--panel-text)', boxShadow: '-8px 0 24px rgba(0,0,0,0.18)', padding: 16, overflowY: 'auto' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>{detail ? detail.title : 'Event details'}</div>
+        <button onClick={onClose} aria-label="Close event details" style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--panel-text)', fontSize: 18 }}>✕</button>
+      </div>
+
+      {loading && <div style={{ marginTop: 12, fontSize: 13 }}>Loading event details...</div>}
+      {error && <div style={{ marginTop: 12, fontSize: 13, color: 'red' }}>Error: {error}</div>}
+
+      {detail && (
+        <>
+          <div style={{ marginTop: 6, fontSize: 12, color: '#6b7280' }}>
+            {formatTimestamp(detail.time)} · {detail.status || 'unknown status'} · {eventId}
+          </div>
+          <div style={{ marginTop: 8, display: 'flex', gap: 8, flexWrap: 'wrap', fontSize: 12 }}>
+            <span style={{ fontWeight: 700 }}>M{fmt(detail.magnitude)} {detail.magType}</span>
+            {(detail.pager?.alertLevel || detail.alert) && (
+              <span style={{ padding: '0 6px', borderRadius: 4, color: 'white', background: PAGER_COLORS[detail.pager?.alertLevel || detail.alert] || '#6b7280' }}>
+                PAGER {detail.pager?.alertLevel || detail.alert}
+              </span>
+            )}
+            {detail.tsunami && <span style={{ color: '#dc2626' }}>Tsunami flag</span>}
+            {detail.url && <a href={detail.url} target="_blank" rel="noreferrer" style={{ color: 'var(--accent)' }}>USGS event page</a>}
+          </div>
+
+          <Section title={`Origins (${detail.origins.length})`}>
+            {detail.origins.length === 0 && 'No origin products'}
+            {detail.origins.map((o, i) => (
+              <div key={`${o.source}-${i}`} style={{ marginBottom: 6, opacity: i === 0 ? 1 : 0.8 }}>
+                <strong>{(o.source || '').toUpperCase()}</strong>{i === 0 ? ' (preferred)' : ''} · {o.status || 'N/A'}
+                <div>M{fmt(o.magnitude)} {o.magType || ''} · depth {fmt(o.depth, 1, ' km')} · {fmt(o.latitude, 3)}, {fmt(o.longitude, 3)}</div>
+                {(o.stations !== null || o.azimuthalGap !== null) && (
+                  <div style={{ color: '#6b7280' }}>{o.stations !== null ? `${o.stations} stations` : ''}{o.azimuthalGap !== null ? ` · gap ${fmt(o.azimuthalGap, 0, '°')}` : ''}</div>
+                )}
+              </div>
+            ))}
+          </Section>
+
+          {detail.momentTensor && (
+            <Section title="Moment tensor">
+              <div>{(detail.momentTensor.source || '').toUpperCase()} · M{fmt(detail.momentTensor.derivedMagnitude)} {detail.momentTensor.derivedMagnitudeType || ''}</div>
+              {detail.momentTensor.scalarMoment !== null && <div>Scalar moment: {detail.momentTensor.scalarMoment.toExponential(2)} N·m</div>}
+              {detail.momentTensor.percentDoubleCouple !== null && <div>Double couple: {fmt(detail.momentTensor.percentDoubleCouple * (detail.momentTensor.percentDoubleCouple <= 1 ? 100 : 1), 0, '%')}</div>}
+              <NodalPlanes planes={detail.momentTensor.nodalPlanes} />
+              <FileLinks files={detail.momentTensor.files} />
+            </Section>
+          )}
+
+          {detail.focalMechanism && (
+            <Section title="Focal mechanism">
+              <div>{(detail.focalMechanism.source || '').toUpperCase()}</div>
+              <NodalPlanes planes={detail.focalMechanism.nodalPlanes} />
+              <FileLinks files={detail.focalMechanism.files} />
+            </Section>
+          )}
+
+          {detail.shakemap && (
+            <Section title="ShakeMap">
+              <div>Max MMI {fmt(detail.shakemap.maxMmi)} · PGA {fmt(detail.shakemap.maxPga, 2, '%g')} · PGV {fmt(detail.shakemap.maxPgv, 2, ' cm/s')}</div>
+              {detail.shakemap.status && <div style={{ color: '#6b7280' }}>Status: {detail.shakemap.status}</div>}
+              <FileLinks files={detail.shakemap.files} />
+            </Section>
+          )}
+
+          {detail.dyfi && (
+            <Section title="Did You Feel It?">
+              <div>{detail.dyfi.responses ?? 0} responses · max CDI {fmt(detail.dyfi.maxMmi)}</div>
+              <FileLinks files={detail.dyfi.files} />
+            </Section>
+          )}
+
+          {detail.pager && (
+            <Section title="PAGER">
+              <div>Alert level: {detail.pager.alertLevel || 'N/A'} · max MMI {fmt(detail.pager.maxMmi)}</div>
+              <FileLinks files={detail.pager.files} />
+            </Section>
+          )}
+
+          <Section title="Products">
+            <div style={{ color: '#6b7280' }}>{detail.productTypes.join(', ') || 'None'}</div>
+          </Section>
+        </>
+      )}
+    </aside>
+  )
+}
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { EXPORT_FORMATS, CSV_COLUMNS, DEFAULT_CSV_COLUMNS, exportEvents, downloadFile, buildExportMetadata } from '../utils/exporters'
+
+const selectStyle = { fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+
+// Export popover: pick the scope (all loaded vs rendered), the format and, for CSV, the columns
+export default function ExportMenu({ allEvents = [], visibleEvents = [], query = {}, onExported = () => {} }) {
+  const [open, setOpen] = useState(false)
+  const [scope, setScope] = useState('all')
+  const [format, setFormat] = useState('geojson')
+  const [columns, setColumns] = useState(DEFAULT_CSV_COLUMNS)
+
+  const events = scope === 'visible' ? visibleEvents : allEvents
+
+  const handleExport = () => {
+    const fmt = EXPORT_FORMATS.find(f => f.id === format)
+    const metadata = buildExportMetadata({ ...query, scope: scope === 'visible' ? 'rendered on map' : 'all loaded', count: events.length })
+    try {
+      const content = exportEvents(format, events, { metadata, columns })
+      const stamp = metadata.generated.replace(/[:.]/g, '-')
+      downloadFile(content, `earthquakes-${query.range || 'custom'}-${stamp}.${fmt.extension}`, fmt.mime)
+      onExported(null, { format: fmt.label, count: events.length })
+      setOpen(false)
+    } catch (e) {
+      onExported(e)
+    }
+  }
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(v => !v)}
+        aria-expanded={open}
+        style={{ background: '#2563eb', color: 'white', border: 'none', padding: '3px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 11 }}
+      >
+        Export
+      </button>
+      {open && (
+        <div style={{ position: 'absolute', top: '100%', left: 0, marginTop: 6, zIndex: 7100, width: 260, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 10, borderRadius: 8, boxShadow: '0 6px 18px rgba(0,0,0,0.18)', display: 'grid', gap: 8, fontSize: 12 }}>
+          <div style={{ fontWeight: 600 }}>Export events</div>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input type="radio" name="export-scope" checked={scope === 'all'} onChange={() => setScope('all')} />
+            All loaded ({allEvents.length})
+          </label>
+          <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input type="radio" name="export-scope" checked={scope === 'visible'} onChange={() => setScope('visible')} />
+            Rendered on map ({visibleEvents.length})
+          </label>
+          <select value={format} onChange={e => setFormat(e.target.value)} style={selectStyle} aria-label="Export format">
+            {EXPORT_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+          {format === 'csv' && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 8px', maxHeight: 140, overflowY: 'auto' }}>
+              {CSV_COLUMNS.map(c => (
+                <label key={c.key} style={{ display: 'flex', gap: 4, alignItems: 'center', fontSize: 11 }}>
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(c.key)}
+                    onChange={e => setColumns(prev => e.target.checked ? [...prev, c.key] : prev.filter(k => k !== c.key))}
+                  />
+                  {c.label}
+                </label>
+              ))}
+            </div>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 6 }}>
+            <button onClick={() => setOpen(false)} style={{ background: 'rgba(229,231,235,0.12)', border: 'none', padding: '4px 8px', borderRadius: 4, cursor: 'pointer', color: 'var(--panel-text)' }}>Cancel</button>
+            <button
+              onClick={handleExport}
+              disabled={events.length === 0 || (format === 'csv' && columns.length === 0)}
+              style={{ background: '#2563eb', color: 'white', border: 'none', padding: '4px 8px', borderRadius: 4, cursor: 'pointer' }}
+            >
+              Download
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,16 +1,60 @@
-import React, { useEffect, useState, useRef } from 'react'
+import React, { useEffect, useState, useRef, useMemo } from 'react'
+import { useEarthquakeStore } from '../store/EarthquakeStore'
+import {
+  DEFAULT_FILTERS,
+  DEPTH_PRESETS,
+  ALERT_LEVELS,
+  MAX_DEPTH_KM,
+  countRemovedByFilter,
+  collectFilterOptions,
+  countActiveFilters
+} from '../utils/eventFilters'
 
-export default function Filters({ range, setRange, minMagnitude, setMinMagnitude }) {
+const chipStyle = (active) => ({
+  padding: '4px 8px',
+  borderRadius: 999,
+  fontSize: 12,
+  border: active ? `2px solid var(--selected-border)` : `1px solid var(--muted-border)`,
+  background: active ? 'var(--selected-bg)' : 'var(--panel-bg)',
+  color: active ? 'var(--selected-text)' : 'var(--panel-text)',
+  cursor: 'pointer'
+})
+
+const inputStyle = { padding: '8px 10px', borderRadius: 6, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+
+// "−123" badge telling how many loaded events a filter removes
+function RemovedBadge({ count }) {
+  if (!count) return null
+  return <span style={{ marginLeft: 6, fontSize: 11, fontWeight: 400, color: '#dc2626' }}>−{count}</span>
+}
+
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+}
+
+export default function Filters() {
+  // the loaded feed offers the networks/types present and lets each filter count its removals
+  const { range, setRange, minMagnitude, setMinMagnitude, filters: activeFilters, setFilters, features: data } = useEarthquakeStore()
+  const filters = activeFilters || DEFAULT_FILTERS
   const ranges = ['24h', '7d', '30d']
   const [localMin, setLocalMin] = useState(minMagnitude)
+  const [localMax, setLocalMax] = useState(filters.maxMagnitude ?? '')
+  const [localDepth, setLocalDepth] = useState([filters.minDepth ?? 0, filters.maxDepth ?? MAX_DEPTH_KM])
   const [pending, setPending] = useState(false)
+  const [showAdvanced, setShowAdvanced] = useState(false)
   const timeoutRef = useRef(null)
+  const advancedTimeoutRef = useRef(null)
 
   // keep local input in sync when parent changes externally
   useEffect(() => {
     setLocalMin(minMagnitude)
   }, [minMagnitude])
 
+  useEffect(() => {
+    setLocalMax(filters.maxMagnitude ?? '')
+    setLocalDepth([filters.minDepth ?? 0, filters.maxDepth ?? MAX_DEPTH_KM])
+  }, [filters.maxMagnitude, filters.minDepth, filters.maxDepth])
+
   // debounce applying the minMagnitude to parent
   useEffect(() => {
     setPending(true)
@@ -25,6 +69,31 @@ export default function Filters({ range, setRange, minMagnitude, setMinMagnitude
     }
   }, [localMin, setMinMagnitude])
 
+  // debounce the max magnitude and depth inputs the same way
+  useEffect(() => {
+    if (advancedTimeoutRef.current) clearTimeout(advancedTimeoutRef.current)
+    advancedTimeoutRef.current = setTimeout(() => {
+      const maxMagnitude = localMax === '' || isNaN(Number(localMax)) ? null : Number(localMax)
+      const minDepth = localDepth[0] > 0 ? localDepth[0] : null
+      const maxDepth = localDepth[1] < MAX_DEPTH_KM ? localDepth[1] : null
+      setFilters(prev => (
+        prev.maxMagnitude === maxMagnitude && prev.minDepth === minDepth && prev.maxDepth === maxDepth
+          ? prev
+          : { ...prev, maxMagnitude, minDepth, maxDepth }
+      ))
+      advancedTimeoutRef.current = null
+    }, 400)
+    return () => {
+      if (advancedTimeoutRef.current) clearTimeout(advancedTimeoutRef.current)
+    }
+  }, [localMax, localDepth, setFilters])
+
+  const options = useMemo(() => collectFilterOptions(data), [data])
+  const removed = useMemo(() => countRemovedByFilter(data, filters), [data, filters])
+  const activeCount = countActiveFilters(filters)
+
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }))
+
   return (
     <div style={{ padding: 12 }}>
       <div style={{ marginBottom: 12 }}>
@@ -50,21 +119,123 @@ export default function Filters({ range, setRange, minMagnitude, setMinMagnitude
       </div>
 
       <div >
-        <div style={{ fontWeight: 600, marginBottom: 8 }}>Minimum magnitude</div>
-        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <div style={{ fontWeight: 600, marginBottom: 8 }}>Magnitude</div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <label style={{ fontSize: 12 }}>Min</label>
           <input
             type="number"
             min="0"
             step="0.1"
             value={localMin}
             onChange={e => setLocalMin(e.target.value)}
-            style={{ width: '10%', padding: '8px 10px', borderRadius: 6, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}
+            style={{ ...inputStyle, width: 80 }}
+          />
+          <label style={{ fontSize: 12 }}>Max<RemovedBadge count={removed.maxMagnitude} /></label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            placeholder="any"
+            value={localMax}
+            onChange={e => setLocalMax(e.target.value)}
+            style={{ ...inputStyle, width: 80 }}
           />
           <div style={{ minWidth: 80, fontSize: 12, color: pending ? 'var(--accent)' : '#6b7280' }}>
             {pending ? 'Applying...' : 'Applied'}
           </div>
         </div>
       </div>
+
+      <div style={{ marginTop: 12 }}>
+        <button
+          onClick={() => setShowAdvanced(v => !v)}
+          aria-expanded={showAdvanced}
+          style={{ background: 'transparent', border: 'none', padding: 0, fontWeight: 600, cursor: 'pointer', color: 'var(--panel-text)' }}
+        >
+          {showAdvanced ? '▾' : '▸'} Advanced filters{activeCount > 0 ? ` (${activeCount} active)` : ''}
+        </button>
+        {activeCount > 0 && (
+          <button
+            onClick={() => setFilters(DEFAULT_FILTERS)}
+            style={{ marginLeft: 12, fontSize: 12, background: 'transparent', border: 'none', color: 'var(--accent)', cursor: 'pointer' }}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {showAdvanced && (
+        <div style={{ display: 'grid', gap: 12, marginTop: 10 }}>
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>
+              Depth: {localDepth[0]}–{localDepth[1]}{localDepth[1] >= MAX_DEPTH_KM ? '+' : ''} km<RemovedBadge count={removed.depth} />
+            </div>
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 6 }}>
+              {DEPTH_PRESETS.map(p => {
+                const active = localDepth[0] === p.min && localDepth[1] === p.max
+                return (
+                  <button key={p.id} onClick={() => setLocalDepth(active ? [0, MAX_DEPTH_KM] : [p.min, p.max])} style={chipStyle(active)}>
+                    {p.label} ({p.min}–{p.max} km)
+                  </button>
+                )
+              })}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 8px', alignItems: 'center', maxWidth: 420 }}>
+              <label style={{ fontSize: 11 }}>From</label>
+              <input type="range" min="0" max={MAX_DEPTH_KM} step="10" value={localDepth[0]}
+                onChange={e => { const v = Number(e.target.value); setLocalDepth(([, max]) => [Math.min(v, max), max]) }} />
+              <label style={{ fontSize: 11 }}>To</label>
+              <input type="range" min="0" max={MAX_DEPTH_KM} step="10" value={localDepth[1]}
+                onChange={e => { const v = Number(e.target.value); setLocalDepth(([min]) => [min, Math.max(v, min)]) }} />
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Event type<RemovedBadge count={removed.types} /></div>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {options.types.length === 0 && <span style={{ fontSize: 12, color: '#6b7280' }}>No data loaded</span>}
+              {options.types.map(o => (
+                <button key={o.value} onClick={() => updateFilter('types', toggleValue(filters.types, o.value))} style={chipStyle(filters.types.includes(o.value))}>
+                  {o.value} ({o.count})
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Network<RemovedBadge count={removed.networks} /></div>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {options.networks.map(o => (
+                <button key={o.value} onClick={() => updateFilter('networks', toggleValue(filters.networks, o.value))} style={chipStyle(filters.networks.includes(o.value))}>
+                  {o.value.toUpperCase()} ({o.count})
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>PAGER alert<RemovedBadge count={removed.alerts} /></div>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {ALERT_LEVELS.map(level => (
+                <button key={level} onClick={() => updateFilter('alerts', toggleValue(filters.alerts, level))} style={chipStyle(filters.alerts.includes(level))}>
+                  <span style={{ color: level }}>●</span> {level}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap' }}>
+            <label style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 13 }}>
+              <input type="checkbox" checked={filters.reviewedOnly} onChange={e => updateFilter('reviewedOnly', e.target.checked)} />
+              <span>Reviewed only<RemovedBadge count={removed.reviewedOnly} /></span>
+            </label>
+            <label style={{ display: 'inline-flex', alignItems: 'center', gap: 6, fontSize: 13 }}>
+              <input type="checkbox" checked={filters.tsunamiOnly} onChange={e => updateFilter('tsunamiOnly', e.target.checked)} />
+              <span>Tsunami flag<RemovedBadge count={removed.tsunamiOnly} /></span>
+            </label>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
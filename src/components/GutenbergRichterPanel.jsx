@@ -0,0 +1,74 @@
+import React, { useMemo, useState } from 'react'
+import { ComposedChart, Bar, Line, Scatter, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, Legend } from 'recharts'
+import { analyzeCatalog, MC_METHODS, MIN_EVENTS } from '../utils/gutenbergRichter'
+
+const selectStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+
+// Frequency–magnitude distribution with Mc, b-value and the fitted G-R line
+export default function GutenbergRichterPanel({ events = [], title = 'Frequency–magnitude (G-R)' }) {
+  const [method, setMethod] = useState('maxc')
+  const analysis = useMemo(() => analyzeCatalog(events, { method }), [events, method])
+  const { fmd, fit, mc, mcMaxc, mcGof, line } = analysis
+
+  // log axes can't show zero, so empty bins are left as gaps
+  const chartData = useMemo(() => {
+    const expected = new Map(line.map(p => [p.mag, p.expected]))
+    return fmd.map(bin => ({
+      mag: bin.mag,
+      count: bin.count || null,
+      cumulative: bin.cumulative || null,
+      expected: expected.get(bin.mag) ?? null
+    }))
+  }, [fmd, line])
+
+  return (
+    <div style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 8, borderRadius: 8 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 6 }}>
+        <div style={{ fontSize: 13, fontWeight: 600 }}>{title}</div>
+        <select value={method} onChange={e => setMethod(e.target.value)} aria-label="Mc method" style={selectStyle}>
+          {Object.entries(MC_METHODS).map(([key, label]) => <option key={key} value={key}>Mc: {label}</option>)}
+        </select>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, fontSize: 12, marginBottom: 6 }}>
+        <span>N = {analysis.count}</span>
+        <span>Mc = {mc !== null ? mc.toFixed(1) : '—'}</span>
+        <span>
+          b = {fit ? `${fit.b.toFixed(2)} ± ${fit.sigma.toFixed(2)}` : '—'}
+        </span>
+        <span>a = {fit ? fit.a.toFixed(2) : '—'}</span>
+        <span style={{ color: '#6b7280' }}>
+          MAXC {mcMaxc !== null ? mcMaxc.toFixed(1) : '—'} · GOF {mcGof !== null ? mcGof.toFixed(1) : '—'}{analysis.gofLevel ? ` (${analysis.gofLevel}%)` : ''}
+        </span>
+      </div>
+
+      {!fit && analysis.count > 0 && (
+        <div style={{ fontSize: 12, color: '#6b7280', marginBottom: 6 }}>
+          Not enough events above Mc for a b-value (need at least {MIN_EVENTS}).
+        </div>
+      )}
+
+      <div style={{ height: 200 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart className="recharts-wrapper" data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--grid)" />
+            <XAxis dataKey="mag" type="number" domain={['dataMin', 'dataMax']} tickFormatter={m => m.toFixed(1)} tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} />
+            <YAxis scale="log" domain={[1, 'auto']} allowDataOverflow tick={{ fontSize: 10, fill: 'var(--panel-text)' }} axisLine={{ stroke: 'var(--grid)' }} tickLine={false} width={40} />
+            <Tooltip
+              labelFormatter={m => `M ${Number(m).toFixed(1)}`}
+              formatter={(value, name) => [name === 'G-R fit' ? value.toFixed(1) : value, name]}
+              contentStyle={{ backgroundColor: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--grid)' }}
+              labelStyle={{ color: 'var(--panel-text)' }}
+              itemStyle={{ color: 'var(--panel-text)' }}
+            />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Bar dataKey="count" name="Per bin" fill="var(--chart-bar-muted)" isAnimationActive={false} />
+            <Scatter dataKey="cumulative" name="Cumulative" fill="var(--chart-bar)" isAnimationActive={false} />
+            <Line dataKey="expected" name="G-R fit" stroke="var(--accent)" dot={false} strokeWidth={2} connectNulls isAnimationActive={false} />
+            {mc !== null && <ReferenceLine x={mc} stroke="var(--accent)" strokeDasharray="4 4" label={{ value: 'Mc', fontSize: 10, fill: 'var(--panel-text)', position: 'top' }} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
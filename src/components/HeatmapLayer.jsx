@@ -1,24 +1,32 @@
-import { useEffect } from 'react'
+import { useEffect, useRef } from 'react'
 import { useMap } from 'react-leaflet'
-import L from 'leaflet'
-import 'leaflet.heat'
+import { heatCanvasLayer, HEAT_GRADIENTS } from '../lib/heatLayer'
 
 // points: array of { lat, lng, intensity }
-export default function HeatmapLayer({ points = [], radius = 25, blur = 15, maxZoom = 10, gradient = null, maxIntensity = 1 }) {
+// The layer is created once and updated in place so pan/zoom redraws stay cheap.
+export default function HeatmapLayer({ points = [], radius = 25, blur = 15, gradient = 'classic', max = 1, opacity = 0.75 }) {
   const map = useMap()
+  const layerRef = useRef(null)
 
   useEffect(() => {
     if (!map) return
-    const heatPoints = points.map(p => [p.lat, p.lng, p.intensity || 0.5])
-    const options = { radius, blur, maxZoom }
-    if (gradient) options.gradient = gradient
-    if (maxIntensity) options.max = maxIntensity
-    const layer = L.heatLayer(heatPoints, options)
-    layer.addTo(map)
+    const layer = heatCanvasLayer([]).addTo(map)
+    layerRef.current = layer
     return () => {
       try { map.removeLayer(layer) } catch (e) { /* ignore */ }
+      layerRef.current = null
     }
-  }, [map, points, radius, blur, maxZoom, gradient, maxIntensity])
+  }, [map])
+
+  useEffect(() => {
+    if (!layerRef.current) return
+    const colors = typeof gradient === 'string' ? HEAT_GRADIENTS[gradient] || HEAT_GRADIENTS.classic : gradient
+    layerRef.current.setOptions({ radius, blur, max, gradient: colors }).setOpacity(opacity)
+  }, [radius, blur, max, gradient, opacity])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setPoints(points)
+  }, [points])
 
   return null
 }
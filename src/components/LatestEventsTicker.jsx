@@ -0,0 +1,36 @@
+import React from 'react'
+import { formatTimestamp } from '../utils/formatDate'
+
+// Scrolling list of events that appeared since live mode was switched on
+export default function LatestEventsTicker({ events = [], lastDiff = null, lastPoll = null, onSelect = () => {} }) {
+  return (
+    <div style={{ marginTop: 8, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: '8px 12px', borderRadius: 8, boxShadow: '0 1px 5px rgba(0,0,0,0.12)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <div style={{ fontSize: 13, fontWeight: 600 }}>
+          <span className="live-dot" aria-hidden="true" /> Latest events
+        </div>
+        <div style={{ fontSize: 11, color: '#6b7280' }}>
+          {lastDiff && `+${lastDiff.added.length} new · ${lastDiff.updated.length} updated · ${lastDiff.removed.length} removed`}
+          {lastPoll && ` — checked ${new Date(lastPoll).toLocaleTimeString()}`}
+        </div>
+      </div>
+      {events.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#6b7280', marginTop: 6 }}>Waiting for new events...</div>
+      ) : (
+        <div style={{ display: 'flex', gap: 8, overflowX: 'auto', marginTop: 6, paddingBottom: 4 }}>
+          {events.map(eq => (
+            <button
+              key={eq.id}
+              onClick={() => onSelect(eq.id)}
+              title={formatTimestamp(eq.time)}
+              style={{ flex: '0 0 auto', textAlign: 'left', fontSize: 12, padding: '4px 8px', borderRadius: 6, border: '1px solid var(--muted-border)', background: 'var(--panel-bg)', color: 'var(--panel-text)', cursor: 'pointer' }}
+            >
+              <strong>M{eq.magnitude != null ? Number(eq.magnitude).toFixed(1) : '?'}</strong> {eq.place || 'Unknown location'}
+              <span style={{ marginLeft: 6, color: '#6b7280' }}>{new Date(eq.time).toLocaleTimeString()}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,93 @@
+import React, { useState } from 'react'
+import { BASEMAPS, OVERLAYS, DEFAULT_OVERLAY_STYLES, BOUNDARY_TYPE_COLORS } from '../lib/mapLayers'
+
+const panelStyle = { position: 'absolute', top: 12, right: 12, zIndex: 7000, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: 8, borderRadius: 8, boxShadow: '0 1px 5px rgba(0,0,0,0.2)', fontSize: 12, width: 220 }
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '4px 8px', cursor: 'pointer', fontSize: 12 }
+
+// Basemap switcher and bundled vector overlays with per-overlay style
+export default function LayerManager({ basemap = 'street', overlays = [], overlayStyles = DEFAULT_OVERLAY_STYLES, plateDistance = false, onChange = () => {} }) {
+  const [open, setOpen] = useState(false)
+
+  if (!open) {
+    return (
+      <div style={{ ...panelStyle, width: 'auto', padding: 0 }}>
+        <button onClick={() => setOpen(true)} aria-label="Show layers" style={{ ...buttonStyle, border: 'none' }}>🗺 Layers</button>
+      </div>
+    )
+  }
+
+  const toggleOverlay = (id, visible) => onChange('overlays', visible ? [...overlays, id] : overlays.filter(o => o !== id))
+  const setStyle = (id, patch) => onChange('overlayStyles', { ...overlayStyles, [id]: { ...(overlayStyles[id] || OVERLAYS[id].defaultStyle), ...patch } })
+
+  return (
+    <div style={{ ...panelStyle, display: 'grid', gap: 8 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Layers</strong>
+        <button onClick={() => setOpen(false)} aria-label="Hide layers" style={{ border: 'none', background: 'transparent', color: 'var(--panel-text)', cursor: 'pointer' }}>✕</button>
+      </div>
+
+      <fieldset style={{ border: 'none', margin: 0, padding: 0, display: 'grid', gap: 2 }}>
+        <legend style={{ fontWeight: 600, marginBottom: 2 }}>Basemap</legend>
+        {Object.entries(BASEMAPS).map(([id, b]) => (
+          <label key={id} style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input type="radio" name="basemap" checked={basemap === id} onChange={() => onChange('basemap', id)} />
+            {b.label}
+          </label>
+        ))}
+      </fieldset>
+
+      <div style={{ display: 'grid', gap: 6 }}>
+        <div style={{ fontWeight: 600 }}>Overlays</div>
+        {Object.entries(OVERLAYS).map(([id, o]) => {
+          const style = overlayStyles[id] || o.defaultStyle
+          const visible = overlays.includes(id)
+          return (
+            <div key={id} style={{ display: 'grid', gap: 4 }}>
+              <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                <input type="checkbox" checked={visible} onChange={e => toggleOverlay(id, e.target.checked)} />
+                <span style={{ flex: 1 }}>{o.label}</span>
+                <input
+                  type="color"
+                  value={style.color}
+                  disabled={style.colorByType}
+                  onChange={e => setStyle(id, { color: e.target.value })}
+                  aria-label={`${o.label} color`}
+                  style={{ width: 20, height: 20, padding: 0, border: 'none', background: 'transparent', opacity: style.colorByType ? 0.3 : 1 }}
+                />
+              </label>
+              {visible && (
+                <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '2px 6px', alignItems: 'center', paddingLeft: 20 }}>
+                  <span>Opacity</span>
+                  <input type="range" min="0.1" max="1" step="0.05" value={style.opacity} onChange={e => setStyle(id, { opacity: Number(e.target.value) })} aria-label={`${o.label} opacity`} />
+                  <span>Width</span>
+                  <input type="range" min="0.5" max="6" step="0.5" value={style.weight} onChange={e => setStyle(id, { weight: Number(e.target.value) })} aria-label={`${o.label} line width`} />
+                  {id === 'plates' && (
+                    <label style={{ gridColumn: '1 / -1', display: 'flex', gap: 6, alignItems: 'center' }}>
+                      <input type="checkbox" checked={!!style.colorByType} onChange={e => setStyle(id, { colorByType: e.target.checked })} />
+                      Color by boundary type
+                    </label>
+                  )}
+                  {id === 'plates' && style.colorByType && (
+                    <div style={{ gridColumn: '1 / -1', display: 'flex', flexWrap: 'wrap', gap: 6 }}>
+                      {Object.entries(BOUNDARY_TYPE_COLORS).map(([type, color]) => (
+                        <span key={type} style={{ display: 'inline-flex', alignItems: 'center', gap: 3 }}>
+                          <span style={{ width: 10, height: 3, background: color, display: 'inline-block' }} />{type}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        <input type="checkbox" checked={plateDistance} onChange={e => onChange('plateDistance', e.target.checked)} />
+        Distance to plate boundary in popups
+      </label>
+      <div style={{ color: '#6b7280', fontSize: 11 }}>Boundaries and faults are simplified; distances are approximate.</div>
+    </div>
+  )
+}
@@ -1,25 +1,28 @@
 import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react'
-import { MapContainer, TileLayer, CircleMarker, Popup, Marker, useMap } from 'react-leaflet'
+import { MapContainer, TileLayer, CircleMarker, Marker, Pane, Rectangle, Polygon, Polyline, Circle, Tooltip, GeoJSON, useMap } from 'react-leaflet'
 import L from 'leaflet'
-import earthquakesAPI from '../api/earthquakes'
 import { formatTimestamp } from '../utils/formatDate'
-import cacheLib from '../lib/cache'
 import CacheInspector from './CacheInspector'
+import { DEFAULT_RENDER_OPTIONS } from '../utils/urlState'
+import { diffEvents } from '../utils/diffEvents'
+import { requestNotificationPermission, notifyEvent } from '../utils/notifications'
+import LatestEventsTicker from './LatestEventsTicker'
+import ExportMenu from './ExportMenu'
+import { playbackFade, isPlaybackActive } from '../utils/playback'
+import { getDataEngine, unpackClusters } from '../lib/dataEngine'
+import useDataQuery from '../hooks/useDataQuery'
+import { useEarthquakeStore, useSetHoveredId } from '../store/EarthquakeStore'
+import { heatPoints, HEAT_GRADIENTS, HEAT_WEIGHTINGS } from '../lib/heatLayer'
+import HeatmapLayer from './HeatmapLayer'
+import PointCanvasLayer from './PointCanvasLayer'
+import { energyGrid, formatEnergy } from '../utils/seismic'
+import { createEventStyle, COLOR_ATTRIBUTES, COLOR_MODES, PALETTES, SIZE_ATTRIBUTES } from '../lib/eventStyle'
+import { swathRing } from '../utils/crossSection'
+import LayerManager from './LayerManager'
+import { BASEMAPS, OVERLAYS, overlayFeatureStyle, nearestPlateBoundary } from '../lib/mapLayers'
 
-// Debounce utility
-function useDebounce(value, delay) {
-  const [debouncedValue, setDebouncedValue] = useState(value)
-  
-  useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedValue(value)
-    }, delay)
-    
-    return () => clearTimeout(handler)
-  }, [value, delay])
-  
-  return debouncedValue
-}
+// scales used when the page doesn't pass its shared eventStyle
+const DEFAULT_EVENT_STYLE = createEventStyle()
 
 // START: Mobile Responsiveness Hook
 // A simple hook to detect viewport size and determine if the view is mobile.
@@ -37,80 +40,6 @@ function useViewport() {
 }
 // END: Mobile Responsiveness Hook
 
-// Advanced Canvas-based Heatmap Component
-function CanvasHeatmap({ points, radius = 25, blur = 15, gradient, maxIntensity = 1 }) {
-  const map = useMap()
-  const canvasRef = useRef(null)
-  const layerRef = useRef(null)
-  
-  useEffect(() => {
-    if (!map || !points.length) return
-    
-    // Remove existing layer
-    if (layerRef.current) {
-      map.removeLayer(layerRef.current)
-    }
-    
-    // Create canvas element
-    const canvas = document.createElement('canvas')
-    const ctx = canvas.getContext('2d')
-    const bounds = map.getBounds()
-    const size = map.getSize()
-    
-    canvas.width = size.x
-    canvas.height = size.y
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-    
-    // Convert lat/lng to pixel coordinates and draw heat points
-    const pixelPoints = points.map(p => {
-      const point = map.latLngToContainerPoint([p.lat, p.lng])
-      return { x: point.x, y: point.y, intensity: p.intensity }
-    }).filter(p => p.x >= 0 && p.x <= size.x && p.y >= 0 && p.y <= size.y)
-    
-    if (pixelPoints.length === 0) return
-    
-    // Create heat effect
-    pixelPoints.forEach(point => {
-      const gradient = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius)
-      const alpha = Math.min(1, point.intensity / maxIntensity)
-      
-      gradient.addColorStop(0, `rgba(255, 0, 0, ${alpha * 0.8})`)
-      gradient.addColorStop(0.5, `rgba(255, 255, 0, ${alpha * 0.4})`)
-      gradient.addColorStop(1, `rgba(0, 255, 0, ${alpha * 0.1})`)
-      
-      ctx.fillStyle = gradient
-      ctx.beginPath()
-      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2)
-      ctx.fill()
-    })
-    
-    // Apply blur effect
-    if (blur > 0) {
-      ctx.filter = `blur(${blur}px)`
-      ctx.globalCompositeOperation = 'multiply'
-      ctx.drawImage(canvas, 0, 0)
-    }
-    
-    // Create Leaflet image overlay
-    const imageUrl = canvas.toDataURL()
-    const overlay = L.imageOverlay(imageUrl, bounds, { opacity: 0.7 })
-    overlay.addTo(map)
-
-    
-    layerRef.current = overlay
-    
-    return () => {
-      if (layerRef.current) {
-        map.removeLayer(layerRef.current)
-      }
-    }
-  }, [map, points, radius, blur, maxIntensity])
-  
-  return null
-}
-
 // Viewport bounds tracker component
 function ViewportTracker({ onBoundsChange }) {
   const map = useMap()
@@ -148,78 +77,72 @@ function ViewportTracker({ onBoundsChange }) {
   return null
 }
 
+// Keeps the Leaflet viewport and the shareable `view` ({ lat, lng, zoom }) in sync
+function ViewSync({ view, onViewChange }) {
+  const map = useMap()
+  const reportedRef = useRef(view)
+
+  // report user pans/zooms
+  useEffect(() => {
+    const report = () => {
+      const c = map.getCenter()
+      const next = { lat: c.lat, lng: c.lng, zoom: map.getZoom() }
+      reportedRef.current = next
+      onViewChange(next)
+    }
+    map.on('moveend', report)
+    return () => map.off('moveend', report)
+  }, [map, onViewChange])
+
+  // follow external changes (back/forward, pasted link) that the map didn't produce itself
+  useEffect(() => {
+    if (!view || view === reportedRef.current) return
+    const c = map.getCenter()
+    const same = Math.abs(c.lat - view.lat) < 1e-4 && Math.abs(c.lng - view.lng) < 1e-4 && map.getZoom() === view.zoom
+    if (!same) map.setView([view.lat, view.lng], view.zoom)
+  }, [map, view])
+
+  return null
+}
+
 // Lightweight Custom Clustering Component
-function LightweightCluster({ earthquakes, onMarkerClick, selectedId, highlightedIds }) {
+// `resultId` names a data engine query whose visible events are clustered; `events` is the array
+// its indices refer to
+function LightweightCluster({ resultId, events, eventStyle, onMarkerClick, onMarkerHover, selectedId, highlightedIds, pulsingIds, fadeFor, popupExtra }) {
   const map = useMap()
   const [clusters, setClusters] = useState([])
   const markersRef = useRef([])
   
-  // Simple clustering algorithm
-  const createClusters = useCallback((points, zoom) => {
-    const clusterDistance = zoom > 10 ? 40 : zoom > 7 ? 60 : zoom > 4 ? 80 : 120
-    const clusters = []
-    const processed = new Set()
-    
-    points.forEach((point, i) => {
-      if (processed.has(i)) return
-      
-      const cluster = {
-        lat: point.coords.lat,
-        lng: point.coords.lon,
-        points: [point],
-        maxMagnitude: point.magnitude || 0
-      }
-      
-      // Find nearby points
-      points.forEach((otherPoint, j) => {
-        if (i === j || processed.has(j)) return
-        
-        const distance = Math.sqrt(
-          Math.pow(point.coords.lat - otherPoint.coords.lat, 2) +
-          Math.pow(point.coords.lon - otherPoint.coords.lon, 2)
-        ) * 111000 // Rough conversion to meters
-        
-        if (distance < clusterDistance) {
-          cluster.points.push(otherPoint)
-          cluster.maxMagnitude = Math.max(cluster.maxMagnitude, otherPoint.magnitude || 0)
-          processed.add(j)
-        }
-      })
-      
-      // Update cluster center (weighted by magnitude)
-      if (cluster.points.length > 1) {
-        let totalWeight = 0
-        let weightedLat = 0
-        let weightedLng = 0
-        
-        cluster.points.forEach(p => {
-          const weight = Math.max(1, p.magnitude || 1)
-          weightedLat += p.coords.lat * weight
-          weightedLng += p.coords.lon * weight
-          totalWeight += weight
-        })
-        
-        cluster.lat = weightedLat / totalWeight
-        cluster.lng = weightedLng / totalWeight
-      }
-      
-      clusters.push(cluster)
-      processed.add(i)
-    })
-    
-    return clusters
-  }, [])
-  
+  // Ask the data engine for the current viewport and zoom; recluster on every pan/zoom
   useEffect(() => {
-    if (!map || !earthquakes.length) {
+    if (!map || !resultId) {
       setClusters([])
       return
     }
     
-    const zoom = map.getZoom()
-    const newClusters = createClusters(earthquakes, zoom)
-    setClusters(newClusters)
-  }, [earthquakes, map, createClusters])
+    let cancelled = false
+    let seq = 0
+    const update = () => {
+      const id = ++seq
+      const bounds = map.getBounds().pad(0.2)
+      const centerLng = map.getCenter().lng
+      const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+      getDataEngine().cluster(resultId, { bbox, zoom: map.getZoom(), radius: 60, maxZoom: 16 }).then(res => {
+        // superseded by a newer pan/zoom or query
+        if (cancelled || id !== seq || !res) return
+        const next = unpackClusters(res.clusters, events)
+        // when the map is panned across the antimeridian, draw each marker on the world copy being viewed
+        next.forEach(c => { c.lng += Math.round((centerLng - c.lng) / 360) * 360 })
+        setClusters(next)
+      }).catch(() => {})
+    }
+    update()
+    map.on('moveend', update)
+    return () => {
+      cancelled = true
+      map.off('moveend', update)
+    }
+  }, [resultId, events, map])
   
   // Clear existing markers
   useEffect(() => {
@@ -234,74 +157,69 @@ function LightweightCluster({ earthquakes, onMarkerClick, selectedId, highlighte
   // Render clusters
   useEffect(() => {
     if (!map || !clusters.length) return
+    const styleContext = { eventStyle, selectedId, highlighted: new Set(highlightedIds), fadeFor }
     
     clusters.forEach(cluster => {
-      const isMultiple = cluster.points.length > 1
-      
-      if (isMultiple) {
+      if (cluster.isCluster) {
         // Create cluster marker
-        const size = Math.min(60, 25 + Math.log10(cluster.points.length) * 15)
-        const color = magnitudeColor(cluster.maxMagnitude)
+        const { count, maxMagnitude, meanMagnitude, minDepth, maxDepth } = cluster.stats
+        const size = Math.min(60, 25 + Math.log10(count) * 15)
+        // colored like its most notable member under the active color scale
+        const color = eventStyle.color.groupColor(cluster.leaves)
+        const leaves = cluster.leaves
+        const hasNew = pulsingIds && pulsingIds.length > 0 && leaves.some(p => pulsingIds.includes(p.id))
+        // during playback a cluster is as visible as its most recent member
+        // (reduced, not spread: clusters can hold more leaves than a call takes arguments)
+        const fade = fadeFor ? leaves.reduce((max, eq) => Math.max(max, fadeFor(eq)), 0) : 1
         
         const icon = L.divIcon({
-          html: `<div style="background:${color};width:${size}px;height:${size}px;border-radius:50%;display:flex;align-items:center;justify-content:center;color:white;font-weight:700;border:2px solid rgba(255,255,255,0.9);font-size:${Math.max(10, size/4)}px;">${cluster.points.length}</div>`,
-          className: 'custom-cluster-marker',
+          html: `<div title="${count} earthquakes, max M${maxMagnitude.toFixed(1)}" style="background:${color};width:${size}px;height:${size}px;border-radius:50%;display:flex;align-items:center;justify-content:center;color:white;font-weight:700;border:2px solid rgba(255,255,255,0.9);font-size:${Math.max(10, size/4)}px;">${count}</div>`,
+          className: hasNew ? 'custom-cluster-marker eq-pulse' : 'custom-cluster-marker',
           iconSize: [size, size]
         })
         
-        const marker = L.marker([cluster.lat, cluster.lng], { icon })
+        const marker = L.marker([cluster.lat, cluster.lng], { icon, opacity: fade })
         
         marker.on('click', () => {
-          // Zoom into cluster
-          const group = new L.featureGroup(cluster.points.map(p => L.marker([p.coords.lat, p.coords.lon])))
-          map.fitBounds(group.getBounds().pad(0.1))
+          // Zoom in just far enough for the cluster to split
+          map.setView([cluster.lat, cluster.lng], Math.max(map.getZoom() + 1, cluster.expansionZoom))
         })
         
-        // Add popup with cluster info
-        const popupContent = `
+        // Summary on hover (click zooms)
+        const tooltipContent = `
           <div style="min-width: 180px;">
-            <strong>Cluster (${cluster.points.length} earthquakes)</strong>
-            <div>Max Magnitude: ${cluster.maxMagnitude.toFixed(1)}</div>
+            <strong>Cluster (${count} earthquakes)</strong>
+            <div>Max Magnitude: ${maxMagnitude.toFixed(1)}</div>
+            <div>Mean Magnitude: ${meanMagnitude.toFixed(1)}</div>
+            <div>Depth: ${minDepth.toFixed(0)}–${maxDepth.toFixed(0)} km</div>
             <div>Click to zoom in</div>
           </div>
         `
-        marker.bindPopup(popupContent)
+        marker.bindTooltip(tooltipContent, { direction: 'top', offset: [0, -size / 2] })
         
         marker.addTo(map)
         markersRef.current.push(marker)
       } else {
         // Single earthquake marker
-        const eq = cluster.points[0]
-        const isSelected = selectedId === eq.id
-        const isHighlighted = highlightedIds?.includes(eq.id)
+        const eq = cluster.point
+        const style = markerStyle(eq, styleContext)
         
-        const radius = isSelected ? Math.max(10, magnitudeRadius(eq.magnitude) + 4) : 
-                     isHighlighted ? Math.max(8, magnitudeRadius(eq.magnitude) + 2) : 
-                     magnitudeRadius(eq.magnitude)
-        
-        const color = isSelected ? '#07ccfd6e' : 
-                     isHighlighted ? '#0ea5a4' : 
-                     magnitudeColor(eq.magnitude)
-        
-        const marker = L.circleMarker([eq.coords.lat, eq.coords.lon], {
-          radius: radius,
-          fillColor: color,
-          color: color,
-          fillOpacity: isSelected ? 1 : isHighlighted ? 0.95 : 0.8,
-          weight: 2
+        const marker = L.circleMarker([eq.coords.lat, cluster.lng], {
+          radius: style.radius,
+          fillColor: style.fillColor,
+          color: style.color,
+          fillOpacity: style.fillOpacity,
+          opacity: style.opacity,
+          weight: style.weight,
+          className: pulsingIds?.includes(eq.id) ? 'eq-pulse' : ''
         })
         
         marker.on('click', () => onMarkerClick(eq.id))
+        marker.on('mouseover', () => onMarkerHover(eq.id))
+        marker.on('mouseout', () => onMarkerHover(null))
         
-        const popupContent = `
-          <div style="min-width: 180px;">
-            <strong>${eq.place}</strong>
-            <div>Magnitude: ${eq.magnitude ?? 'N/A'}</div>
-            <div>Depth: ${eq.depth ?? 'N/A'} km</div>
-            <div>${formatTimestamp(eq.time)}</div>
-          </div>
-        `
-        marker.bindPopup(popupContent)
+        // extra rows are computed when the popup opens, not for every marker
+        marker.bindPopup(popupExtra ? () => eventPopupHtml(eq, popupExtra(eq)) : eventPopupHtml(eq))
         
         marker.addTo(map)
         markersRef.current.push(marker)
@@ -316,243 +234,531 @@ function LightweightCluster({ earthquakes, onMarkerClick, selectedId, highlighte
       })
       markersRef.current = []
     }
-  }, [clusters, map, onMarkerClick, selectedId, highlightedIds])
+  }, [clusters, map, eventStyle, onMarkerClick, onMarkerHover, selectedId, highlightedIds, pulsingIds, fadeFor, popupExtra])
   
   return null
 }
 
-// Enhanced earthquake API with geographic bounds support
-async function getEarthquakesWithBounds({ range = '24h', minMagnitude = 0, bounds = null, maxResults = 500, signal } = {}) {
-  // First get all earthquakes
-  const result = await earthquakesAPI.getEarthquakes({ range, minMagnitude, maxResults: maxResults * 2, signal })
-  
-  if (!result.ok || !bounds) {
-    return result
-  }
-  
-  // Filter by geographic bounds
-  const filtered = result.features.filter(eq => {
-    if (!eq.coords) return false
-    const { lat, lon } = eq.coords
-    return lat >= bounds.south && lat <= bounds.north && 
-           lon >= bounds.west && lon <= bounds.east
+// Bundled vector overlay (plate boundaries, faults); restyled in place when its style changes
+function OverlayLayer({ id, style }) {
+  const layerRef = useRef(null)
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setStyle(feature => overlayFeatureStyle(id, style, feature))
+  }, [id, style])
+
+  return (
+    <GeoJSON
+      ref={layerRef}
+      data={OVERLAYS[id].data}
+      style={feature => overlayFeatureStyle(id, style, feature)}
+      onEachFeature={(feature, layer) => layer.bindTooltip(feature.properties.name, { sticky: true })}
+    />
+  )
+}
+
+// "Blank" basemap: no tiles, plain background for printing
+function BlankBasemap() {
+  const map = useMap()
+
+  useEffect(() => {
+    const container = map.getContainer()
+    const previous = container.style.background
+    container.style.background = '#ffffff'
+    return () => { container.style.background = previous }
+  }, [map])
+
+  return null
+}
+
+function plateDistanceHtml(eq) {
+  const nearest = nearestPlateBoundary(eq)
+  if (!nearest) return ''
+  return `<div style="color:#6b7280;font-size:11px">${Math.round(nearest.distanceKm)} km from ${nearest.name} (${nearest.type})</div>`
+}
+
+// Event fields can come from imported files, so they are escaped before going into popup html
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+}
+
+// Imported overlay datasets, drawn with their own color underneath the USGS markers. Each one
+// is a single canvas layer: imported catalogs can be large and their ids are not always unique.
+function DatasetLayer({ dataset, eventStyle }) {
+  const style = useMemo(() => {
+    const { color } = dataset
+    return eq => ({ radius: Math.max(3, eventStyle.size.radius(eq) * 0.8), color, fillColor: color, fillOpacity: 0.55, opacity: 1, weight: 1 })
+  }, [dataset, eventStyle])
+  const popup = useMemo(() => eq => `
+    <div style="min-width: 180px;">
+      <strong>${escapeHtml(eq.place || eq.id)}</strong>
+      <div>Magnitude: ${escapeHtml(eq.magnitude ?? 'N/A')}${eq.magType ? ` ${escapeHtml(eq.magType)}` : ''}</div>
+      <div>Depth: ${escapeHtml(eq.depth ?? 'N/A')} km</div>
+      <div>${formatTimestamp(eq.time)}</div>
+      <div style="color: ${dataset.color}; font-size: 11px;">Dataset: ${escapeHtml(dataset.name)}</div>
+    </div>
+  `, [dataset])
+  return <PointCanvasLayer events={dataset.events} style={style} popup={popup} pane="datasets" />
+}
+
+// Grid cell size (degrees) for the energy choropleth at a given zoom
+function energyCellSize(zoom) {
+  if (zoom >= 7) return 0.25
+  if (zoom >= 5) return 1
+  if (zoom >= 3) return 2
+  return 5
+}
+
+const ENERGY_RAMP = ['#fff7bc', '#fec44f', '#fe9929', '#ec7014', '#cc4c02', '#8c2d04']
+
+// Choropleth of radiated energy summed per grid cell; colors are on a log scale
+function EnergyGridLayer({ earthquakes, setHighlightedIds }) {
+  const map = useMap()
+  const [zoom, setZoom] = useState(map.getZoom())
+
+  useEffect(() => {
+    const update = () => setZoom(map.getZoom())
+    map.on('zoomend', update)
+    return () => map.off('zoomend', update)
+  }, [map])
+
+  const cellDeg = energyCellSize(zoom)
+  const cells = useMemo(() => energyGrid(earthquakes, cellDeg), [earthquakes, cellDeg])
+  const [minLog, maxLog] = useMemo(() => {
+    const logs = cells.map(c => Math.log10(c.energy)).filter(isFinite)
+    return logs.length ? [Math.min(...logs), Math.max(...logs)] : [0, 0]
+  }, [cells])
+
+  return cells.map(cell => {
+    const t = maxLog > minLog ? (Math.log10(cell.energy) - minLog) / (maxLog - minLog) : 1
+    const color = ENERGY_RAMP[Math.min(ENERGY_RAMP.length - 1, Math.floor(t * ENERGY_RAMP.length))]
+    return (
+      <Rectangle
+        key={`${cellDeg}:${cell.key}`}
+        bounds={cell.bounds}
+        pathOptions={{ color, weight: 0.5, fillColor: color, fillOpacity: 0.55 }}
+        eventHandlers={{ mouseover: () => setHighlightedIds(cell.ids), mouseout: () => setHighlightedIds([]) }}
+      >
+        <Tooltip sticky>
+          <div style={{ fontSize: 12 }}>
+            <div><strong>{formatEnergy(cell.energy)}</strong> radiated</div>
+            <div>{cell.count} events · max M{cell.maxMagnitude.toFixed(1)}</div>
+          </div>
+        </Tooltip>
+      </Rectangle>
+    )
   })
-  
-  // Apply result limit after filtering
-  const limited = maxResults ? filtered.slice(0, maxResults) : filtered
-  
-  return {
-    ...result,
-    features: limited,
-    originalCount: result.features.length,
-    filteredCount: filtered.length
-  }
 }
 
-// Optimized functions
-function magnitudeColor(m) {
-  if (m >= 6) return '#b91c1c'
-  if (m >= 5) return '#f97316'
-  if (m >= 4) return '#f59e0b'
-  if (m >= 2) return '#84cc16'
-  return '#10b981'
+const REGION_STYLE = { color: '#2563eb', weight: 2, dashArray: '6 4', fillOpacity: 0.06 }
+
+// Interactive drawing for spatial-filter regions.
+// drawMode: { shape: 'rectangle' | 'polygon' | 'circle', radiusKm } or null; Escape cancels.
+function RegionDrawLayer({ drawMode, onDrawn, onCancel }) {
+  const map = useMap()
+
+  useEffect(() => {
+    if (!drawMode) return
+    const container = map.getContainer()
+    container.style.cursor = 'crosshair'
+    let points = []
+    let preview = null
+    let drawing = false
+
+    const clearPreview = () => {
+      if (preview) map.removeLayer(preview)
+      preview = null
+    }
+    const finish = spec => {
+      clearPreview()
+      drawing = false
+      map.dragging.enable()
+      if (spec) onDrawn(spec)
+    }
+
+    const onMouseDown = e => {
+      if (drawMode.shape === 'circle') return
+      drawing = true
+      map.dragging.disable()
+      points = [e.latlng]
+    }
+    const onMouseMove = e => {
+      if (!drawing) return
+      if (drawMode.shape === 'rectangle') {
+        const bounds = L.latLngBounds(points[0], e.latlng)
+        if (preview) preview.setBounds(bounds)
+        else preview = L.rectangle(bounds, REGION_STYLE).addTo(map)
+      } else {
+        // freehand: only keep points a few pixels apart
+        const last = map.latLngToContainerPoint(points[points.length - 1])
+        if (last.distanceTo(map.latLngToContainerPoint(e.latlng)) < 4) return
+        points.push(e.latlng)
+        if (preview) preview.setLatLngs(points)
+        else preview = L.polyline(points, REGION_STYLE).addTo(map)
+      }
+    }
+    const onMouseUp = e => {
+      if (!drawing) return
+      if (drawMode.shape === 'rectangle') {
+        const a = points[0]
+        const b = e.latlng
+        if (a.equals(b)) return finish(null)
+        const south = Math.min(a.lat, b.lat)
+        const north = Math.max(a.lat, b.lat)
+        const west = Math.min(a.lng, b.lng)
+        const east = Math.max(a.lng, b.lng)
+        return finish({ shape: 'rectangle', ring: [[west, south], [east, south], [east, north], [west, north]] })
+      }
+      finish(points.length >= 3 ? { shape: 'polygon', ring: points.map(p => [p.lng, p.lat]) } : null)
+    }
+    const onClick = e => {
+      if (drawMode.shape !== 'circle') return
+      onDrawn({ shape: 'circle', center: { lat: e.latlng.lat, lon: e.latlng.lng }, radiusKm: drawMode.radiusKm })
+    }
+    const onKeyDown = e => {
+      if (e.key !== 'Escape') return
+      finish(null)
+      onCancel()
+    }
+
+    map.on('mousedown', onMouseDown)
+    map.on('mousemove', onMouseMove)
+    map.on('mouseup', onMouseUp)
+    map.on('click', onClick)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      map.off('mousedown', onMouseDown)
+      map.off('mousemove', onMouseMove)
+      map.off('mouseup', onMouseUp)
+      map.off('click', onClick)
+      window.removeEventListener('keydown', onKeyDown)
+      clearPreview()
+      map.dragging.enable()
+      container.style.cursor = ''
+    }
+  }, [map, drawMode, onDrawn, onCancel])
+
+  return null
 }
 
-function magnitudeRadius(m) {
-  if (!m && m !== 0) return 4
-  return Math.max(4, Math.min(40, m * 4))
+const PROFILE_STYLE = { color: '#7c3aed', weight: 3 }
+const SWATH_STYLE = { color: '#7c3aed', weight: 1, dashArray: '4 4', fillOpacity: 0.08 }
+
+// Click the start and end of a cross-section profile; the line follows the cursor in between.
+// Escape cancels.
+function ProfileDrawLayer({ active, onDrawn, onCancel }) {
+  const map = useMap()
+
+  useEffect(() => {
+    if (!active) return
+    const container = map.getContainer()
+    container.style.cursor = 'crosshair'
+    let start = null
+    let preview = null
+
+    const clearPreview = () => {
+      if (preview) map.removeLayer(preview)
+      preview = null
+    }
+    const onClick = e => {
+      if (!start) {
+        start = e.latlng
+        return
+      }
+      if (start.equals(e.latlng)) return
+      clearPreview()
+      onDrawn({ lat: start.lat, lon: start.lng }, { lat: e.latlng.lat, lon: e.latlng.lng })
+      start = null
+    }
+    const onMouseMove = e => {
+      if (!start) return
+      if (preview) preview.setLatLngs([start, e.latlng])
+      else preview = L.polyline([start, e.latlng], { ...PROFILE_STYLE, dashArray: '6 4' }).addTo(map)
+    }
+    const onKeyDown = e => {
+      if (e.key !== 'Escape') return
+      clearPreview()
+      start = null
+      onCancel()
+    }
+
+    map.on('click', onClick)
+    map.on('mousemove', onMouseMove)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      map.off('click', onClick)
+      map.off('mousemove', onMouseMove)
+      window.removeEventListener('keydown', onKeyDown)
+      clearPreview()
+      container.style.cursor = ''
+    }
+  }, [map, active, onDrawn, onCancel])
+
+  return null
 }
 
-// Check if earthquake is within viewport bounds
-function isInViewport(eq, bounds) {
-  if (!bounds || !eq.coords) return true
-  const { lat, lon } = eq.coords
-  return lat >= bounds.south && lat <= bounds.north && 
-         lon >= bounds.west && lon <= bounds.east
+// Cross-section profile line with its swath; A and B mark the ends of the section's distance axis
+function ProfileShape({ profile }) {
+  const ring = useMemo(() => (profile ? swathRing(profile) : null), [profile])
+  if (!profile) return null
+  const start = [profile.start.lat, profile.start.lon]
+  const end = [profile.end.lat, profile.end.lon]
+  return (
+    <>
+      <Polygon positions={ring.map(([lon, lat]) => [lat, lon])} pathOptions={SWATH_STYLE} interactive={false} />
+      <Polyline positions={[start, end]} pathOptions={PROFILE_STYLE} interactive={false} />
+      <CircleMarker center={start} radius={5} pathOptions={{ ...PROFILE_STYLE, fillOpacity: 1 }} interactive={false}>
+        <Tooltip permanent direction="left">A</Tooltip>
+      </CircleMarker>
+      <CircleMarker center={end} radius={5} pathOptions={{ ...PROFILE_STYLE, fillOpacity: 1 }} interactive={false}>
+        <Tooltip permanent direction="right">B</Tooltip>
+      </CircleMarker>
+    </>
+  )
 }
 
-// Smart rendering limits based on zoom and performance
-function getSmartRenderingLimit(zoom, totalCount, performance = 'auto') {
-  if (performance === 'high') {
-    if (zoom >= 10) return Math.min(2000, totalCount)
-    if (zoom >= 8) return Math.min(1500, totalCount)
-    if (zoom >= 6) return Math.min(1000, totalCount)
-    if (zoom >= 4) return Math.min(500, totalCount)
-    return Math.min(200, totalCount)
+// Outline of the active spatial-filter region; the map fits to it when it changes
+function RegionShape({ region }) {
+  const map = useMap()
+  const regionId = region ? region.id : null
+
+  useEffect(() => {
+    if (!region) return
+    const bounds = region.shape === 'circle'
+      ? L.latLng(region.center.lat, region.center.lon).toBounds(region.radiusKm * 2000)
+      : L.latLngBounds(region.ring.map(([lon, lat]) => [lat, lon]))
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [24, 24] })
+  }, [map, regionId])
+
+  if (!region) return null
+  if (region.shape === 'circle') {
+    return <Circle center={[region.center.lat, region.center.lon]} radius={region.radiusKm * 1000} pathOptions={REGION_STYLE} interactive={false} />
   }
-  
-  if (performance === 'balanced') {
-    if (zoom >= 8) return Math.min(1000, totalCount)
-    if (zoom >= 6) return Math.min(500, totalCount)
-    if (zoom >= 4) return Math.min(250, totalCount)
-    return Math.min(100, totalCount)
+  return <Polygon positions={region.ring.map(([lon, lat]) => [lat, lon])} pathOptions={REGION_STYLE} interactive={false} />
+}
+
+// USGS review status labels; other values are shown as they come
+const STATUS_LABELS = { reviewed: 'Reviewed', automatic: 'Automatic', deleted: 'Deleted' }
+
+// PAGER alert levels are color names; anything else gets a neutral swatch
+const PAGER_LEVELS = ['green', 'yellow', 'orange', 'red']
+
+// Optional USGS properties shown under the basic popup fields. Events can come from imported
+// files, so every value is escaped.
+function eventDetailsHtml(eq) {
+  const rows = []
+  if (eq.type && eq.type !== 'earthquake') rows.push(`<div style="color:#b45309">Type: ${escapeHtml(eq.type)}</div>`)
+  if (eq.status) rows.push(`<div>Status: ${STATUS_LABELS[eq.status] || escapeHtml(eq.status)}</div>`)
+  if (eq.alert) rows.push(`<div>PAGER alert: <span style="color:${PAGER_LEVELS.includes(eq.alert) ? eq.alert : '#6b7280'}">●</span> ${escapeHtml(eq.alert)}</div>`)
+  if (eq.tsunami) rows.push('<div style="color:#dc2626">Tsunami flag</div>')
+  if (eq.felt) rows.push(`<div>Felt reports: ${escapeHtml(eq.felt)}${eq.cdi != null ? ` (CDI ${escapeHtml(eq.cdi)})` : ''}</div>`)
+  if (eq.mmi != null) rows.push(`<div>MMI: ${escapeHtml(eq.mmi)}</div>`)
+  if (eq.net) rows.push(`<div style="color:#6b7280;font-size:11px">Network: ${escapeHtml(String(eq.net).toUpperCase())}${eq.sig != null ? ` · Sig ${escapeHtml(eq.sig)}` : ''}</div>`)
+  return rows.join('')
+}
+
+function eventPopupHtml(eq, extra = '') {
+  return `
+    <div style="min-width: 180px;">
+      <strong>${escapeHtml(eq.place || eq.id)}</strong>
+      <div>Magnitude: ${escapeHtml(eq.magnitude ?? 'N/A')}${eq.magType ? ` ${escapeHtml(eq.magType)}` : ''}</div>
+      <div>Depth: ${escapeHtml(eq.depth ?? 'N/A')} km</div>
+      <div>${formatTimestamp(eq.time)}</div>
+      ${eventDetailsHtml(eq)}
+      ${extra}
+    </div>
+  `
+}
+
+function eventTooltipHtml(eq) {
+  return `<strong>M${escapeHtml(eq.magnitude ?? '?')}</strong> ${escapeHtml(eq.place || eq.id)}`
+}
+
+// Single-event marker style shared by the DOM and canvas renderers.
+// eventStyle: color and size scales (lib/eventStyle); highlighted / pulsing: Sets of event ids
+function markerStyle(eq, { eventStyle, selectedId = null, highlighted = null, pulsing = null, fadeFor = null }) {
+  const isSelected = selectedId === eq.id
+  const isHighlighted = !!highlighted && highlighted.has(eq.id)
+  const fade = fadeFor ? fadeFor(eq) : 1
+
+  const baseRadius = eventStyle.size.radius(eq)
+  const radius = isSelected ? Math.max(10, baseRadius + 4) :
+               isHighlighted ? Math.max(8, baseRadius + 2) :
+               baseRadius
+
+  const color = isSelected ? '#07ccfd6e' :
+               isHighlighted ? '#0ea5a4' :
+               eventStyle.color.color(eq)
+
+  return {
+    radius,
+    fillColor: color,
+    color,
+    fillOpacity: (isSelected ? 1 : isHighlighted ? 0.95 : 0.8) * fade,
+    opacity: fade,
+    weight: 2,
+    halo: !!pulsing && pulsing.has(eq.id),
+    top: isSelected || isHighlighted
   }
-  
-  // Performance mode
-  if (zoom >= 8) return Math.min(500, totalCount)
-  if (zoom >= 6) return Math.min(250, totalCount)
-  if (zoom >= 4) return Math.min(150, totalCount)
-  return Math.min(75, totalCount)
 }
 
-export default function MapView({ range = '24h', minMagnitude = 0, selectedId = null, setSelectedId = () => {}, highlightedIds = [] }) {
+export default function MapView({ view = null, onViewChange = () => {}, renderOptions = DEFAULT_RENDER_OPTIONS, setRenderOptions = () => {}, eventStyle = DEFAULT_EVENT_STYLE, onLiveUpdate = () => {}, datasets = [], playback = null, drawMode = null, onRegionDrawn = () => {}, onDrawCancel = () => {}, onViewportBoundsChange = () => {}, profile = null, profileDrawing = false, onProfileDrawn = () => {}, onProfileCancel = () => {} }) {
   const { isMobile } = useViewport(); // <-- Use the viewport hook
-  const [allData, setAllData] = useState([])
+  // the feed, its loading state, filters and selection come from the shared store
+  const { features: allData, filtered: allFiltered, loading, error, fromCache, staleSince, fetchTime, refresh, query, filters, region, selectedId, setSelectedId, highlightedIds, setHighlightedIds } = useEarthquakeStore()
+  // hover is reported through its own context so it doesn't re-render the store's subscribers
+  const setHoveredId = useSetHoveredId()
+  const { range: debouncedRange, minMagnitude: debouncedMinMagnitude } = query
   const [viewportBounds, setViewportBounds] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [renderingStats, setRenderingStats] = useState({ visible: 0, total: 0, culled: 0 })
   
   // UI State
   const [renderingMode, setRenderingMode] = useState('smart') // 'smart', 'canvas', 'dom'
-  const [performanceMode, setPerformanceMode] = useState('balanced') // 'performance', 'balanced', 'high'
-  const [showHeatmap, setShowHeatmap] = useState(false)
-  const [heatRadius, setHeatRadius] = useState(25)
-  const [heatBlur, setHeatBlur] = useState(15)
-  const [heatScale, setHeatScale] = useState(1)
+  // Rendering options are owned by the page so they can be shared through the URL
+  const { performanceMode, showHeatmap, heatRadius, heatBlur, heatScale, heatWeighting, heatGradient, showEnergyGrid, basemap, overlays, overlayStyles, plateDistance, colorBy, colorMode, palette, sizeBy } = { ...DEFAULT_RENDER_OPTIONS, ...renderOptions }
+  const setRenderOption = (name, value) => setRenderOptions(prev => ({ ...prev, [name]: value }))
+  const setPerformanceMode = v => setRenderOption('performanceMode', v) // 'performance', 'balanced', 'high'
+  const setShowHeatmap = v => setRenderOption('showHeatmap', v)
+  const setHeatRadius = v => setRenderOption('heatRadius', v)
+  const setHeatBlur = v => setRenderOption('heatBlur', v)
+  const setHeatScale = v => setRenderOption('heatScale', v)
+  const setHeatWeighting = v => setRenderOption('heatWeighting', v)
+  const setHeatGradient = v => setRenderOption('heatGradient', v)
+  const setShowEnergyGrid = v => setRenderOption('showEnergyGrid', v)
   const [legendCollapsed, setLegendCollapsed] = useState(isMobile); // <-- Default to collapsed on mobile
-  const [fromCache, setFromCache] = useState(false)
   const [toast, setToast] = useState(null)
   const [showInspector, setShowInspector] = useState(false)
   const [geographicFiltering, setGeographicFiltering] = useState(true)
+
+  // Live mode: poll the feed and diff against the previous snapshot
+  const [liveMode, setLiveMode] = useState(false)
+  const [liveInterval, setLiveInterval] = useState(60) // seconds
+  const [notifyEnabled, setNotifyEnabled] = useState(false)
+  const [notifyMagnitude, setNotifyMagnitude] = useState(5)
+  const [pulsingIds, setPulsingIds] = useState([])
+  const [tickerEvents, setTickerEvents] = useState([])
+  const [lastDiff, setLastDiff] = useState(null)
+  const [lastPoll, setLastPoll] = useState(null)
+  const notifyRef = useRef({ enabled: false, magnitude: 5 })
+  notifyRef.current = { enabled: notifyEnabled, magnitude: notifyMagnitude }
   
   // Performance tracking
   const renderCountRef = useRef(0)
-  const lastFetchTime = useRef(0)
   const performanceMetrics = useRef({ avgRenderTime: 0, renderCount: 0 })
   
-  // Debounced filter values
-  const debouncedRange = useDebounce(range, 400)
-  const debouncedMinMagnitude = useDebounce(minMagnitude, 250)
-  const debouncedBounds = useDebounce(viewportBounds, 300)
-  
-  // Enhanced data fetching with geographic bounds
+  // Live polling: each tick is one forced reload through the store, diffed against the events
+  // it replaced, so the badge and highlighting always describe what the map shows
   useEffect(() => {
-    let mounted = true
-    const controller = new AbortController()
-    setLoading(true)
-    setError(null)
-    
-    const fetchStart = performance.now()
-    
-    const maxResults = performanceMode === 'high' ? 3000 : 
-                      performanceMode === 'balanced' ? 2000 : 1500
-    
-    const fetchParams = {
-      range: debouncedRange,
-      minMagnitude: debouncedMinMagnitude,
-      maxResults,
-      signal: controller.signal
-    }
-    
-    // Add geographic filtering if enabled and bounds available
-    if (geographicFiltering && debouncedBounds) {
-      fetchParams.bounds = debouncedBounds
-    }
-    
-    const fetchFunction = geographicFiltering ? getEarthquakesWithBounds : earthquakesAPI.getEarthquakes
-    
-    fetchFunction(fetchParams).then(res => {
-      if (!mounted) return
-      
-      const fetchTime = performance.now() - fetchStart
-      lastFetchTime.current = fetchTime
-      
-      if (res.ok) {
-        setAllData(res.features)
-        setFromCache(!!res.fromCache)
-        setError(null)
-        
-        // Show performance info
-        if (res.originalCount && res.filteredCount) {
-          console.log(`Geographic filtering: ${res.filteredCount}/${res.originalCount} earthquakes (${fetchTime.toFixed(1)}ms)`)
-        }
-      } else {
-        if (res.error !== 'aborted') {
-          setError(res.error || 'Failed to fetch')
-        }
-      }
-      setLoading(false)
-    }).catch(err => {
-      if (!mounted) return
-      if (err && err.name !== 'AbortError') {
-        setError(err.message || String(err))
+    if (!liveMode) return
+    let cancelled = false
+    const pulseTimeouts = []
+
+    const poll = async () => {
+      const res = await refresh({ silent: true, force: true })
+      // an offline copy would diff as if recent events had been removed; without a previous
+      // list for the same query there is nothing to compare with
+      if (cancelled || !res.ok || res.stale) return
+      setLastPoll(Date.now())
+      if (!res.previous) return
+      const diff = diffEvents(res.previous, res.features)
+      setLastDiff(diff)
+      if (diff.added.length === 0 && diff.updated.length === 0 && diff.removed.length === 0) return
+
+      if (diff.added.length > 0) {
+        const ids = diff.added.map(eq => eq.id)
+        setPulsingIds(prev => [...prev, ...ids])
+        // stop pulsing after a minute
+        pulseTimeouts.push(setTimeout(() => setPulsingIds(prev => prev.filter(id => !ids.includes(id))), 60000))
+        const newest = [...diff.added].sort((a, b) => (b.time || 0) - (a.time || 0))
+        setTickerEvents(prev => [...newest, ...prev.filter(p => !ids.includes(p.id))].slice(0, 20))
+        const { enabled, magnitude } = notifyRef.current
+        if (enabled) newest.filter(eq => (eq.magnitude || 0) >= magnitude).forEach(eq => notifyEvent(eq))
       }
-      setLoading(false)
-    })
-    
+
+      onLiveUpdate(diff)
+    }
+
+    poll()
+    const intervalId = setInterval(poll, liveInterval * 1000)
     return () => {
-      mounted = false
-      controller.abort()
+      cancelled = true
+      clearInterval(intervalId)
+      pulseTimeouts.forEach(clearTimeout)
     }
-  }, [debouncedRange, debouncedMinMagnitude, debouncedBounds, geographicFiltering, performanceMode])
+  }, [liveMode, liveInterval, onLiveUpdate, refresh])
   
-  // Smart visible data calculation
-  const visibleData = useMemo(() => {
-    if (!allData.length) return []
-    
-    const start = performance.now()
-    
-    // Viewport filtering (if not already done by API)
-    const viewportFiltered = !geographicFiltering && viewportBounds ? 
-      allData.filter(eq => isInViewport(eq, viewportBounds)) : 
-      allData
-    
-    // Priority sorting - magnitude and recency
-    const sorted = viewportFiltered.sort((a, b) => {
-      const aMag = a.magnitude || 0
-      const bMag = b.magnitude || 0
-      const aTime = a.time || 0
-      const bTime = b.time || 0
-      
-      // Prioritize higher magnitude, then recent
-      if (Math.abs(aMag - bMag) > 0.5) return bMag - aMag
-      return bTime - aTime
-    })
+  // Events in view (before any culling) as of the last query; drives the smart renderer choice
+  const [viewportCount, setViewportCount] = useState(0)
+
+  // Determine rendering mode based on data density and zoom
+  const shouldUseCanvas = useMemo(() => {
+    if (renderingMode === 'canvas') return true
+    if (renderingMode === 'dom') return false
     
-    // Smart rendering limits
+    // Smart mode: use canvas for dense areas
     const zoom = viewportBounds?.zoom || 2
-    const renderLimit = getSmartRenderingLimit(zoom, sorted.length, performanceMode)
-    const limited = sorted.slice(0, renderLimit)
-    
-    // Update performance metrics
-    const renderTime = performance.now() - start
-    performanceMetrics.current.renderCount++
-    performanceMetrics.current.avgRenderTime = 
-      (performanceMetrics.current.avgRenderTime * (performanceMetrics.current.renderCount - 1) + renderTime) / 
-      performanceMetrics.current.renderCount
-    
-    // Update stats
-    setRenderingStats({
-      visible: limited.length,
-      total: allData.length,
-      culled: allData.length - limited.length,
-      viewport: viewportFiltered.length,
-      avgRenderTime: performanceMetrics.current.avgRenderTime
-    })
-    
-    if (renderTime > 50) {
-      console.warn(`Slow render: ${renderTime.toFixed(1)}ms for ${limited.length} earthquakes`)
+    const density = viewportCount / Math.max(1, Math.pow(2, zoom))
+    return density > 10 && viewportCount > 200
+  }, [renderingMode, viewportBounds, viewportCount])
+
+  // Filters, region, playback, viewport culling and marker priority run in the data engine.
+  // The canvas renderer draws every event, so nothing is capped or culled for it.
+  const maxResults = shouldUseCanvas ? null : performanceMode === 'high' ? 3000 : performanceMode === 'balanced' ? 2000 : 1500
+  const queryParams = useMemo(() => ({
+    filters,
+    region,
+    playback,
+    bounds: viewportBounds,
+    // geographic filtering spends the result cap on the viewport only
+    limitToBounds: geographicFiltering,
+    maxResults,
+    zoom: viewportBounds?.zoom || 2,
+    performanceMode,
+    cull: !shouldUseCanvas
+  }), [filters, region, playback, viewportBounds, geographicFiltering, maxResults, performanceMode, shouldUseCanvas])
+  const mapQuery = useDataQuery('map', allData, queryParams)
+  // attribute filters, then the drawn region (if any)
+  const filteredData = mapQuery.filtered
+  // Time-lapse playback narrows the set to events up to the playhead
+  const playbackData = mapQuery.playback
+  // in the viewport, by priority, cut to the marker budget
+  const visibleData = mapQuery.visible
+  const fadeFor = useMemo(() => (isPlaybackActive(playback) ? eq => playbackFade(eq, playback) : null), [playback])
+
+  useEffect(() => {
+    if (mapQuery.stats) setViewportCount(mapQuery.stats.viewport)
+  }, [mapQuery.stats])
+
+  const renderingStats = useMemo(() => {
+    const stats = mapQuery.stats
+    if (!stats) return { visible: 0, total: 0, culled: 0, viewport: 0 }
+    // running average of the query round trip
+    const metrics = performanceMetrics.current
+    metrics.renderCount++
+    metrics.avgRenderTime = (metrics.avgRenderTime * (metrics.renderCount - 1) + mapQuery.elapsed) / metrics.renderCount
+    if (mapQuery.elapsed > 50) {
+      console.warn(`Slow query: ${mapQuery.elapsed.toFixed(1)}ms for ${stats.visible} earthquakes`)
     }
-    
-    return limited
-  }, [allData, viewportBounds, performanceMode, geographicFiltering])
+    return {
+      visible: stats.visible,
+      total: stats.total,
+      // in view but not drawn: past the result cap or over the marker budget
+      culled: stats.culled,
+      viewport: stats.viewport,
+      avgRenderTime: metrics.avgRenderTime
+    }
+  }, [mapQuery.stats, mapQuery.elapsed])
   
-  // Optimized heatmap points
+  // Heat is drawn from every filtered event; the layer culls to the viewport itself
   const heatmapPoints = useMemo(() => {
-    if (!showHeatmap || !visibleData.length) return []
-    
-    return visibleData.map(d => ({
-      lat: d.coords.lat,
-      lng: d.coords.lon,
-      intensity: Math.max(0.01, ((d.magnitude || 0) / 8) * heatScale)
-    }))
-  }, [visibleData, showHeatmap, heatScale])
-  
+    if (!showHeatmap || !playbackData.length) return []
+    return heatPoints(playbackData, heatWeighting, fadeFor)
+  }, [playbackData, showHeatmap, heatWeighting, fadeFor])
+
   // Viewport bounds change handler
   const handleBoundsChange = useCallback((bounds) => {
     setViewportBounds(bounds)
-  }, [])
+    onViewportBoundsChange(bounds)
+  }, [onViewportBoundsChange])
   
   // Marker click handler
   const handleMarkerClick = useCallback((eqId) => {
@@ -568,16 +774,14 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
     }
   }, [renderingStats, performanceMode])
   
-  // Determine rendering mode based on data density and zoom
-  const shouldUseCanvas = useMemo(() => {
-    if (renderingMode === 'canvas') return true
-    if (renderingMode === 'dom') return false
-    
-    // Smart mode: use canvas for dense areas
-    const zoom = viewportBounds?.zoom || 2
-    const density = visibleData.length / Math.max(1, Math.pow(2, zoom))
-    return density > 10 && visibleData.length > 200
-  }, [renderingMode, viewportBounds, visibleData.length])
+  // Canvas renderer: styles and popups for single events (the DOM path styles markers itself)
+  const canvasStyle = useMemo(() => {
+    const styleContext = { eventStyle, selectedId, highlighted: new Set(highlightedIds), pulsing: new Set(pulsingIds), fadeFor }
+    return eq => markerStyle(eq, styleContext)
+  }, [eventStyle, selectedId, highlightedIds, pulsingIds, fadeFor])
+  const canvasPopup = useMemo(() => (plateDistance ? eq => eventPopupHtml(eq, plateDistanceHtml(eq)) : eq => eventPopupHtml(eq)), [plateDistance])
+  const handleCanvasClick = useCallback(eq => handleMarkerClick(eq.id), [handleMarkerClick])
+  const handleCanvasHover = useCallback(eq => setHoveredId(eq ? eq.id : null), [setHoveredId])
 
   // START: Responsive styles
   const controlsPanelStyle = {
@@ -627,36 +831,80 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
           </div>
         )}
   {error && <div style={{position:'absolute', left:12, top:12, zIndex:6000, background:'var(--panel-bg)', color:'red', padding:10, borderRadius:8}}>Error: {error}</div>}
+  {!error && staleSince && (
+    <div role="status" style={{ position: 'absolute', left: '50%', top: 12, transform: 'translateX(-50%)', zIndex: 6000, background: '#fef3c7', color: '#92400e', border: '1px solid #fcd34d', padding: '6px 12px', borderRadius: 8, fontSize: 13, boxShadow: '0 1px 5px rgba(0,0,0,0.15)' }}>
+      Offline — showing the last downloaded feed, stale since {formatTimestamp(staleSince)}
+    </div>
+  )}
         
-        <MapContainer center={[20, 0]} zoom={2} style={{ height: '100%', width: '100%' }}>
+        <MapContainer center={view ? [view.lat, view.lng] : [20, 0]} zoom={view ? view.zoom : 2} style={{ height: '100%', width: '100%' }}>
           <ViewportTracker onBoundsChange={handleBoundsChange} />
+          <ViewSync view={view} onViewChange={onViewChange} />
           
-          <TileLayer
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          />
-
-          {/* Canvas-based heatmap or regular heatmap */}
-          {showHeatmap && heatmapPoints.length > 0 && (
-            <CanvasHeatmap 
+          {BASEMAPS[basemap] && BASEMAPS[basemap].url ? (
+            <TileLayer key={basemap} attribution={BASEMAPS[basemap].attribution} url={BASEMAPS[basemap].url} maxZoom={BASEMAPS[basemap].maxZoom} />
+          ) : (
+            <BlankBasemap />
+          )}
+
+          {overlays.filter(id => OVERLAYS[id]).map(id => (
+            <OverlayLayer key={id} id={id} style={overlayStyles[id] || OVERLAYS[id].defaultStyle} />
+          ))}
+
+          {/* below the overlay pane that holds the USGS markers */}
+          <Pane name="datasets" style={{ zIndex: 390 }}>
+            {datasets.filter(ds => ds.visible).map(ds => <DatasetLayer key={ds.id} dataset={ds} eventStyle={eventStyle} />)}
+          </Pane>
+
+          <RegionShape region={region} />
+          <RegionDrawLayer drawMode={drawMode} onDrawn={onRegionDrawn} onCancel={onDrawCancel} />
+          <ProfileShape profile={profile} />
+          <ProfileDrawLayer active={profileDrawing} onDrawn={onProfileDrawn} onCancel={onProfileCancel} />
+
+          {showEnergyGrid && <EnergyGridLayer earthquakes={playbackData} setHighlightedIds={setHighlightedIds} />}
+
+          {showHeatmap && (
+            <HeatmapLayer
               points={heatmapPoints}
               radius={heatRadius}
               blur={heatBlur}
-              maxIntensity={heatmapPoints.reduce((max, p) => Math.max(max, p.intensity || 0), 0) || 1}
+              gradient={heatGradient}
+              max={(HEAT_WEIGHTINGS[heatWeighting] || HEAT_WEIGHTINGS.count).max / heatScale}
             />
           )}
           
+          {/* Every event on one canvas; panning stays seamless because off-screen events are kept */}
+          {!showHeatmap && shouldUseCanvas && (
+            <PointCanvasLayer
+              events={playbackData}
+              style={canvasStyle}
+              tooltip={eventTooltipHtml}
+              popup={canvasPopup}
+              onClick={handleCanvasClick}
+              onHover={handleCanvasHover}
+              interactive={!drawMode && !profileDrawing}
+            />
+          )}
+
           {/* Lightweight custom clustering */}
-          {!showHeatmap && (
+          {!showHeatmap && !shouldUseCanvas && (
             <LightweightCluster 
-              earthquakes={visibleData}
+              resultId={mapQuery.resultId}
+              events={mapQuery.events}
+              eventStyle={eventStyle}
               onMarkerClick={handleMarkerClick}
+              onMarkerHover={setHoveredId}
               selectedId={selectedId}
               highlightedIds={highlightedIds}
+              pulsingIds={pulsingIds}
+              fadeFor={fadeFor}
+              popupExtra={plateDistance ? plateDistanceHtml : null}
             />
           )}
         </MapContainer>
 
+        <LayerManager basemap={basemap} overlays={overlays} overlayStyles={overlayStyles} plateDistance={plateDistance} onChange={setRenderOption} />
+
         {/* Advanced Controls Panel */}
         {!loading && !error && allData.length > 0 && (
           <div style={controlsPanelStyle}>
@@ -674,6 +922,19 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
                   <option value="high">High Quality</option>
                 </select>
               </div>
+
+              <div>
+                <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 4 }}>Renderer:</div>
+                <select 
+                  value={renderingMode} 
+                  onChange={e => setRenderingMode(e.target.value)}
+                  style={{ fontSize: 12, padding: '4px 6px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}
+                >
+                  <option value="smart">Smart</option>
+                  <option value="canvas">Canvas</option>
+                  <option value="dom">Markers</option>
+                </select>
+              </div>
               
               <label style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 12, marginTop: isMobile ? 0 : 20 }}>
                 <input 
@@ -687,7 +948,7 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
             
             {/* Rendering Stats */}
             <div style={{ fontSize: 11, color: '#6b7280', marginBottom: 8, lineHeight: 1.3 }}>
-              <div>Showing {renderingStats.visible} of {renderingStats.total} earthquakes</div>
+              <div>Showing {renderingStats.visible} of {renderingStats.viewport} earthquakes in view</div>
               {renderingStats.culled > 0 && (
                 <div style={{ color: '#059669' }}>• {renderingStats.culled} culled for performance</div>
               )}
@@ -696,17 +957,72 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
                   • Avg render: {renderingStats.avgRenderTime.toFixed(1)}ms
                 </div>
               )}
-              {lastFetchTime.current > 0 && (
-                <div>• Fetch time: {lastFetchTime.current.toFixed(1)}ms</div>
+              {fetchTime > 0 && (
+                <div>• Fetch time: {fetchTime.toFixed(1)}ms</div>
               )}
             </div>
             
+            {/* Live Mode Controls */}
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8, flexWrap: 'wrap' }}>
+              <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                <input type="checkbox" checked={liveMode} onChange={e => setLiveMode(e.target.checked)} />
+                <span style={{ fontSize: 12 }}>Live Mode</span>
+              </label>
+              {liveMode && (
+                <>
+                  <select
+                    value={liveInterval}
+                    onChange={e => setLiveInterval(Number(e.target.value))}
+                    aria-label="Refresh interval"
+                    style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}
+                  >
+                    <option value={30}>every 30s</option>
+                    <option value={60}>every 1m</option>
+                    <option value={120}>every 2m</option>
+                    <option value={300}>every 5m</option>
+                  </select>
+                  <label style={{ display: 'flex', gap: 4, alignItems: 'center', fontSize: 12 }}>
+                    <input
+                      type="checkbox"
+                      checked={notifyEnabled}
+                      onChange={async e => {
+                        const enabled = e.target.checked
+                        if (enabled) {
+                          const permission = await requestNotificationPermission()
+                          if (permission !== 'granted') {
+                            setToast('Browser notifications are blocked or unsupported')
+                            setTimeout(() => setToast(null), 3000)
+                            return
+                          }
+                        }
+                        setNotifyEnabled(enabled)
+                      }}
+                    />
+                    <span>Notify ≥ M</span>
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={notifyMagnitude}
+                    onChange={e => setNotifyMagnitude(Number(e.target.value) || 0)}
+                    aria-label="Notification magnitude threshold"
+                    style={{ width: 52, fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}
+                  />
+                </>
+              )}
+            </div>
+
             {/* Heatmap Controls */}
             <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
               <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
                 <input type="checkbox" checked={showHeatmap} onChange={e => setShowHeatmap(e.target.checked)} />
                 <span style={{ fontSize: 12 }}>Heatmap Mode</span>
               </label>
+              <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                <input type="checkbox" checked={showEnergyGrid} onChange={e => setShowEnergyGrid(e.target.checked)} />
+                <span style={{ fontSize: 12 }}>Energy released</span>
+              </label>
             </div>
 
             {showHeatmap && (
@@ -720,28 +1036,66 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
                   
                   <label style={{ fontSize: 11 }}>Scale: {heatScale.toFixed(1)}</label>
                   <input type="range" min="0.1" max="5" step="0.1" value={heatScale} onChange={e => setHeatScale(Number(e.target.value))} />
+
+                  <label style={{ fontSize: 11 }}>Weight</label>
+                  <select value={heatWeighting} onChange={e => setHeatWeighting(e.target.value)} style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                    {Object.entries(HEAT_WEIGHTINGS).map(([key, w]) => <option key={key} value={key}>{w.label}</option>)}
+                  </select>
+
+                  <label style={{ fontSize: 11 }}>Palette</label>
+                  <select value={heatGradient} onChange={e => setHeatGradient(e.target.value)} style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                    {Object.keys(HEAT_GRADIENTS).map(key => <option key={key} value={key}>{key}</option>)}
+                  </select>
                 </div>
               </div>
             )}
             
+            {/* Marker Style Controls */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '4px 8px', alignItems: 'center', marginBottom: 8 }}>
+              <label style={{ fontSize: 11 }}>Color by</label>
+              <div style={{ display: 'flex', gap: 4 }}>
+                <select value={colorBy} onChange={e => setRenderOption('colorBy', e.target.value)} aria-label="Color by" style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                  {Object.entries(COLOR_ATTRIBUTES).map(([key, a]) => <option key={key} value={key}>{a.label}</option>)}
+                </select>
+                {!COLOR_ATTRIBUTES[colorBy]?.categorical && (
+                  <select value={colorMode} onChange={e => setRenderOption('colorMode', e.target.value)} aria-label="Color scale" style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                    {Object.entries(COLOR_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                )}
+              </div>
+
+              {!COLOR_ATTRIBUTES[colorBy]?.categorical && (
+                <>
+                  <label style={{ fontSize: 11 }}>Palette</label>
+                  <select value={palette} onChange={e => setRenderOption('palette', e.target.value)} aria-label="Marker palette" style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                    {Object.entries(PALETTES).map(([key, p]) => <option key={key} value={key}>{p.label}{p.colorblindSafe ? ' (colorblind-safe)' : ''}</option>)}
+                  </select>
+                </>
+              )}
+
+              <label style={{ fontSize: 11 }}>Size by</label>
+              <select value={sizeBy} onChange={e => setRenderOption('sizeBy', e.target.value)} aria-label="Size by" style={{ fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+                {Object.entries(SIZE_ATTRIBUTES).map(([key, a]) => <option key={key} value={key}>{a.label}</option>)}
+              </select>
+            </div>
+            
             {/* Cache and Debug Controls */}
             <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 8, flexWrap: 'wrap' }}>
               <div style={{ fontSize: 11, padding: '2px 6px', borderRadius: 4, background: fromCache ? '#e6fffa' : '#eef2ff', color: fromCache ? '#0f766e' : '#3730a3' }}>
-                {fromCache ? 'Cached' : 'Live'}
+                {staleSince ? 'Offline copy' : liveMode ? 'Live (auto-refresh)' : fromCache ? 'Cached' : 'Live'}
               </div>
               
-              <button 
-                onClick={() => {
-                  cacheLib.clearAll()
-                  setFromCache(false)
-                  setToast('All cache cleared')
-                  setTimeout(() => setToast(null), 2000)
+              {/* "all loaded" is the store's selection: the map's is capped and may be limited to the view */}
+              <ExportMenu
+                allEvents={allFiltered}
+                visibleEvents={visibleData}
+                query={{ range: debouncedRange, minMagnitude: debouncedMinMagnitude, filters }}
+                onExported={(err, info) => {
+                  setToast(err ? `Export failed: ${err.message}` : `Exported ${info.count} earthquakes as ${info.format}`)
+                  setTimeout(() => setToast(null), 3000)
                 }}
-                style={{ background: '#ef4444', color: 'white', border: 'none', padding: '3px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 11 }}
-              >
-                Clear All Cache
-              </button>
-              
+              />
+
               <button 
                 onClick={() => setShowInspector(true)}
                 style={{ background: '#6b7280', color: 'white', border: 'none', padding: '3px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 11 }}
@@ -752,7 +1106,7 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
           </div>
         )}
 
-        {!loading && !error && allData.length === 0 && (
+        {!loading && !error && mapQuery.ready && filteredData.length === 0 && (
           <div style={{position:'absolute', left:'50%', top:'48%', transform:'translate(-50%,-50%)', zIndex:6000, background:'var(--panel-bg)', color: 'var(--panel-text)', padding:16, borderRadius:8}}>
             No earthquakes match current filters.
           </div>
@@ -780,6 +1134,11 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
           .eq-legend .title { font-weight: 600; margin-bottom: 8px; font-size: 14px; }
           .eq-legend .row { display: flex; align-items: center; gap: 8px; margin-bottom: 4px; }
           .eq-legend .swatch { width: 16px; height: 16px; border-radius: 4px; }
+          .eq-legend .gradient { width: 180px; height: 12px; border-radius: 3px; }
+          .eq-legend .ticks { position: relative; width: 180px; height: 14px; margin-bottom: 4px; }
+          .eq-legend .ticks span { position: absolute; transform: translateX(-50%); font-size: 10px; white-space: nowrap; }
+          .eq-legend .sizes { display: flex; align-items: flex-end; gap: 10px; }
+          .eq-legend .size-item { display: flex; flex-direction: column; align-items: center; gap: 2px; }
             .eq-legend .toggle {
               background: var(--panel-bg);
               border: 1px solid rgba(0,0,0,0.06);
@@ -812,32 +1171,50 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
               justify-content: center;
               gap: 4px 16px; /* row and column gap */
             }
+            .eq-legend:not(.collapsed) .legend-body.gradient-body {
+              flex-direction: column;
+              align-items: center;
+            }
           }
         `}</style>
         {/* END: Responsive Styles Block */}
 
         {/* Enhanced Legend */}
-        <div className={`eq-legend ${legendCollapsed ? 'collapsed' : ''}`} role="region" aria-label="Magnitude legend">
+        <div className={`eq-legend ${legendCollapsed ? 'collapsed' : ''}`} role="region" aria-label="Marker legend">
           {!legendCollapsed ? (
             <>
-              <div className="title">Legend</div>
-              <div className="legend-body">
-                <div className="row">
-                  <div className="swatch" style={{ background: '#10b981' }}></div><div style={{fontSize:12}}> &lt;2.0</div>
+              <div className="title">{eventStyle.color.label}</div>
+              {eventStyle.color.legend.type === 'gradient' ? (
+                <div className="legend-body gradient-body">
+                  <div className="gradient" style={{ background: `linear-gradient(to right, ${eventStyle.color.legend.colors.join(', ')})` }} />
+                  <div className="ticks">
+                    {eventStyle.color.legend.ticks.map(tick => (
+                      <span key={tick.label} style={{ left: `${tick.t * 100}%` }}>{tick.label}</span>
+                    ))}
+                  </div>
                 </div>
-                <div className="row">
-                  <div className="swatch" style={{ background: '#84cc16' }}></div><div style={{fontSize:12}}> 2-3.9</div>
+              ) : (
+                <div className="legend-body">
+                  {eventStyle.color.legend.items.map(item => (
+                    <div className="row" key={item.label}>
+                      <div className="swatch" style={{ background: item.color }}></div><div style={{fontSize:12}}>{item.label}</div>
+                    </div>
+                  ))}
                 </div>
-                <div className="row">
-                  <div className="swatch" style={{ background: '#f59e0b' }}></div><div style={{fontSize:12}}> 4-4.9</div>
-                </div>
-                <div className="row">
-                  <div className="swatch" style={{ background: '#f97316' }}></div><div style={{fontSize:12}}> 5-5.9</div>
-                </div>
-                <div className="row">
-                  <div className="swatch" style={{ background: '#b91c1c' }}></div><div style={{fontSize:12}}> 6.0+</div>
-                </div>
-              </div>
+              )}
+              {eventStyle.size.legend.length > 0 && (
+                <>
+                  <div className="title" style={{ marginTop: 8 }}>Size: {eventStyle.size.label}</div>
+                  <div className="legend-body sizes">
+                    {eventStyle.size.legend.map(item => (
+                      <div className="size-item" key={item.label}>
+                        <div style={{ width: item.radius * 2, height: item.radius * 2, borderRadius: '50%', border: '1.5px solid var(--panel-text)', opacity: 0.7 }} />
+                        <div style={{ fontSize: 11 }}>{item.label}</div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
               <div style={{ marginTop: 8, fontSize: 10, color: '#6b7280', textAlign: 'center' }}>
                 Mode: {shouldUseCanvas ? 'Canvas' : 'DOM'} | {performanceMode}
               </div>
@@ -851,6 +1228,10 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
         </div>
       </div>
       
+      {liveMode && (
+        <LatestEventsTicker events={tickerEvents} lastDiff={lastDiff} lastPoll={lastPoll} onSelect={handleMarkerClick} />
+      )}
+
       {/* Enhanced Toast System */}
       {toast && (
         <div style={toastStyle}>
@@ -911,7 +1292,7 @@ export default function MapView({ range = '24h', minMagnitude = 0, selectedId =
                   setToast('Failed to clear cache: ' + err.message)
                 } else {
                   setToast(`Successfully cleared ${removed || 0} cache entries`)
-                  setFromCache(false)
+                  refresh({ silent: true })
                 }
                 setShowInspector(false)
                 setTimeout(() => setToast(null), 3000)
@@ -0,0 +1,134 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { BASEMAPS } from '../lib/mapLayers'
+import offlineLib, { MAX_TILES } from '../lib/offlineTiles'
+import { formatBytes } from '../utils/formatBytes'
+
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '3px 8px', cursor: 'pointer', fontSize: 12 }
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)', width: 44 }
+
+// Pre-download basemap tiles for the current view or a saved region, with a storage meter
+export default function OfflineManager({ basemap = 'street', viewBounds = null, regions = [] }) {
+  const [area, setArea] = useState('view') // 'view' or a region id
+  const [minZoom, setMinZoom] = useState(3)
+  const [maxZoom, setMaxZoom] = useState(8)
+  const [progress, setProgress] = useState(null)
+  const [message, setMessage] = useState(null)
+  const [storage, setStorage] = useState(null)
+  const [tileCount, setTileCount] = useState(0)
+  const controllerRef = useRef(null)
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine)
+
+  const layer = BASEMAPS[basemap] || BASEMAPS.street
+  const supported = offlineLib.offlineSupported()
+
+  const refreshStorage = useCallback(async () => {
+    setStorage(await offlineLib.storageEstimate())
+    setTileCount(await offlineLib.countCachedTiles())
+  }, [])
+
+  useEffect(() => {
+    refreshStorage().catch(() => {})
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+      if (controllerRef.current) controllerRef.current.abort()
+    }
+  }, [refreshStorage])
+
+  const bounds = useMemo(() => {
+    if (area === 'view') return viewBounds
+    const region = regions.find(r => r.id === area)
+    return region ? offlineLib.regionBounds(region) : null
+  }, [area, viewBounds, regions])
+
+  const zoomTop = Math.min(maxZoom, layer.maxZoom)
+  const estimate = bounds && minZoom <= zoomTop ? offlineLib.countTiles(bounds, minZoom, zoomTop) : 0
+  const downloading = !!controllerRef.current
+
+  const download = async () => {
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setMessage(null)
+    setProgress({ done: 0, total: estimate, failed: 0 })
+    try {
+      const result = await offlineLib.downloadTiles({ basemap: layer, bounds, minZoom, maxZoom: zoomTop, onProgress: setProgress, signal: controller.signal })
+      if (controller.signal.aborted) setMessage('Download cancelled.')
+      else setMessage(result.failed ? `Saved ${result.done - result.failed} tiles; ${result.failed} failed.` : `Saved ${result.done} tiles.`)
+    } catch (e) {
+      setMessage(e.message || String(e))
+    } finally {
+      controllerRef.current = null
+      setProgress(null)
+      refreshStorage().catch(() => {})
+    }
+  }
+
+  const cancel = () => {
+    if (controllerRef.current) controllerRef.current.abort()
+  }
+
+  const clear = async () => {
+    await offlineLib.clearTiles()
+    setMessage('Offline tiles removed.')
+    refreshStorage().catch(() => {})
+  }
+
+  const usedPct = storage && storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0
+
+  return (
+    <div style={{ display: 'grid', gap: 8, fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div style={{ fontSize: 13, fontWeight: 600 }}>Offline maps</div>
+        <span style={{ color: online ? '#16a34a' : '#b45309' }}>{online ? '● Online' : '● Offline'}</span>
+      </div>
+
+      {!supported ? (
+        <div style={{ color: '#6b7280' }}>This browser doesn't support offline storage.</div>
+      ) : !layer.url ? (
+        <div style={{ color: '#6b7280' }}>The {layer.label} basemap has no tiles. Switch basemap in the Layers panel to download one.</div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+            <select value={area} onChange={e => setArea(e.target.value)} aria-label="Area to download" disabled={downloading} style={{ ...inputStyle, width: 'auto', maxWidth: 150 }}>
+              <option value="view">Current map view</option>
+              {regions.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+            zoom <input type="number" min={0} max={layer.maxZoom} value={minZoom} onChange={e => setMinZoom(Math.max(0, Number(e.target.value) || 0))} aria-label="Minimum zoom" disabled={downloading} style={inputStyle} />
+            – <input type="number" min={0} max={layer.maxZoom} value={maxZoom} onChange={e => setMaxZoom(Math.max(0, Number(e.target.value) || 0))} aria-label="Maximum zoom" disabled={downloading} style={inputStyle} />
+          </div>
+          <div style={{ color: estimate > MAX_TILES ? '#dc2626' : '#6b7280' }}>
+            {layer.label} basemap · {estimate.toLocaleString()} tiles{estimate > MAX_TILES ? ` (limit ${MAX_TILES.toLocaleString()})` : ''}
+          </div>
+          <div style={{ display: 'flex', gap: 6 }}>
+            {downloading
+              ? <button onClick={cancel} style={buttonStyle}>Cancel</button>
+              : <button onClick={download} disabled={!estimate || estimate > MAX_TILES || !online} style={buttonStyle}>Download</button>}
+            <button onClick={clear} disabled={downloading || !tileCount} style={buttonStyle}>Clear offline tiles</button>
+          </div>
+          {progress && (
+            <div style={{ display: 'grid', gap: 2 }}>
+              <progress value={progress.done} max={progress.total || 1} style={{ width: '100%' }} />
+              <span style={{ color: '#6b7280' }}>{progress.done} / {progress.total}{progress.failed ? ` · ${progress.failed} failed` : ''}</span>
+            </div>
+          )}
+        </>
+      )}
+
+      {message && <div>{message}</div>}
+
+      {storage && (
+        <div style={{ display: 'grid', gap: 2 }}>
+          <div style={{ height: 6, borderRadius: 3, background: 'var(--muted-border)', overflow: 'hidden' }}>
+            <div style={{ width: `${usedPct}%`, height: '100%', background: usedPct > 80 ? '#dc2626' : '#2563eb' }} />
+          </div>
+          <span style={{ color: '#6b7280' }}>
+            {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used · {tileCount.toLocaleString()} offline tiles
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
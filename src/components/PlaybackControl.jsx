@@ -0,0 +1,91 @@
+import React, { useEffect, useRef } from 'react'
+import { formatTimestamp } from '../utils/formatDate'
+import { playbackExtent, RANGE_STEP_MS, TRAILING_WINDOWS, PLAYBACK_SPEEDS, BASE_PLAY_DURATION_MS, DEFAULT_PLAYBACK } from '../utils/playback'
+
+const TICK_MS = 250
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '4px 8px', cursor: 'pointer', fontSize: 13 }
+const selectStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+
+// Time-lapse controls shown under the map
+export default function PlaybackControl({ range = '24h', playback = DEFAULT_PLAYBACK, setPlayback = () => {} }) {
+  const { enabled, playing, time, start, end, speed, windowMs } = playback
+  const step = RANGE_STEP_MS[range] || RANGE_STEP_MS['24h']
+  const lastTickRef = useRef(null)
+
+  // restart from a fresh extent when switched on or when the feed range changes
+  useEffect(() => {
+    if (!enabled) return
+    const extent = playbackExtent(range)
+    setPlayback(prev => ({ ...prev, ...extent, time: extent.start, playing: false }))
+  }, [enabled, range, setPlayback])
+
+  useEffect(() => {
+    if (!enabled || !playing) return
+    lastTickRef.current = performance.now()
+    const id = setInterval(() => {
+      const now = performance.now()
+      const elapsed = now - lastTickRef.current
+      lastTickRef.current = now
+      setPlayback(prev => {
+        const advance = ((prev.end - prev.start) / BASE_PLAY_DURATION_MS) * prev.speed * elapsed
+        const next = Math.min(prev.end, prev.time + advance)
+        // stop at the end instead of looping
+        return { ...prev, time: next, playing: next < prev.end }
+      })
+    }, TICK_MS)
+    return () => clearInterval(id)
+  }, [enabled, playing, setPlayback])
+
+  const seek = t => setPlayback(prev => ({ ...prev, time: Math.max(prev.start, Math.min(prev.end, t)) }))
+
+  if (!enabled) {
+    return (
+      <div style={{ marginTop: 8 }}>
+        <button onClick={() => setPlayback(prev => ({ ...prev, enabled: true }))} style={buttonStyle}>▶ Time-lapse playback</button>
+      </div>
+    )
+  }
+
+  return (
+    <div style={{ marginTop: 8, background: 'var(--panel-bg)', color: 'var(--panel-text)', padding: '8px 12px', borderRadius: 8, boxShadow: '0 1px 5px rgba(0,0,0,0.12)', display: 'grid', gap: 6 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+        <button onClick={() => seek((time || start) - step)} aria-label="Step back" style={buttonStyle}>⏮</button>
+        <button
+          onClick={() => setPlayback(prev => ({ ...prev, playing: !prev.playing, time: !prev.playing && prev.time >= prev.end ? prev.start : prev.time }))}
+          aria-label={playing ? 'Pause' : 'Play'}
+          style={{ ...buttonStyle, minWidth: 40 }}
+        >
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => seek((time || start) + step)} aria-label="Step forward" style={buttonStyle}>⏭</button>
+        <select value={speed} onChange={e => setPlayback(prev => ({ ...prev, speed: Number(e.target.value) }))} aria-label="Playback speed" style={selectStyle}>
+          {PLAYBACK_SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+        </select>
+        <label style={{ fontSize: 12, display: 'flex', alignItems: 'center', gap: 4 }}>
+          Trailing window
+          <select
+            value={windowMs === null ? '' : windowMs}
+            onChange={e => setPlayback(prev => ({ ...prev, windowMs: e.target.value === '' ? null : Number(e.target.value) }))}
+            style={selectStyle}
+          >
+            {TRAILING_WINDOWS.map(w => <option key={w.label} value={w.value === null ? '' : w.value}>{w.label}</option>)}
+          </select>
+        </label>
+        <div style={{ marginLeft: 'auto', fontSize: 12, fontWeight: 600 }}>{time ? formatTimestamp(time) : ''}</div>
+        <button onClick={() => setPlayback(() => DEFAULT_PLAYBACK)} aria-label="Close playback" style={{ ...buttonStyle, border: 'none' }}>✕</button>
+      </div>
+      {start !== null && (
+        <input
+          type="range"
+          min={start}
+          max={end}
+          step={Math.max(1, Math.round((end - start) / 1000))}
+          value={time ?? start}
+          onChange={e => seek(Number(e.target.value))}
+          aria-label="Playback position"
+          style={{ width: '100%' }}
+        />
+      )}
+    </div>
+  )
+}
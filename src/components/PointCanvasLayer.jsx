@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import { pointCanvasLayer } from '../lib/pointLayer'
+
+// events: normalized events, all drawn on one canvas (see lib/pointLayer)
+// The layer is created once and updated in place; restyling (selection, highlight) only redraws.
+// pane: Leaflet map pane for the canvas, fixed when the layer is created
+export default function PointCanvasLayer({ events = [], style = null, tooltip = null, popup = null, onClick = null, onHover = null, interactive = true, pane = 'overlayPane' }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+
+  useEffect(() => {
+    if (!map) return
+    const layer = pointCanvasLayer([], { pane }).addTo(map)
+    layerRef.current = layer
+    return () => {
+      try { map.removeLayer(layer) } catch (e) { /* ignore */ }
+      layerRef.current = null
+    }
+  }, [map, pane])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setOptions({ style, tooltip, popup, onClick, onHover, interactive })
+  }, [style, tooltip, popup, onClick, onHover, interactive])
+
+  useEffect(() => {
+    if (layerRef.current) layerRef.current.setEvents(events)
+  }, [events])
+
+  return null
+}
@@ -0,0 +1,150 @@
+import React, { useRef, useState } from 'react'
+import { createRegion, regionsToGeoJSON, regionsFromGeoJSON, REGION_SHAPES } from '../lib/regions'
+import { searchPlaces } from '../api/geocode'
+import { downloadFile } from '../utils/exporters'
+
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '3px 8px', cursor: 'pointer', fontSize: 12 }
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)' }
+
+// Draw, search, save and pick the region used as a spatial filter for the map and charts
+export default function RegionManager({
+  regions = [],
+  activeRegionId = null,
+  setActiveRegionId = () => {},
+  onAdd = () => {},
+  onUpdate = () => {},
+  onRemove = () => {},
+  drawMode = null,
+  setDrawMode = () => {}
+}) {
+  const inputRef = useRef(null)
+  const [radiusKm, setRadiusKm] = useState(100)
+  const [query, setQuery] = useState('')
+  const [places, setPlaces] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  const startDrawing = shape => {
+    setError(null)
+    setDrawMode(drawMode && drawMode.shape === shape ? null : { shape, radiusKm })
+  }
+
+  const search = async e => {
+    e.preventDefault()
+    setSearching(true)
+    setError(null)
+    const res = await searchPlaces(query)
+    setSearching(false)
+    if (!res.ok) setError(res.error)
+    else if (!res.places.length) setError('No places found')
+    setPlaces(res.places)
+  }
+
+  const addCircleAt = place => {
+    const region = createRegion({ name: `${place.name.split(',')[0]} (${radiusKm} km)`, shape: 'circle', center: place, radiusKm, existing: regions })
+    onAdd(region)
+    setActiveRegionId(region.id)
+    setPlaces([])
+    setQuery('')
+  }
+
+  const importFile = async file => {
+    if (!file) return
+    setError(null)
+    try {
+      const imported = regionsFromGeoJSON(await file.text(), regions)
+      imported.forEach(onAdd)
+    } catch (e) {
+      setError(`${file.name}: ${e.message}`)
+    }
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ fontSize: 13, fontWeight: 600 }}>Regions</div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+        {Object.entries(REGION_SHAPES).map(([shape, label]) => (
+          <button
+            key={shape}
+            onClick={() => startDrawing(shape)}
+            aria-pressed={!!drawMode && drawMode.shape === shape}
+            style={{ ...buttonStyle, ...(drawMode && drawMode.shape === shape ? { background: 'var(--accent)', color: 'white' } : {}) }}
+          >
+            {label}
+          </button>
+        ))}
+        <label style={{ fontSize: 12, display: 'flex', alignItems: 'center', gap: 4 }}>
+          <input
+            type="number"
+            min={1}
+            value={radiusKm}
+            onChange={e => {
+              const km = Math.max(1, Number(e.target.value) || 1)
+              setRadiusKm(km)
+              if (drawMode && drawMode.shape === 'circle') setDrawMode({ ...drawMode, radiusKm: km })
+            }}
+            aria-label="Circle radius (km)"
+            style={{ ...inputStyle, width: 60 }}
+          />
+          km
+        </label>
+      </div>
+      {drawMode && (
+        <div style={{ fontSize: 12, color: '#6b7280' }}>
+          {drawMode.shape === 'circle' ? 'Click the map to place the center.' : drawMode.shape === 'rectangle' ? 'Drag on the map to draw.' : 'Hold and drag to draw freehand.'} Esc cancels.
+        </div>
+      )}
+
+      <form onSubmit={search} style={{ display: 'flex', gap: 6 }}>
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Circle around a place…" aria-label="Search place" style={{ ...inputStyle, flex: 1 }} />
+        <button type="submit" disabled={searching || !query.trim()} style={buttonStyle}>{searching ? '…' : 'Search'}</button>
+      </form>
+      {places.length > 0 && (
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 2, fontSize: 12 }}>
+          {places.map(p => (
+            <li key={`${p.lat},${p.lon}`}>
+              <button onClick={() => addCircleAt(p)} style={{ ...buttonStyle, border: 'none', textAlign: 'left', width: '100%' }}>{p.name}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <div style={{ fontSize: 12, color: 'red' }}>{error}</div>}
+
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 6 }}>
+        <li style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+          <input type="radio" name="active-region" checked={!activeRegionId} onChange={() => setActiveRegionId(null)} aria-label="No region filter" />
+          <span style={{ color: '#6b7280' }}>No region filter</span>
+        </li>
+        {regions.map(r => (
+          <li key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+            <input type="radio" name="active-region" checked={activeRegionId === r.id} onChange={() => setActiveRegionId(r.id)} aria-label={`Filter by ${r.name}`} />
+            <input value={r.name} onChange={e => onUpdate(r.id, { name: e.target.value })} aria-label="Region name" style={{ ...inputStyle, flex: 1, minWidth: 0 }} />
+            <span style={{ color: '#6b7280' }}>{REGION_SHAPES[r.shape]}</span>
+            <button onClick={() => downloadFile(regionsToGeoJSON([r]), `${r.name || r.id}.geojson`, 'application/geo+json')} aria-label={`Export ${r.name}`} title="Export GeoJSON" style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--panel-text)' }}>⤓</button>
+            <button
+              onClick={() => { if (activeRegionId === r.id) setActiveRegionId(null); onRemove(r.id) }}
+              aria-label={`Remove ${r.name}`}
+              style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#ef4444' }}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button onClick={() => inputRef.current && inputRef.current.click()} style={buttonStyle}>Import GeoJSON</button>
+        <button onClick={() => downloadFile(regionsToGeoJSON(regions), 'regions.geojson', 'application/geo+json')} disabled={!regions.length} style={buttonStyle}>Export all</button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".geojson,.json"
+          style={{ display: 'none' }}
+          onChange={e => { importFile(e.target.files && e.target.files[0]); e.target.value = '' }}
+        />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import React, { useState } from 'react'
+import { createWatchZone } from '../lib/watchZones'
+import { REGION_SHAPES } from '../lib/regions'
+import { requestNotificationPermission, notificationsSupported } from '../utils/notifications'
+import { formatTimestamp } from '../utils/formatDate'
+
+const buttonStyle = { background: 'var(--panel-bg)', color: 'var(--panel-text)', border: '1px solid var(--muted-border)', borderRadius: 6, padding: '3px 8px', cursor: 'pointer', fontSize: 12 }
+const inputStyle = { fontSize: 12, padding: '2px 4px', borderRadius: 4, border: '1px solid rgba(0,0,0,0.08)', background: 'var(--panel-bg)', color: 'var(--panel-text)', width: 52 }
+
+const toNumberOrNull = v => (v === '' ? null : Number(v))
+
+// Watch zones built from saved regions, each with thresholds and its own alert inbox
+export default function WatchZoneManager({
+  regions = [],
+  zones = [],
+  alerts = {},
+  onAdd = () => {},
+  onUpdate = () => {},
+  onRemove = () => {},
+  onMarkRead = () => {},
+  onClear = () => {},
+  setSelectedId = () => {}
+}) {
+  const [regionId, setRegionId] = useState('')
+  const [minMagnitude, setMinMagnitude] = useState(4)
+  const [maxDepth, setMaxDepth] = useState('')
+  const [openZoneId, setOpenZoneId] = useState(null)
+
+  const addZone = () => {
+    const region = regions.find(r => r.id === regionId)
+    if (!region) return
+    onAdd(createWatchZone({ region, minMagnitude, maxDepth: toNumberOrNull(maxDepth), existing: zones }))
+    setRegionId('')
+  }
+
+  const toggleNotify = async (zone, notify) => {
+    if (notify && (await requestNotificationPermission()) !== 'granted') return
+    onUpdate(zone.id, { notify })
+  }
+
+  const openAlert = (zone, alert) => {
+    setSelectedId(alert.id)
+    if (!alert.read) onMarkRead(zone.id, [alert.id])
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ fontSize: 13, fontWeight: 600 }}>Watch zones</div>
+
+      {regions.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#6b7280' }}>Save a region first, then watch it for new events.</div>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', fontSize: 12 }}>
+          <select value={regionId} onChange={e => setRegionId(e.target.value)} aria-label="Region to watch" style={{ ...inputStyle, width: 'auto', maxWidth: 140 }}>
+            <option value="">Region…</option>
+            {regions.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+          M≥ <input type="number" step={0.1} value={minMagnitude} onChange={e => setMinMagnitude(Number(e.target.value) || 0)} aria-label="Minimum magnitude" style={inputStyle} />
+          depth≤ <input type="number" min={0} value={maxDepth} onChange={e => setMaxDepth(e.target.value)} placeholder="any" aria-label="Maximum depth (km)" style={inputStyle} />
+          <button onClick={addZone} disabled={!regionId} style={buttonStyle}>Watch</button>
+        </div>
+      )}
+
+      {zones.length > 0 && (
+        <div style={{ fontSize: 11, color: '#6b7280' }}>Zones are checked against every event in the loaded time range, whatever the map's magnitude filter.</div>
+      )}
+
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: 6 }}>
+        {zones.map(zone => {
+          const inbox = alerts[zone.id] || []
+          const unread = inbox.filter(a => !a.read).length
+          const open = openZoneId === zone.id
+          return (
+            <li key={zone.id} style={{ border: '1px solid var(--muted-border)', borderRadius: 6, padding: 6, display: 'grid', gap: 4, fontSize: 12 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <input type="checkbox" checked={zone.enabled} onChange={e => onUpdate(zone.id, { enabled: e.target.checked })} aria-label={`Watch ${zone.name}`} />
+                <button onClick={() => setOpenZoneId(open ? null : zone.id)} style={{ border: 'none', background: 'transparent', color: 'var(--panel-text)', cursor: 'pointer', flex: 1, textAlign: 'left', padding: 0, fontSize: 12 }}>
+                  {open ? '▾' : '▸'} {zone.name} <span style={{ color: '#6b7280' }}>({REGION_SHAPES[zone.shape]})</span>
+                </button>
+                {unread > 0 && <span style={{ background: '#ef4444', color: 'white', borderRadius: 999, padding: '0 6px', fontSize: 11 }}>{unread}</span>}
+                <button onClick={() => onRemove(zone.id)} aria-label={`Remove ${zone.name}`} style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#ef4444' }}>✕</button>
+              </div>
+
+              {open && (
+                <>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+                    M≥ <input type="number" step={0.1} value={zone.minMagnitude ?? ''} onChange={e => onUpdate(zone.id, { minMagnitude: toNumberOrNull(e.target.value) })} aria-label="Minimum magnitude" style={inputStyle} />
+                    depth <input type="number" min={0} value={zone.minDepth ?? ''} onChange={e => onUpdate(zone.id, { minDepth: toNumberOrNull(e.target.value) })} placeholder="min" aria-label="Minimum depth (km)" style={inputStyle} />
+                    – <input type="number" min={0} value={zone.maxDepth ?? ''} onChange={e => onUpdate(zone.id, { maxDepth: toNumberOrNull(e.target.value) })} placeholder="max" aria-label="Maximum depth (km)" style={inputStyle} /> km
+                    {notificationsSupported() && (
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                        <input type="checkbox" checked={!!zone.notify} onChange={e => toggleNotify(zone, e.target.checked)} /> Notify
+                      </label>
+                    )}
+                  </div>
+
+                  {inbox.length === 0 ? (
+                    <div style={{ color: '#6b7280' }}>No alerts since {formatTimestamp(zone.createdAt)}.</div>
+                  ) : (
+                    <>
+                      <div style={{ display: 'flex', gap: 6 }}>
+                        <button onClick={() => onMarkRead(zone.id)} disabled={!unread} style={buttonStyle}>Mark all read</button>
+                        <button onClick={() => onClear(zone.id)} style={buttonStyle}>Clear</button>
+                      </div>
+                      <ul style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: 180, overflowY: 'auto', display: 'grid', gap: 2 }}>
+                        {inbox.map(alert => (
+                          <li key={alert.id}>
+                            <button
+                              onClick={() => openAlert(zone, alert)}
+                              style={{ border: 'none', background: alert.read ? 'transparent' : 'rgba(37,99,235,0.08)', color: 'var(--panel-text)', cursor: 'pointer', width: '100%', textAlign: 'left', padding: '2px 4px', borderRadius: 4, fontSize: 12, fontWeight: alert.read ? 400 : 600 }}
+                            >
+                              M{alert.magnitude} · {alert.place} <span style={{ color: '#6b7280', fontWeight: 400 }}>{formatTimestamp(alert.time)}</span>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
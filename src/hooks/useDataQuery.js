@@ -0,0 +1,42 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { getDataEngine, pickEvents } from '../lib/dataEngine'
+
+const EMPTY = { events: null, result: null, elapsed: 0 }
+
+// Runs a data engine query (see lib/dataCore runQuery) whenever `events` or `params` change.
+// `params` should be memoized by the caller. Responses to superseded queries are dropped.
+// Returns the picked event arrays plus { resultId, stats, elapsed, ready }.
+export default function useDataQuery(slot, events, params) {
+  const [state, setState] = useState(EMPTY)
+  const seqRef = useRef(0)
+
+  useEffect(() => {
+    const seq = ++seqRef.current
+    const started = performance.now()
+    getDataEngine().query(slot, events, params).then(result => {
+      if (seq !== seqRef.current) return
+      setState({ events, result, elapsed: performance.now() - started })
+    }).catch(err => {
+      if (seq === seqRef.current) console.warn('Data query failed', err)
+    })
+  }, [slot, events, params])
+
+  // free the worker's copy when the component goes away
+  useEffect(() => () => { getDataEngine().release(slot).catch(() => {}) }, [slot])
+
+  return useMemo(() => {
+    const { result } = state
+    const source = state.events || []
+    return {
+      filtered: result ? pickEvents(source, result.filtered) : [],
+      playback: result ? pickEvents(source, result.playback) : [],
+      visible: result ? pickEvents(source, result.visible) : [],
+      events: source,
+      resultId: result ? result.resultId : null,
+      stats: result ? result.stats : null,
+      elapsed: state.elapsed,
+      // false until the latest events have been answered for
+      ready: state.events === events
+    }
+  }, [state, events])
+}
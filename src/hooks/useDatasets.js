@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import datasetsLib from '../lib/datasets'
+
+// Imported overlay datasets, loaded from IndexedDB on mount and written back on every change
+export default function useDatasets() {
+  const [datasets, setDatasets] = useState([])
+  const datasetsRef = useRef([])
+  datasetsRef.current = datasets
+
+  useEffect(() => {
+    let mounted = true
+    datasetsLib.listDatasets().then(list => {
+      if (mounted) setDatasets(list)
+    }).catch(() => {})
+    return () => { mounted = false }
+  }, [])
+
+  const addDataset = useCallback(async (dataset) => {
+    setDatasets(prev => [...prev, dataset])
+    await datasetsLib.saveDataset(dataset)
+  }, [])
+
+  const updateDataset = useCallback((id, patch) => {
+    const dataset = datasetsRef.current.find(ds => ds.id === id)
+    if (!dataset) return
+    const next = { ...dataset, ...patch }
+    const list = datasetsRef.current.map(ds => (ds.id === id ? next : ds))
+    datasetsRef.current = list
+    setDatasets(list)
+    datasetsLib.saveDataset(next).catch(() => {})
+  }, [])
+
+  const removeDataset = useCallback(async (id) => {
+    setDatasets(prev => prev.filter(ds => ds.id !== id))
+    await datasetsLib.removeDataset(id)
+  }, [])
+
+  return { datasets, addDataset, updateDataset, removeDataset }
+}
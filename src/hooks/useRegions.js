@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from 'react'
+import regionsLib from '../lib/regions'
+
+// Saved spatial-filter regions, loaded from IndexedDB on mount and written back on every change
+export default function useRegions() {
+  const [regions, setRegions] = useState([])
+
+  useEffect(() => {
+    let mounted = true
+    regionsLib.listRegions().then(list => {
+      if (mounted) setRegions(list)
+    }).catch(() => {})
+    return () => { mounted = false }
+  }, [])
+
+  const addRegion = useCallback(async (region) => {
+    setRegions(prev => [...prev, region])
+    await regionsLib.saveRegion(region)
+  }, [])
+
+  const updateRegion = useCallback((id, patch) => {
+    setRegions(prev => prev.map(r => {
+      if (r.id !== id) return r
+      const next = { ...r, ...patch }
+      regionsLib.saveRegion(next).catch(() => {})
+      return next
+    }))
+  }, [])
+
+  const removeRegion = useCallback(async (id) => {
+    setRegions(prev => prev.filter(r => r.id !== id))
+    await regionsLib.removeRegion(id)
+  }, [])
+
+  return { regions, addRegion, updateRegion, removeRegion }
+}
@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { parseUrlState, serializeUrlState, differsInHistoryFields } from '../utils/urlState'
+
+// Keeps app state mirrored in the query string.
+// Filter changes push a history entry so back/forward steps through them;
+// viewport, selection and rendering tweaks replace the current entry.
+export default function useUrlState() {
+  const [state, setState] = useState(() => parseUrlState(window.location.search))
+  const writtenRef = useRef(state)
+  const fromPopRef = useRef(false)
+
+  useEffect(() => {
+    const onPopState = () => {
+      fromPopRef.current = true
+      // overlay styles are not in the URL, so history steps keep the current ones
+      setState(prev => {
+        const next = parseUrlState(window.location.search)
+        return { ...next, render: { ...next.render, overlayStyles: prev.render.overlayStyles } }
+      })
+    }
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+
+  useEffect(() => {
+    const previous = writtenRef.current
+    writtenRef.current = state
+    // state restored from history is already what the URL says
+    if (fromPopRef.current) {
+      fromPopRef.current = false
+      return
+    }
+    const search = serializeUrlState(state)
+    if (search === window.location.search) return
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    try {
+      if (differsInHistoryFields(previous, state)) window.history.pushState(null, '', url)
+      else window.history.replaceState(null, '', url)
+    } catch (e) {
+      // some embedded browsers throttle/deny history updates; the app keeps working without them
+    }
+  }, [state])
+
+  // setField('filters', prev => ({ ...prev, types: [] })) — accepts a value or an updater like useState
+  const setField = useCallback((name, value) => {
+    setState(prev => {
+      const next = typeof value === 'function' ? value(prev[name]) : value
+      return next === prev[name] ? prev : { ...prev, [name]: next }
+    })
+  }, [])
+
+  return [state, setField]
+}
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import watchLib from '../lib/watchZones'
+import earthquakesAPI, { subscribeEarthquakes } from '../api/earthquakes'
+import { notifyEvent } from '../utils/notifications'
+
+// lowest magnitude any enabled zone alerts on
+function lowestThreshold(zones) {
+  const enabled = zones.filter(z => z.enabled)
+  return enabled.length ? Math.min(...enabled.map(z => z.minMagnitude ?? 0)) : Infinity
+}
+
+// Watch zones and their alert inboxes. Every time getEarthquakes loads data, new matching
+// events are appended to the persistent inboxes (see lib/watchZones).
+export default function useWatchZones() {
+  const [zones, setZones] = useState([])
+  const [alerts, setAlerts] = useState({}) // zoneId -> alerts, newest first
+  const zonesRef = useRef([])
+  zonesRef.current = zones
+
+  const reloadAlerts = useCallback(async (list) => {
+    const entries = await Promise.all(list.map(async z => [z.id, await watchLib.listAlerts(z.id)]))
+    setAlerts(Object.fromEntries(entries))
+  }, [])
+
+  useEffect(() => {
+    let mounted = true
+    watchLib.listWatchZones().then(list => {
+      if (!mounted) return
+      setZones(list)
+      zonesRef.current = list
+      reloadAlerts(list).catch(() => {})
+    }).catch(() => {})
+    return () => { mounted = false }
+  }, [reloadAlerts])
+
+  useEffect(() => subscribeEarthquakes(async (features, meta = {}) => {
+    if (!zonesRef.current.some(z => z.enabled)) return
+    let events = features
+    // the page loads the feed above its own magnitude filter; zones with a lower threshold are
+    // checked against the unfiltered feed (recording is deduplicated, so its own load coming
+    // back through this listener is harmless)
+    if ((meta.minMagnitude || 0) > lowestThreshold(zonesRef.current)) {
+      const res = await earthquakesAPI.getEarthquakes({ range: meta.range, minMagnitude: 0, maxResults: null })
+      if (!res.ok) return
+      events = res.features
+    }
+    const created = await watchLib.recordAlerts(events, zonesRef.current)
+    if (!created.length) return
+    const byZone = new Map(zonesRef.current.map(z => [z.id, z]))
+    created.forEach(alert => {
+      const zone = byZone.get(alert.zoneId)
+      if (zone && zone.notify) notifyEvent(alert, { title: `${zone.name}: M${Number(alert.magnitude).toFixed(1)}` })
+    })
+    setAlerts(prev => {
+      const next = { ...prev }
+      created.forEach(alert => { next[alert.zoneId] = [alert, ...(next[alert.zoneId] || [])] })
+      return next
+    })
+  }), [])
+
+  const addZone = useCallback(async (zone) => {
+    setZones(prev => [...prev, zone])
+    await watchLib.saveWatchZone(zone)
+  }, [])
+
+  const updateZone = useCallback((id, patch) => {
+    const zone = zonesRef.current.find(z => z.id === id)
+    if (!zone) return
+    const next = { ...zone, ...patch }
+    const list = zonesRef.current.map(z => (z.id === id ? next : z))
+    zonesRef.current = list
+    setZones(list)
+    watchLib.saveWatchZone(next).catch(() => {})
+  }, [])
+
+  const removeZone = useCallback(async (id) => {
+    setZones(prev => prev.filter(z => z.id !== id))
+    setAlerts(prev => {
+      const next = { ...prev }
+      delete next[id]
+      return next
+    })
+    await watchLib.removeWatchZone(id)
+  }, [])
+
+  const markRead = useCallback(async (zoneId, ids = null) => {
+    const next = await watchLib.markAlertsRead(zoneId, ids)
+    setAlerts(prev => ({ ...prev, [zoneId]: next }))
+  }, [])
+
+  const clearZoneAlerts = useCallback(async (zoneId) => {
+    await watchLib.clearAlerts(zoneId)
+    setAlerts(prev => ({ ...prev, [zoneId]: [] }))
+  }, [])
+
+  return { zones, alerts, addZone, updateZone, removeZone, markRead, clearZoneAlerts }
+}
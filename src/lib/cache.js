@@ -1,58 +1,388 @@
-// Simple persistent cache wrapper using localforage with TTL support
+// Persistent cache wrapper using localforage, split into namespaces (one IndexedDB store each)
+// so feed data, event details and user data don't share a key space. Each namespace has a small
+// in-memory LRU tier in front of IndexedDB, an LRU/size budget, HTTP validators per entry and
+// hit/miss counters. Entries keep the time they were fetched: reads never re-stamp it.
 import localforage from 'localforage'
 
-const STORE_NAME = 'earthquake-cache'
-localforage.config({ name: 'earthquake-visualizer', storeName: STORE_NAME })
+const DB_NAME = 'earthquake-visualizer'
+const DEFAULT_TTL = 5 * 60 * 1000
+// per-namespace metadata (ts, ttl, bytes, lastAccess, validators) so LRU decisions don't read values
+const INDEX_KEY = '__index__'
+const MB = 1024 * 1024
+
+// Budgets apply to expiring entries only; entries stored with ttl = null are never evicted.
+// `user` keeps the original store name so saved regions, datasets and watch zones carry over.
+export const NAMESPACES = {
+  feed: { label: 'USGS feeds', storeName: 'feeds', maxEntries: 12, maxBytes: 60 * MB, memoryEntries: 6, memoryBytes: 30 * MB },
+  query: { label: 'FDSN queries', storeName: 'fdsn-queries', maxEntries: 20, maxBytes: 40 * MB, memoryEntries: 4, memoryBytes: 10 * MB },
+  detail: { label: 'Event details', storeName: 'event-details', maxEntries: 200, maxBytes: 10 * MB, memoryEntries: 50, memoryBytes: 2 * MB },
+  user: { label: 'User data', storeName: 'earthquake-cache', permanentOnly: true }
+}
+
+function isExpired({ ts, ttl }) {
+  return ttl !== null && Date.now() - ts > (ttl || 0)
+}
+
+// approximate size: length of the JSON text
+export function sizeOf(value) {
+  try {
+    const json = JSON.stringify(value)
+    return json ? json.length : 0
+  } catch (e) {
+    return 0
+  }
+}
+
+// record count for list values (feeds, queries, alert inboxes), null otherwise
+function countOf(value) {
+  return Array.isArray(value) ? value.length : null
+}
+
+function metaOf(payload, lastAccess = payload.ts) {
+  return { ts: payload.ts, ttl: payload.ttl, bytes: payload.bytes || 0, count: payload.count ?? countOf(payload.value), lastAccess, etag: payload.etag || null, lastModified: payload.lastModified || null }
+}
+
+function emptyStats() {
+  return { hits: 0, memoryHits: 0, staleHits: 0, misses: 0, revalidations: 0, notModified: 0, evictions: 0 }
+}
+
+function createNamespace(name, { storeName, maxEntries = Infinity, maxBytes = Infinity, memoryEntries = 0, memoryBytes = Infinity, permanentOnly = false }) {
+  const store = localforage.createInstance({ name: DB_NAME, storeName })
+  const memory = new Map() // key -> payload, least recently used first
+  let memoryUsed = 0
+  let index = null
+  let indexPromise = null
+  let saveTimer = null
+  const inflight = new Map()
+  let stats = emptyStats()
+
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = (async () => {
+        const saved = (await store.getItem(INDEX_KEY)) || {}
+        const keys = (await store.keys()).filter(k => k !== INDEX_KEY)
+        const next = {}
+        for (const key of keys) {
+          if (saved[key]) {
+            next[key] = saved[key]
+            continue
+          }
+          const payload = await store.getItem(key)
+          if (!payload) continue
+          // older builds wrote feed responses into the user store
+          if (permanentOnly && payload.ttl !== null) {
+            await store.removeItem(key)
+            continue
+          }
+          next[key] = metaOf({ ...payload, bytes: payload.bytes || sizeOf(payload.value) })
+        }
+        index = next
+        return index
+      })().catch(() => {
+        index = {}
+        return index
+      })
+    }
+    return indexPromise
+  }
+
+  function saveIndexSoon() {
+    clearTimeout(saveTimer)
+    saveTimer = setTimeout(() => {
+      if (index) store.setItem(INDEX_KEY, index).catch(() => {})
+    }, 500)
+  }
+
+  function forgetMemory(key) {
+    const payload = memory.get(key)
+    if (!payload) return
+    memoryUsed -= payload.bytes || 0
+    memory.delete(key)
+  }
+
+  function rememberMemory(key, payload) {
+    forgetMemory(key)
+    if (memoryEntries <= 0 || (payload.bytes || 0) > memoryBytes) return
+    memory.set(key, payload)
+    memoryUsed += payload.bytes || 0
+    for (const oldest of memory.keys()) {
+      if (memory.size <= memoryEntries && memoryUsed <= memoryBytes) break
+      forgetMemory(oldest)
+    }
+  }
+
+  // drop least recently used expiring entries until the namespace fits its budget
+  async function evict(protectedKey) {
+    const idx = await loadIndex()
+    const expiring = Object.entries(idx).filter(([, meta]) => meta.ttl !== null)
+    let count = expiring.length
+    let bytes = expiring.reduce((sum, [, meta]) => sum + (meta.bytes || 0), 0)
+    const candidates = expiring.filter(([key]) => key !== protectedKey).sort((a, b) => a[1].lastAccess - b[1].lastAccess)
+    for (const [key, meta] of candidates) {
+      if (count <= maxEntries && bytes <= maxBytes) break
+      await remove(key)
+      count--
+      bytes -= meta.bytes || 0
+      stats.evictions++
+    }
+  }
+
+  /**
+   * Entry with metadata, expired or not: { value, ts, ttl, expired, etag, lastModified, bytes, tier }
+   */
+  async function getEntry(key, { count = true } = {}) {
+    let payload = memory.get(key)
+    const tier = payload ? 'memory' : 'store'
+    if (payload) {
+      rememberMemory(key, payload)
+    } else {
+      try {
+        payload = await store.getItem(key)
+      } catch (e) {
+        // localforage may throw in some environments (e.g. private mode); fail gracefully
+        payload = null
+      }
+      if (payload) rememberMemory(key, payload)
+    }
+    if (!payload) {
+      if (count) stats.misses++
+      return null
+    }
+    const expired = isExpired(payload)
+    if (count) {
+      if (expired) stats.staleHits++
+      else stats.hits++
+      if (tier === 'memory') stats.memoryHits++
+    }
+    const idx = await loadIndex()
+    if (idx[key]) {
+      idx[key].lastAccess = Date.now()
+      saveIndexSoon()
+    }
+    return { value: payload.value, ts: payload.ts, ttl: payload.ttl, expired, etag: payload.etag || null, lastModified: payload.lastModified || null, bytes: payload.bytes || 0, tier }
+  }
+
+  // the value if present and not expired
+  async function get(key) {
+    const entry = await getEntry(key)
+    return entry && !entry.expired ? entry.value : null
+  }
+
+  /**
+   * ttl in ms (null: never expires); etag/lastModified are kept for conditional requests
+   */
+  async function set(key, value, { ttl = DEFAULT_TTL, etag = null, lastModified = null } = {}) {
+    await write(key, { ts: Date.now(), ttl, value, etag, lastModified })
+  }
+
+  async function write(key, { ts, ttl, value, etag = null, lastModified = null }) {
+    const payload = { ts, ttl, value, etag, lastModified, bytes: sizeOf(value), count: countOf(value) }
+    rememberMemory(key, payload)
+    try {
+      await store.setItem(key, payload)
+    } catch (e) {
+      // not persisted (quota exhausted, private window): the memory tier still serves it, and the
+      // caller's fetch result must not depend on it
+      return
+    }
+    const idx = await loadIndex()
+    idx[key] = metaOf(payload, Date.now())
+    saveIndexSoon()
+    await evict(key)
+  }
+
+  // stored entries with their values, for backups (see exportCache)
+  async function dump() {
+    const idx = await loadIndex()
+    const rows = await Promise.all(Object.keys(idx).map(async key => {
+      const payload = await store.getItem(key)
+      return payload && { key, ts: payload.ts, ttl: payload.ttl, etag: payload.etag || null, lastModified: payload.lastModified || null, value: payload.value }
+    }))
+    return rows.filter(Boolean)
+  }
+
+  // write an exported entry back, keeping its original timestamp
+  async function restore({ key, ts, ttl, etag, lastModified, value }) {
+    if (typeof key !== 'string' || key === INDEX_KEY || typeof ts !== 'number') throw new Error('Invalid cache entry')
+    await write(key, { ts, ttl: ttl === undefined ? DEFAULT_TTL : ttl, value, etag, lastModified })
+  }
+
+  // the server confirmed the stored copy (304): restart its TTL
+  async function touch(key) {
+    const payload = memory.get(key) || (await store.getItem(key))
+    if (!payload) return
+    stats.notModified++
+    await set(key, payload.value, { ttl: payload.ttl, etag: payload.etag, lastModified: payload.lastModified })
+  }
+
+  async function remove(key) {
+    forgetMemory(key)
+    try { await store.removeItem(key) } catch (e) { /* ignore */ }
+    const idx = await loadIndex()
+    if (idx[key]) {
+      delete idx[key]
+      saveIndexSoon()
+    }
+  }
+
+  async function keys() {
+    return Object.keys(await loadIndex())
+  }
+
+  // metadata for every entry, without reading the values
+  async function entries() {
+    const idx = await loadIndex()
+    return Object.entries(idx).map(([key, meta]) => ({ key, namespace: name, ...meta, expired: isExpired(meta) }))
+  }
+
+  /**
+   * Fetch a fresh value and store it. fetcher(previousEntry) resolves with
+   * { value, etag, lastModified } or { notModified: true }; extra fields are passed through,
+   * and { store: false } skips caching. Concurrent refreshes of one key share a request.
+   */
+  function revalidate(key, fetcher, { ttl = DEFAULT_TTL } = {}) {
+    if (inflight.has(key)) return inflight.get(key)
+    const run = (async () => {
+      stats.revalidations++
+      const previous = await getEntry(key, { count: false })
+      const result = await fetcher(previous)
+      if (result.notModified) {
+        if (!previous) throw new Error('Not modified, but nothing is cached')
+        await touch(key)
+        return { ...result, value: previous.value }
+      }
+      if (result.store !== false) await set(key, result.value, { ttl, etag: result.etag || null, lastModified: result.lastModified || null })
+      return result
+    })()
+    inflight.set(key, run)
+    const done = () => inflight.delete(key)
+    run.then(done, done)
+    return run
+  }
+
+  /**
+   * Stale-while-revalidate read: a fresh entry is returned as is; an expired one is returned
+   * immediately with `revalidating` (a promise of the refresh); with nothing cached the
+   * refresh is awaited.
+   */
+  async function swr(key, fetcher, options = {}) {
+    const entry = await getEntry(key)
+    if (entry && !entry.expired) return { value: entry.value, fromCache: true, entry }
+    if (entry) return { value: entry.value, fromCache: true, stale: true, entry, revalidating: revalidate(key, fetcher, options) }
+    const result = await revalidate(key, fetcher, options)
+    return { ...result, fromCache: false }
+  }
+
+  /**
+   * remove every expiring entry; entries stored with ttl = null are kept
+   */
+  async function clear() {
+    const idx = await loadIndex()
+    const removable = Object.keys(idx).filter(key => idx[key].ttl !== null)
+    await Promise.all(removable.map(remove))
+    return removable.length
+  }
+
+  return {
+    name,
+    getEntry,
+    get,
+    set,
+    touch,
+    remove,
+    keys,
+    entries,
+    dump,
+    restore,
+    revalidate,
+    swr,
+    clear,
+    getStats: () => ({ ...stats }),
+    resetStats: () => { stats = emptyStats() }
+  }
+}
+
+const _namespaces = new Map()
+
+export function cacheNamespace(name) {
+  if (!NAMESPACES[name]) throw new Error(`Unknown cache namespace: ${name}`)
+  if (!_namespaces.has(name)) _namespaces.set(name, createNamespace(name, NAMESPACES[name]))
+  return _namespaces.get(name)
+}
+
+// The functions below work on the `user` namespace (saved regions, datasets, watch zones)
 
 /**
- * set a value with TTL (ms)
+ * set a value with TTL (ms); pass ttl = null for entries that never expire (user data)
  */
-export async function setCache(key, value, ttl = 5 * 60 * 1000) {
-  const payload = { ts: Date.now(), ttl, value }
-  await localforage.setItem(key, payload)
+export async function setCache(key, value, ttl = DEFAULT_TTL) {
+  await cacheNamespace('user').set(key, value, { ttl })
 }
 
 /**
  * get a cached value if not expired
  */
 export async function getCache(key) {
-  try {
-    const payload = await localforage.getItem(key)
-    if (!payload) return null
-    const { ts, ttl, value } = payload
-    if (Date.now() - ts > (ttl || 0)) {
-      await localforage.removeItem(key)
-      return null
-    }
-    return value
-  } catch (e) {
-    // localforage may throw in some environments (e.g. private mode); fail gracefully
-    return null
-  }
+  return cacheNamespace('user').get(key)
+}
+
+export async function getCacheEntry(key) {
+  return cacheNamespace('user').getEntry(key)
 }
 
 export async function removeCache(key) {
-  try { await localforage.removeItem(key) } catch (e) { /* ignore */ }
+  await cacheNamespace('user').remove(key)
 }
 
 export async function getKeys() {
   try {
-    const keys = await localforage.keys()
-    return keys || []
+    return await cacheNamespace('user').keys()
   } catch (e) {
     return []
   }
 }
 
+/**
+ * remove every expiring entry in every namespace; user data (ttl = null) is kept
+ */
 export async function clearAll() {
-  try {
-    const keys = await localforage.keys()
-    if (!keys || keys.length === 0) return 0
-    await Promise.all(keys.map(k => localforage.removeItem(k)))
-    return keys.length
-  } catch (e) {
-    throw e
+  const removed = await Promise.all(Object.keys(NAMESPACES).map(name => cacheNamespace(name).clear()))
+  return removed.reduce((a, b) => a + b, 0)
+}
+
+export const CACHE_EXPORT_FORMAT = 'earthquake-visualizer-cache'
+
+/**
+ * Every namespace with its values, as a JSON-serializable backup
+ */
+export async function exportCache() {
+  const namespaces = {}
+  for (const name of Object.keys(NAMESPACES)) namespaces[name] = await cacheNamespace(name).dump()
+  return { format: CACHE_EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), namespaces }
+}
+
+/**
+ * Restore a backup made by exportCache; existing entries with the same key are replaced.
+ * Returns the number of entries written.
+ */
+export async function importCache(input) {
+  const json = typeof input === 'string' ? JSON.parse(input) : input
+  if (!json || json.format !== CACHE_EXPORT_FORMAT || !json.namespaces) throw new Error('Not a cache export file')
+  let written = 0
+  for (const [name, rows] of Object.entries(json.namespaces)) {
+    if (!NAMESPACES[name] || !Array.isArray(rows)) continue
+    const ns = cacheNamespace(name)
+    for (const row of rows) {
+      await ns.restore(row)
+      written++
+    }
   }
+  return written
+}
+
+// hit/miss counters since page load, per namespace
+export function getStats() {
+  return Object.fromEntries(Object.keys(NAMESPACES).map(name => [name, cacheNamespace(name).getStats()]))
 }
 
-export default { getCache, setCache, removeCache, getKeys, clearAll }
+export default { cacheNamespace, getCache, getCacheEntry, setCache, removeCache, getKeys, clearAll, getStats, exportCache, importCache, NAMESPACES }
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// In-memory localforage stand-in; `failWrites` makes setItem reject like a full or
+// unavailable IndexedDB
+const fake = vi.hoisted(() => ({ stores: new Map(), failWrites: false }))
+
+vi.mock('localforage', () => ({
+  default: {
+    createInstance({ storeName }) {
+      const data = new Map()
+      fake.stores.set(storeName, data)
+      return {
+        getItem: async key => (data.has(key) ? data.get(key) : null),
+        setItem: async (key, value) => {
+          if (fake.failWrites) throw new Error('QuotaExceededError')
+          data.set(key, value)
+          return value
+        },
+        removeItem: async key => { data.delete(key) },
+        keys: async () => [...data.keys()]
+      }
+    }
+  }
+}))
+
+const { cacheNamespace } = await import('./cache')
+
+beforeEach(() => {
+  fake.failWrites = false
+})
+
+describe('cache namespaces', () => {
+  it('stores and reads back values', async () => {
+    const ns = cacheNamespace('detail')
+    await ns.set('a', { n: 1 })
+    expect(await ns.get('a')).toEqual({ n: 1 })
+    expect(fake.stores.get('event-details').get('a').value).toEqual({ n: 1 })
+  })
+
+  it('resolves set when the store rejects the write', async () => {
+    const ns = cacheNamespace('detail')
+    fake.failWrites = true
+    await expect(ns.set('b', { n: 2 })).resolves.toBeUndefined()
+    expect(fake.stores.get('event-details').has('b')).toBe(false)
+    // still served from the memory tier for this session
+    expect(await ns.get('b')).toEqual({ n: 2 })
+  })
+
+  it('returns fresh data from swr when it cannot be persisted', async () => {
+    const ns = cacheNamespace('feed')
+    fake.failWrites = true
+    const fetcher = vi.fn(async () => ({ value: [1, 2, 3], etag: 'v1' }))
+    const res = await ns.swr('feed-key', fetcher)
+    expect(fetcher).toHaveBeenCalledTimes(1)
+    expect(res).toMatchObject({ value: [1, 2, 3], fromCache: false })
+    expect(res.stale).toBeUndefined()
+  })
+})
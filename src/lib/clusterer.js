@@ -0,0 +1,304 @@
+// Hierarchical, zoom-aware point clusterer (same approach as mapbox/supercluster).
+// Points are projected to Web Mercator world coordinates in [0, 1]; each zoom level
+// is clustered from the one below it using a static KD-tree, so a query is just a
+// range search at the requested zoom. The cluster radius is in screen pixels.
+
+const DEFAULTS = {
+  radius: 60, // px
+  extent: 256, // tile size in px
+  minZoom: 0,
+  maxZoom: 16, // above this every event is shown on its own
+  nodeSize: 64
+}
+
+function lngX(lng) {
+  return lng / 360 + 0.5
+}
+
+function latY(lat) {
+  const sin = Math.sin((lat * Math.PI) / 180)
+  const y = 0.5 - (0.25 * Math.log((1 + sin) / (1 - sin))) / Math.PI
+  return y < 0 ? 0 : y > 1 ? 1 : y
+}
+
+function xLng(x) {
+  return (x - 0.5) * 360
+}
+
+function yLat(y) {
+  const y2 = ((180 - y * 360) * Math.PI) / 180
+  return (360 * Math.atan(Math.exp(y2))) / Math.PI - 90
+}
+
+// Static 2D KD-tree over parallel coordinate arrays (kdbush-style)
+export class KDIndex {
+  constructor(items, getX, getY, nodeSize = 64) {
+    const n = items.length
+    this.nodeSize = nodeSize
+    this.ids = new Uint32Array(n)
+    this.coords = new Float64Array(n * 2)
+    for (let i = 0; i < n; i++) {
+      this.ids[i] = i
+      this.coords[2 * i] = getX(items[i])
+      this.coords[2 * i + 1] = getY(items[i])
+    }
+    sortKD(this.ids, this.coords, nodeSize, 0, n - 1, 0)
+  }
+
+  range(minX, minY, maxX, maxY) {
+    const { ids, coords, nodeSize } = this
+    const stack = [0, ids.length - 1, 0]
+    const result = []
+    while (stack.length) {
+      const axis = stack.pop()
+      const right = stack.pop()
+      const left = stack.pop()
+      if (right - left <= nodeSize) {
+        for (let i = left; i <= right; i++) {
+          const x = coords[2 * i]
+          const y = coords[2 * i + 1]
+          if (x >= minX && x <= maxX && y >= minY && y <= maxY) result.push(ids[i])
+        }
+        continue
+      }
+      const m = (left + right) >> 1
+      const x = coords[2 * m]
+      const y = coords[2 * m + 1]
+      if (x >= minX && x <= maxX && y >= minY && y <= maxY) result.push(ids[m])
+      if (axis === 0 ? minX <= x : minY <= y) stack.push(left, m - 1, 1 - axis)
+      if (axis === 0 ? maxX >= x : maxY >= y) stack.push(m + 1, right, 1 - axis)
+    }
+    return result
+  }
+
+  within(qx, qy, r) {
+    const { ids, coords, nodeSize } = this
+    const stack = [0, ids.length - 1, 0]
+    const result = []
+    const r2 = r * r
+    while (stack.length) {
+      const axis = stack.pop()
+      const right = stack.pop()
+      const left = stack.pop()
+      if (right - left <= nodeSize) {
+        for (let i = left; i <= right; i++) {
+          if (sqDist(coords[2 * i], coords[2 * i + 1], qx, qy) <= r2) result.push(ids[i])
+        }
+        continue
+      }
+      const m = (left + right) >> 1
+      const x = coords[2 * m]
+      const y = coords[2 * m + 1]
+      if (sqDist(x, y, qx, qy) <= r2) result.push(ids[m])
+      if (axis === 0 ? qx - r <= x : qy - r <= y) stack.push(left, m - 1, 1 - axis)
+      if (axis === 0 ? qx + r >= x : qy + r >= y) stack.push(m + 1, right, 1 - axis)
+    }
+    return result
+  }
+}
+
+function sqDist(ax, ay, bx, by) {
+  const dx = ax - bx
+  const dy = ay - by
+  return dx * dx + dy * dy
+}
+
+function sortKD(ids, coords, nodeSize, left, right, axis) {
+  if (right - left <= nodeSize) return
+  const m = (left + right) >> 1
+  select(ids, coords, m, left, right, axis)
+  sortKD(ids, coords, nodeSize, left, m - 1, 1 - axis)
+  sortKD(ids, coords, nodeSize, m + 1, right, 1 - axis)
+}
+
+// Floyd-Rivest selection: partially sort so that item k is in place
+function select(ids, coords, k, left, right, axis) {
+  while (right > left) {
+    if (right - left > 600) {
+      const n = right - left + 1
+      const m = k - left + 1
+      const z = Math.log(n)
+      const s = 0.5 * Math.exp((2 * z) / 3)
+      const sd = 0.5 * Math.sqrt((z * s * (n - s)) / n) * (m - n / 2 < 0 ? -1 : 1)
+      const newLeft = Math.max(left, Math.floor(k - (m * s) / n + sd))
+      const newRight = Math.min(right, Math.floor(k + ((n - m) * s) / n + sd))
+      select(ids, coords, k, newLeft, newRight, axis)
+    }
+    const t = coords[2 * k + axis]
+    let i = left
+    let j = right
+    swapItem(ids, coords, left, k)
+    if (coords[2 * right + axis] > t) swapItem(ids, coords, left, right)
+    while (i < j) {
+      swapItem(ids, coords, i, j)
+      i++
+      j--
+      while (coords[2 * i + axis] < t) i++
+      while (coords[2 * j + axis] > t) j--
+    }
+    if (coords[2 * left + axis] === t) swapItem(ids, coords, left, j)
+    else {
+      j++
+      swapItem(ids, coords, j, right)
+    }
+    if (j <= k) left = j + 1
+    if (k <= j) right = j - 1
+  }
+}
+
+function swapItem(ids, coords, i, j) {
+  const id = ids[i]
+  ids[i] = ids[j]
+  ids[j] = id
+  const x = coords[2 * i]
+  const y = coords[2 * i + 1]
+  coords[2 * i] = coords[2 * j]
+  coords[2 * i + 1] = coords[2 * j + 1]
+  coords[2 * j] = x
+  coords[2 * j + 1] = y
+}
+
+// Running statistics carried by every node so cluster icons/popups don't need to walk leaves
+function leafStats(eq) {
+  const mag = eq.magnitude || 0
+  const depth = eq.depth || 0
+  return { count: 1, maxMagnitude: mag, sumMagnitude: mag, minDepth: depth, maxDepth: depth }
+}
+
+function mergeStats(a, b) {
+  return {
+    count: a.count + b.count,
+    maxMagnitude: Math.max(a.maxMagnitude, b.maxMagnitude),
+    sumMagnitude: a.sumMagnitude + b.sumMagnitude,
+    minDepth: Math.min(a.minDepth, b.minDepth),
+    maxDepth: Math.max(a.maxDepth, b.maxDepth)
+  }
+}
+
+/**
+ * Create a clusterer; call load(earthquakes) then getClusters([west, south, east, north], zoom)
+ */
+export function createClusterer(options = {}) {
+  const opts = { ...DEFAULTS, ...options }
+  const trees = []
+  const nodesByZoom = []
+  let nextClusterId = 0
+
+  function clusterLevel(nodes, zoom, tree) {
+    const r = opts.radius / (opts.extent * Math.pow(2, zoom))
+    const clusters = []
+    for (let i = 0; i < nodes.length; i++) {
+      const p = nodes[i]
+      // already merged into a cluster at this zoom
+      if (p.zoom <= zoom) continue
+      p.zoom = zoom
+
+      const neighbors = tree.within(p.x, p.y, r)
+      let stats = p.stats
+      let wx = p.x * p.stats.count
+      let wy = p.y * p.stats.count
+      const children = [p]
+      for (const j of neighbors) {
+        const b = nodes[j]
+        if (b.zoom <= zoom) continue
+        b.zoom = zoom
+        wx += b.x * b.stats.count
+        wy += b.y * b.stats.count
+        stats = mergeStats(stats, b.stats)
+        children.push(b)
+      }
+
+      if (children.length === 1) {
+        clusters.push({ ...p, zoom: Infinity })
+      } else {
+        const cluster = { id: `c${nextClusterId++}`, x: wx / stats.count, y: wy / stats.count, zoom: Infinity, createdAt: zoom, stats, children, point: null }
+        clusters.push(cluster)
+      }
+    }
+    return clusters
+  }
+
+  function load(earthquakes = []) {
+    const leaves = earthquakes
+      .filter(eq => eq && eq.coords && isFinite(eq.coords.lat) && isFinite(eq.coords.lon))
+      .map(eq => ({ id: eq.id, x: lngX(eq.coords.lon), y: latY(eq.coords.lat), zoom: Infinity, stats: leafStats(eq), children: null, point: eq }))
+
+    let nodes = leaves
+    nodesByZoom[opts.maxZoom + 1] = nodes
+    trees[opts.maxZoom + 1] = new KDIndex(nodes, n => n.x, n => n.y, opts.nodeSize)
+    for (let z = opts.maxZoom; z >= opts.minZoom; z--) {
+      nodes = clusterLevel(nodes, z, trees[z + 1])
+      nodesByZoom[z] = nodes
+      trees[z] = new KDIndex(nodes, n => n.x, n => n.y, opts.nodeSize)
+    }
+    return api
+  }
+
+  function toCluster(node) {
+    const lng = xLng(node.x)
+    const lat = yLat(node.y)
+    if (node.point) {
+      return { id: node.id, lat: node.point.coords.lat, lng: node.point.coords.lon, count: 1, isCluster: false, point: node.point, stats: node.stats }
+    }
+    const { count, maxMagnitude, sumMagnitude, minDepth, maxDepth } = node.stats
+    return {
+      id: node.id,
+      lat,
+      lng,
+      count,
+      isCluster: true,
+      stats: { count, maxMagnitude, meanMagnitude: sumMagnitude / count, minDepth, maxDepth },
+      node
+    }
+  }
+
+  function limitZoom(z) {
+    return Math.max(opts.minZoom, Math.min(Math.floor(z), opts.maxZoom + 1))
+  }
+
+  /**
+   * bbox is [west, south, east, north] in degrees; west > east means it crosses the antimeridian
+   */
+  function getClusters(bbox, zoom) {
+    let minLng = ((((bbox[0] + 180) % 360) + 360) % 360) - 180
+    const minLat = Math.max(-90, Math.min(90, bbox[1]))
+    let maxLng = bbox[2] === 180 ? 180 : ((((bbox[2] + 180) % 360) + 360) % 360) - 180
+    const maxLat = Math.max(-90, Math.min(90, bbox[3]))
+
+    if (bbox[2] - bbox[0] >= 360) {
+      minLng = -180
+      maxLng = 180
+    } else if (minLng > maxLng) {
+      const east = getClusters([minLng, minLat, 180, maxLat], zoom)
+      const west = getClusters([-180, minLat, maxLng, maxLat], zoom)
+      return east.concat(west)
+    }
+
+    const z = limitZoom(zoom)
+    const tree = trees[z]
+    if (!tree) return []
+    const nodes = nodesByZoom[z]
+    return tree.range(lngX(minLng), latY(maxLat), lngX(maxLng), latY(minLat)).map(i => toCluster(nodes[i]))
+  }
+
+  function getLeaves(cluster) {
+    const out = []
+    const walk = node => {
+      if (node.point) out.push(node.point)
+      else node.children.forEach(walk)
+    }
+    walk(cluster.node || cluster)
+    return out
+  }
+
+  // Lowest zoom at which the cluster breaks apart
+  function getClusterExpansionZoom(cluster) {
+    const node = cluster.node || cluster
+    return Math.min(opts.maxZoom + 1, (node.createdAt ?? opts.maxZoom) + 1)
+  }
+
+  const api = { load, getClusters, getLeaves, getClusterExpansionZoom, options: opts }
+  return api
+}
+
+export default { createClusterer, KDIndex }
@@ -0,0 +1,257 @@
+// Data engine core: owns loaded event arrays and answers filter/viewport/cluster queries with
+// index arrays (Uint32Array etc.) that the caller maps back onto its own copy of the events.
+// Runs inside the data worker (src/workers/dataEngine.worker.js) or, as the fallback, on the
+// main thread; it has no DOM or worker dependencies so it can be exercised in Node.
+import { matchesFilters, hasActiveFilters } from '../utils/eventFilters'
+import { isPlaybackActive } from '../utils/playback'
+import { regionContains } from './regions'
+import { createClusterer } from './clusterer'
+import { normalizeFeed } from '../api/normalize'
+
+// cluster indexes are kept for the most recent query results only
+const MAX_RESULTS = 4
+
+/**
+ * Marker budget for a zoom level and performance mode
+ */
+export function renderLimit(zoom, totalCount, performance = 'auto') {
+  if (performance === 'high') {
+    if (zoom >= 10) return Math.min(2000, totalCount)
+    if (zoom >= 8) return Math.min(1500, totalCount)
+    if (zoom >= 6) return Math.min(1000, totalCount)
+    if (zoom >= 4) return Math.min(500, totalCount)
+    return Math.min(200, totalCount)
+  }
+
+  if (performance === 'balanced') {
+    if (zoom >= 8) return Math.min(1000, totalCount)
+    if (zoom >= 6) return Math.min(500, totalCount)
+    if (zoom >= 4) return Math.min(250, totalCount)
+    return Math.min(100, totalCount)
+  }
+
+  // Performance mode
+  if (zoom >= 8) return Math.min(500, totalCount)
+  if (zoom >= 6) return Math.min(250, totalCount)
+  if (zoom >= 4) return Math.min(150, totalCount)
+  return Math.min(75, totalCount)
+}
+
+// Marker priority: higher magnitude first, then the more recent within half a unit
+export function priorityCompare(a, b) {
+  const aMag = a.magnitude || 0
+  const bMag = b.magnitude || 0
+  if (Math.abs(aMag - bMag) > 0.5) return bMag - aMag
+  return (b.time || 0) - (a.time || 0)
+}
+
+// Map bounds are not wrapped: a view across the antimeridian has e.g. west 150, east 210.
+// Longitudes are compared as their distance east of `west`, so every world copy in view matches.
+export function inBounds(eq, bounds) {
+  if (!bounds || !eq.coords) return true
+  const { lat, lon } = eq.coords
+  if (lat < bounds.south || lat > bounds.north) return false
+  const span = bounds.east - bounds.west
+  if (span >= 360) return true
+  return ((((lon - bounds.west) % 360) + 360) % 360) <= span
+}
+
+/**
+ * One pass over a dataset. Stages, each a subset of the previous one:
+ *   base      first `maxResults` events (feeds are sorted largest first); with limitToBounds,
+ *             only events inside `bounds` count towards the cap
+ *   filtered  attribute filters and the active region
+ *   playback  events up to the time-lapse playhead
+ *   viewport  inside `bounds`
+ *   visible   viewport sorted by priority and, with `cull`, cut to the marker budget
+ * Returns index arrays into `events` plus counts. Events past the cap are still classified so
+ * that stats.viewport counts every matching event in view and stats.culled is exactly the
+ * number of those that are not drawn (cap plus marker budget).
+ */
+export function runQuery(events, { filters = null, region = null, playback = null, bounds = null, limitToBounds = false, maxResults = null, zoom = 2, performanceMode = 'balanced', visible = true, cull = true } = {}) {
+  const cap = typeof maxResults === 'number' ? maxResults : Infinity
+  const useFilters = !!filters && hasActiveFilters(filters)
+  const playing = isPlaybackActive(playback)
+  const from = playing && playback.windowMs ? playback.time - playback.windowMs : -Infinity
+  const filtered = []
+  const played = []
+  const viewport = []
+  let base = 0
+  let cappedInView = 0
+
+  for (let i = 0; i < events.length; i++) {
+    const eq = events[i]
+    if (limitToBounds && !inBounds(eq, bounds)) continue
+    const capped = base >= cap
+    if (!capped) base++
+    if (useFilters && !matchesFilters(eq, filters)) continue
+    if (region && !regionContains(region, eq)) continue
+    if (!capped) filtered.push(i)
+    if (playing && !(eq.time <= playback.time && eq.time >= from)) continue
+    if (!capped) played.push(i)
+    if (!limitToBounds && !inBounds(eq, bounds)) continue
+    if (capped) cappedInView++
+    else viewport.push(i)
+  }
+
+  let shown = []
+  if (visible) {
+    // sort a copy of the indices; the events themselves are never reordered
+    shown = viewport.slice().sort((a, b) => priorityCompare(events[a], events[b]))
+    if (cull) shown.length = renderLimit(zoom || 2, shown.length, performanceMode)
+  }
+
+  const inView = viewport.length + cappedInView
+  return {
+    filtered: Uint32Array.from(filtered),
+    playback: Uint32Array.from(played),
+    visible: Uint32Array.from(shown),
+    stats: {
+      base,
+      total: filtered.length,
+      playback: played.length,
+      viewport: inView,
+      visible: shown.length,
+      culled: visible ? inView - shown.length : 0
+    }
+  }
+}
+
+/**
+ * Clusters of a subset of events for a bbox/zoom, packed into parallel typed arrays.
+ * Leaves of cluster i are leafIndices[leafOffsets[i] .. leafOffsets[i + 1]); point[i] is the
+ * event index for single events and -1 for clusters.
+ */
+export function packClusters(clusterer, indexOf, bbox, zoom) {
+  const list = clusterer.getClusters(bbox, zoom)
+  const n = list.length
+  const packed = {
+    ids: list.map(c => String(c.id)),
+    lat: new Float64Array(n),
+    lng: new Float64Array(n),
+    count: new Uint32Array(n),
+    maxMagnitude: new Float32Array(n),
+    meanMagnitude: new Float32Array(n),
+    minDepth: new Float32Array(n),
+    maxDepth: new Float32Array(n),
+    expansionZoom: new Uint8Array(n),
+    point: new Int32Array(n),
+    leafOffsets: new Uint32Array(n + 1),
+    leafIndices: null
+  }
+  const leaves = []
+  list.forEach((c, i) => {
+    packed.lat[i] = c.lat
+    packed.lng[i] = c.lng
+    packed.count[i] = c.count
+    packed.maxMagnitude[i] = c.stats.maxMagnitude
+    packed.meanMagnitude[i] = c.isCluster ? c.stats.meanMagnitude : c.stats.maxMagnitude
+    packed.minDepth[i] = c.stats.minDepth
+    packed.maxDepth[i] = c.stats.maxDepth
+    if (c.isCluster) {
+      packed.point[i] = -1
+      packed.expansionZoom[i] = clusterer.getClusterExpansionZoom(c)
+      clusterer.getLeaves(c).forEach(eq => leaves.push(indexOf.get(eq)))
+    } else {
+      packed.point[i] = indexOf.get(c.point)
+      leaves.push(packed.point[i])
+    }
+    packed.leafOffsets[i + 1] = leaves.length
+  })
+  packed.leafIndices = Uint32Array.from(leaves)
+  return packed
+}
+
+function buffersOf(obj) {
+  return Object.values(obj).filter(v => ArrayBuffer.isView(v)).map(v => v.buffer)
+}
+
+/**
+ * Message handler shared by the worker and the synchronous fallback.
+ * handle(op, args) -> { result, transfer } where transfer lists the buffers to move.
+ */
+export function createDataCore() {
+  // Event arrays are held once per dataset id and attached to any number of slots, so slots
+  // querying the same array, and a feed parsed here, never need another copy of it.
+  const datasets = new Map() // dataset id -> events
+  const slots = new Map() // slot -> dataset id
+  const results = new Map() // resultId -> { slot, indices, clusterer }
+  let nextResultId = 1
+
+  function remember(slot, indices) {
+    const resultId = nextResultId++
+    results.set(resultId, { slot, indices, clusterer: null })
+    for (const id of results.keys()) {
+      if (results.size <= MAX_RESULTS) break
+      results.delete(id)
+    }
+    return resultId
+  }
+
+  function forgetResults(slot) {
+    for (const [id, r] of results) if (r.slot === slot) results.delete(id)
+  }
+
+  const eventsOf = slot => datasets.get(slots.get(slot))
+
+  const ops = {
+    // keeps the normalized events as `dataset` when given, so loading them into a slot later
+    // only needs the id
+    parseFeed({ text, minMagnitude = 0, dataset = null }) {
+      const events = text ? normalizeFeed(JSON.parse(text), minMagnitude) : []
+      if (dataset !== null) datasets.set(dataset, events)
+      return { result: events }
+    },
+
+    // attach dataset `dataset` to `slot`; `events` is only sent when the dataset is new
+    load({ slot, dataset, events }) {
+      if (events) datasets.set(dataset, events)
+      if (!datasets.has(dataset)) throw new Error(`Unknown dataset ${dataset}`)
+      slots.set(slot, dataset)
+      forgetResults(slot)
+      return { result: { slot, count: datasets.get(dataset).length } }
+    },
+
+    unload({ slot }) {
+      slots.delete(slot)
+      forgetResults(slot)
+      return { result: true }
+    },
+
+    drop({ datasets: ids = [] }) {
+      ids.forEach(id => datasets.delete(id))
+      return { result: true }
+    },
+
+    query({ slot, ...params }) {
+      const events = eventsOf(slot)
+      if (!events) throw new Error(`No data loaded for "${slot}"`)
+      const result = runQuery(events, params)
+      // keep a copy: the visible buffer itself is transferred away
+      result.resultId = remember(slot, result.visible.slice())
+      return { result, transfer: [result.filtered.buffer, result.playback.buffer, result.visible.buffer] }
+    },
+
+    cluster({ resultId, bbox, zoom, radius = 60, maxZoom = 16 }) {
+      const entry = results.get(resultId)
+      const events = entry && eventsOf(entry.slot)
+      if (!entry || !events) return { result: null }
+      if (!entry.clusterer) {
+        const subset = Array.from(entry.indices, i => events[i])
+        entry.indexOf = new Map(subset.map((eq, k) => [eq, entry.indices[k]]))
+        entry.clusterer = createClusterer({ radius, maxZoom }).load(subset)
+      }
+      const packed = packClusters(entry.clusterer, entry.indexOf, bbox, zoom)
+      return { result: { resultId, clusters: packed }, transfer: buffersOf(packed) }
+    }
+  }
+
+  function handle(op, args = {}) {
+    if (!ops[op]) throw new Error(`Unknown data engine operation: ${op}`)
+    return ops[op](args)
+  }
+
+  return { handle }
+}
+
+export default { createDataCore, runQuery, packClusters, renderLimit, priorityCompare, inBounds }
@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest'
+import { inBounds, runQuery, packClusters, renderLimit, createDataCore } from './dataCore'
+import { createClusterer } from './clusterer'
+
+const at = (lat, lon) => ({ id: `${lat},${lon}`, coords: { lat, lon } })
+
+const HOUR = 60 * 60 * 1000
+const T0 = Date.UTC(2024, 0, 1)
+
+// Feed order (largest first). Events 0-5 are around Japan, 6-7 around Fiji on both sides of
+// the antimeridian, 8-9 in California.
+const EVENTS = [
+  { id: 'jp1', magnitude: 7.1, depth: 30, type: 'earthquake', status: 'reviewed', time: T0 + 1 * HOUR, coords: { lat: 38, lon: 142 } },
+  { id: 'jp2', magnitude: 6.0, depth: 400, type: 'earthquake', status: 'reviewed', time: T0 + 2 * HOUR, coords: { lat: 38.1, lon: 142.1 } },
+  { id: 'jp3', magnitude: 5.2, depth: 10, type: 'earthquake', status: 'automatic', time: T0 + 3 * HOUR, coords: { lat: 38.2, lon: 142.2 } },
+  { id: 'jp4', magnitude: 4.4, depth: 12, type: 'quarry blast', status: 'reviewed', time: T0 + 4 * HOUR, coords: { lat: 35, lon: 139 } },
+  { id: 'jp5', magnitude: 4.1, depth: 50, type: 'earthquake', status: 'reviewed', time: T0 + 5 * HOUR, coords: { lat: 36, lon: 140 } },
+  { id: 'jp6', magnitude: 3.0, depth: 5, type: 'earthquake', status: 'reviewed', time: T0 + 6 * HOUR, coords: { lat: 37, lon: 141 } },
+  { id: 'fj1', magnitude: 6.5, depth: 550, type: 'earthquake', status: 'reviewed', time: T0 + 7 * HOUR, coords: { lat: -18, lon: 178.5 } },
+  { id: 'fj2', magnitude: 5.0, depth: 600, type: 'earthquake', status: 'reviewed', time: T0 + 8 * HOUR, coords: { lat: -18.5, lon: -178.5 } },
+  { id: 'ca1', magnitude: 3.5, depth: 8, type: 'earthquake', status: 'reviewed', time: T0 + 9 * HOUR, coords: { lat: 35, lon: -118 } },
+  { id: 'ca2', magnitude: 2.0, depth: 4, type: 'earthquake', status: 'automatic', time: T0 + 10 * HOUR, coords: { lat: 35.1, lon: -118.1 } }
+]
+
+const JAPAN = { north: 46, south: 30, west: 128, east: 150 }
+// unwrapped Leaflet bounds of a view centred on the antimeridian
+const FIJI = { north: 0, south: -30, west: 170, east: 190 }
+
+const ids = indices => Array.from(indices, i => EVENTS[i].id)
+
+describe('inBounds', () => {
+  it('matches plain bounds', () => {
+    const bounds = { north: 40, south: 30, west: -125, east: -110 }
+    expect(inBounds(at(35, -120), bounds)).toBe(true)
+    expect(inBounds(at(35, -125), bounds)).toBe(true)
+    expect(inBounds(at(35, -100), bounds)).toBe(false)
+    expect(inBounds(at(45, -120), bounds)).toBe(false)
+  })
+
+  it('matches both sides of the antimeridian for unwrapped map bounds', () => {
+    // Leaflet's getBounds() for a view centred on Fiji
+    const bounds = { north: 0, south: -40, west: 150, east: 210 }
+    expect(inBounds(at(-18, 178), bounds)).toBe(true)
+    expect(inBounds(at(-18, -175), bounds)).toBe(true)
+    expect(inBounds(at(-18, -150), bounds)).toBe(true)
+    expect(inBounds(at(-18, -140), bounds)).toBe(false)
+    expect(inBounds(at(-18, 140), bounds)).toBe(false)
+  })
+
+  it('matches bounds west of -180 and on other world copies', () => {
+    const bounds = { north: 0, south: -40, west: -210, east: -150 }
+    expect(inBounds(at(-18, 178), bounds)).toBe(true)
+    expect(inBounds(at(-18, -175), bounds)).toBe(true)
+    expect(inBounds(at(-18, 0), bounds)).toBe(false)
+    const shifted = { north: 40, south: 30, west: 235, east: 250 }
+    expect(inBounds(at(35, -120), shifted)).toBe(true)
+  })
+
+  it('matches every longitude when the view spans the world', () => {
+    const bounds = { north: 85, south: -85, west: -300, east: 200 }
+    expect(inBounds(at(10, 0), bounds)).toBe(true)
+    expect(inBounds(at(10, -179), bounds)).toBe(true)
+  })
+
+  it('passes everything without bounds or coordinates', () => {
+    expect(inBounds(at(10, 10), null)).toBe(true)
+    expect(inBounds({ id: 'x' }, { north: 0, south: 0, west: 0, east: 0 })).toBe(true)
+  })
+})
+
+describe('runQuery', () => {
+  it('passes everything through without constraints', () => {
+    const res = runQuery(EVENTS, { cull: false })
+    expect(ids(res.filtered)).toEqual(EVENTS.map(eq => eq.id))
+    expect(res.playback).toHaveLength(EVENTS.length)
+    expect(res.stats).toEqual({ base: 10, total: 10, playback: 10, viewport: 10, visible: 10, culled: 0 })
+  })
+
+  it('narrows filters, region, playback and viewport in turn', () => {
+    const res = runQuery(EVENTS, {
+      filters: { types: ['earthquake'], maxDepth: 500 },
+      region: { shape: 'circle', center: { lat: 37, lon: 141 }, radiusKm: 400 },
+      playback: { enabled: true, time: T0 + 5.5 * HOUR, windowMs: 4 * HOUR },
+      bounds: { north: 38.15, south: 30, west: 128, east: 150 },
+      cull: false
+    })
+    expect(ids(res.filtered)).toEqual(['jp1', 'jp2', 'jp3', 'jp5', 'jp6'])
+    // the trailing window starts at 1.5 h and the playhead is at 5.5 h
+    expect(ids(res.playback)).toEqual(['jp2', 'jp3', 'jp5'])
+    expect(ids(res.visible)).toEqual(['jp2', 'jp5'])
+    expect(res.stats).toEqual({ base: 10, total: 5, playback: 3, viewport: 2, visible: 2, culled: 0 })
+  })
+
+  it('sorts visible events by priority without reordering the source', () => {
+    const res = runQuery(EVENTS, { bounds: JAPAN, cull: false })
+    // within half a magnitude unit the more recent event comes first
+    expect(ids(res.visible)).toEqual(['jp1', 'jp2', 'jp3', 'jp5', 'jp4', 'jp6'])
+    expect(EVENTS[0].id).toBe('jp1')
+  })
+
+  it('culls to the marker budget and counts what is left out', () => {
+    const many = Array.from({ length: 300 }, (_, i) => ({ id: `e${i}`, magnitude: 3, time: T0 + i, coords: { lat: 0, lon: i / 10 } }))
+    const res = runQuery(many, { zoom: 2, performanceMode: 'balanced' })
+    expect(res.visible).toHaveLength(renderLimit(2, 300, 'balanced'))
+    expect(res.stats.viewport).toBe(300)
+    expect(res.stats.culled).toBe(300 - res.visible.length)
+    expect(runQuery(many, { cull: false }).visible).toHaveLength(300)
+  })
+
+  it('skips sorting when visible events are not needed', () => {
+    const res = runQuery(EVENTS, { visible: false })
+    expect(res.visible).toHaveLength(0)
+    expect(res.stats.culled).toBe(0)
+  })
+
+  it('caps the base set and still counts capped events in view', () => {
+    const res = runQuery(EVENTS, { maxResults: 4, bounds: JAPAN, cull: false })
+    expect(ids(res.filtered)).toEqual(['jp1', 'jp2', 'jp3', 'jp4'])
+    expect(ids(res.visible)).toEqual(['jp1', 'jp2', 'jp3', 'jp4'])
+    // jp5 and jp6 are in view but past the cap
+    expect(res.stats).toMatchObject({ base: 4, total: 4, viewport: 6, visible: 4, culled: 2 })
+  })
+
+  it('counts only events in view towards the cap with limitToBounds', () => {
+    const res = runQuery(EVENTS, { maxResults: 4, bounds: JAPAN, limitToBounds: true, cull: false })
+    expect(ids(res.filtered)).toEqual(['jp1', 'jp2', 'jp3', 'jp4'])
+    expect(res.stats).toMatchObject({ base: 4, viewport: 6, culled: 2 })
+  })
+
+  it('keeps events on both sides of the antimeridian', () => {
+    const res = runQuery(EVENTS, { bounds: FIJI, cull: false })
+    expect(ids(res.visible)).toEqual(['fj1', 'fj2'])
+    // with limitToBounds the wrapped event must count towards the cap too
+    const limited = runQuery(EVENTS, { bounds: FIJI, limitToBounds: true, maxResults: 5, cull: false })
+    expect(ids(limited.filtered)).toEqual(['fj1', 'fj2'])
+    expect(limited.stats).toMatchObject({ base: 2, viewport: 2, culled: 0 })
+  })
+})
+
+describe('packClusters', () => {
+  const subset = EVENTS.slice(0, 8)
+  const clusterer = createClusterer({ radius: 60, maxZoom: 16 }).load(subset)
+  const indexOf = new Map(subset.map((eq, i) => [eq, i]))
+
+  // cluster i -> ids of its leaves
+  const leavesOf = (packed, i) => ids(packed.leafIndices.subarray(packed.leafOffsets[i], packed.leafOffsets[i + 1])).sort()
+
+  it('packs clusters and single events into parallel arrays', () => {
+    const packed = packClusters(clusterer, indexOf, [-180, -85, 180, 85], 3)
+    const n = packed.ids.length
+    expect(packed.lat).toHaveLength(n)
+    expect(packed.leafOffsets).toHaveLength(n + 1)
+    expect(packed.leafOffsets[n]).toBe(subset.length)
+    // every event is a leaf of exactly one entry
+    expect(ids(packed.leafIndices).sort()).toEqual(subset.map(eq => eq.id).sort())
+    let counted = 0
+    for (let i = 0; i < n; i++) {
+      expect(packed.count[i]).toBe(packed.leafOffsets[i + 1] - packed.leafOffsets[i])
+      counted += packed.count[i]
+      if (packed.point[i] >= 0) {
+        expect(packed.count[i]).toBe(1)
+        expect(packed.leafIndices[packed.leafOffsets[i]]).toBe(packed.point[i])
+      } else {
+        expect(packed.expansionZoom[i]).toBeGreaterThan(3)
+      }
+    }
+    expect(counted).toBe(subset.length)
+  })
+
+  it('summarizes cluster members', () => {
+    const packed = packClusters(clusterer, indexOf, [-180, -85, 180, 85], 3)
+    const i = Array.from(packed.point).findIndex((p, k) => p < 0 && leavesOf(packed, k).includes('jp1'))
+    const members = leavesOf(packed, i).map(id => EVENTS.find(eq => eq.id === id))
+    expect(packed.maxMagnitude[i]).toBeCloseTo(Math.max(...members.map(eq => eq.magnitude)), 5)
+    expect(packed.meanMagnitude[i]).toBeCloseTo(members.reduce((s, eq) => s + eq.magnitude, 0) / members.length, 5)
+    expect(packed.minDepth[i]).toBe(Math.min(...members.map(eq => eq.depth)))
+    expect(packed.maxDepth[i]).toBe(Math.max(...members.map(eq => eq.depth)))
+  })
+
+  it('splits a bbox across the antimeridian', () => {
+    const packed = packClusters(clusterer, indexOf, [170, -30, 190, 0], 12)
+    expect(ids(packed.leafIndices).sort()).toEqual(['fj1', 'fj2'])
+  })
+
+  it('returns every event on its own above the maximum zoom', () => {
+    const packed = packClusters(clusterer, indexOf, [-180, -85, 180, 85], 17)
+    expect(Array.from(packed.point).every(p => p >= 0)).toBe(true)
+    expect(packed.ids).toHaveLength(subset.length)
+  })
+})
+
+describe('createDataCore', () => {
+  it('answers queries and clusters for a loaded slot', () => {
+    const core = createDataCore()
+    core.handle('load', { slot: 'map', dataset: 1, events: EVENTS })
+    const { result, transfer } = core.handle('query', { slot: 'map', bounds: JAPAN, cull: false })
+    expect(result.stats.viewport).toBe(6)
+    expect(transfer).toContain(result.visible.buffer)
+    const clustered = core.handle('cluster', { resultId: result.resultId, bbox: [128, 30, 150, 46], zoom: 17 }).result
+    expect(ids(clustered.clusters.leafIndices).sort()).toEqual(['jp1', 'jp2', 'jp3', 'jp4', 'jp5', 'jp6'])
+  })
+
+  it('shares a dataset between slots and keeps parsed feeds for loading by id', () => {
+    const core = createDataCore()
+    core.handle('load', { slot: 'map', dataset: 1, events: EVENTS })
+    core.handle('load', { slot: 'store', dataset: 1 })
+    expect(core.handle('query', { slot: 'store' }).result.stats.total).toBe(EVENTS.length)
+
+    const text = JSON.stringify({ features: [{ id: 'a', properties: { mag: 3, time: T0 }, geometry: { coordinates: [10, 20, 5] } }] })
+    const parsed = core.handle('parseFeed', { text, dataset: 2 }).result
+    expect(parsed).toHaveLength(1)
+    core.handle('load', { slot: 'map', dataset: 2 })
+    expect(core.handle('query', { slot: 'map' }).result.stats.total).toBe(1)
+  })
+
+  it('drops datasets and forgets results of reloaded slots', () => {
+    const core = createDataCore()
+    core.handle('load', { slot: 'map', dataset: 1, events: EVENTS })
+    const first = core.handle('query', { slot: 'map' }).result
+    core.handle('load', { slot: 'map', dataset: 2, events: EVENTS.slice(0, 2) })
+    expect(core.handle('cluster', { resultId: first.resultId, bbox: [-180, -85, 180, 85], zoom: 2 }).result).toBeNull()
+    core.handle('drop', { datasets: [1] })
+    expect(() => core.handle('load', { slot: 'store', dataset: 1 })).toThrow(/Unknown dataset/)
+    core.handle('unload', { slot: 'map' })
+    expect(() => core.handle('query', { slot: 'map' })).toThrow(/No data loaded/)
+    expect(() => core.handle('nope')).toThrow(/Unknown data engine operation/)
+  })
+})
@@ -0,0 +1,219 @@
+// Client for the data engine. Heavy work (feed parsing, filtering, viewport culling, clustering)
+// runs in a Web Worker when one can be started; otherwise the same core runs synchronously on
+// the calling thread, so the API is identical (and promise-based) in browsers, tests and Node.
+//
+// Datasets live in named slots ('map', 'charts', ...). A slot is (re)loaded whenever it is
+// queried with a different events array; results are index arrays into that array. Each array
+// is copied to the worker at most once: slots sharing it, and feeds the worker parsed itself,
+// are attached by id.
+import { createDataCore } from './dataCore'
+
+// parse results kept in the core for a slot to attach to (a revalidated feed and the one before)
+const KEEP_PARSED = 2
+
+function startWorker() {
+  if (typeof Worker === 'undefined') return null
+  try {
+    return new Worker(new URL('../workers/dataEngine.worker.js', import.meta.url), { type: 'module' })
+  } catch (e) {
+    return null
+  }
+}
+
+export function createDataEngine({ useWorker = true } = {}) {
+  let worker = useWorker ? startWorker() : null
+  let core = null
+  const pending = new Map() // message id -> { resolve, reject }
+  const slots = new Map() // slot -> events array currently loaded there
+  const datasetIds = new WeakMap() // events array -> id of the core's copy
+  const held = new Set() // dataset ids the core currently holds
+  let recentParses = [] // latest parse results, kept in the core until a slot picks them up
+  let nextId = 1
+  let nextDatasetId = 1
+
+  const local = () => core || (core = createDataCore())
+
+  // worker failed (e.g. blocked by CSP or a load error): continue on the main thread
+  function fallBack() {
+    if (worker) worker.terminate()
+    worker = null
+    slots.clear()
+    held.clear()
+    recentParses = []
+    const error = new Error('Data worker stopped')
+    error.restarted = true
+    pending.forEach(p => p.reject(error))
+    pending.clear()
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const p = pending.get(data.id)
+      if (!p) return
+      pending.delete(data.id)
+      if (data.error) p.reject(new Error(data.error))
+      else p.resolve(data.result)
+    }
+    worker.onerror = event => {
+      if (event && event.preventDefault) event.preventDefault()
+      fallBack()
+    }
+  }
+
+  function call(op, args) {
+    if (!worker) {
+      try {
+        return Promise.resolve(local().handle(op, args).result)
+      } catch (e) {
+        return Promise.reject(e)
+      }
+    }
+    return new Promise((resolve, reject) => {
+      const id = nextId++
+      pending.set(id, { resolve, reject })
+      worker.postMessage({ id, op, args })
+    })
+  }
+
+  // messages are handled in order, so a query posted right after a load sees the new data
+  function ensureLoaded(slot, events) {
+    if (slots.get(slot) === events) return
+    slots.set(slot, events)
+    const known = datasetIds.get(events)
+    if (known && held.has(known)) {
+      call('load', { slot, dataset: known }).catch(() => {})
+    } else {
+      const dataset = nextDatasetId++
+      datasetIds.set(events, dataset)
+      held.add(dataset)
+      call('load', { slot, dataset, events }).catch(() => {})
+    }
+    releaseUnused()
+  }
+
+  // drop core copies no slot uses any more, except the latest parse results
+  function releaseUnused() {
+    const keep = new Set(recentParses)
+    slots.forEach(events => keep.add(datasetIds.get(events)))
+    const unused = [...held].filter(id => !keep.has(id))
+    if (!unused.length) return
+    unused.forEach(id => held.delete(id))
+    call('drop', { datasets: unused }).catch(() => {})
+  }
+
+  async function withRetry(run) {
+    try {
+      return await run()
+    } catch (e) {
+      if (!e.restarted) throw e
+      return run()
+    }
+  }
+
+  return {
+    get usesWorker() {
+      return !!worker
+    },
+
+    /**
+     * Feed GeoJSON text -> normalized events (see api/normalize normalizeFeed)
+     */
+    parseFeed(text, { minMagnitude = 0 } = {}) {
+      return withRetry(() => {
+        const dataset = nextDatasetId++
+        held.add(dataset)
+        recentParses = [...recentParses, dataset].slice(-KEEP_PARSED)
+        releaseUnused()
+        return call('parseFeed', { text, minMagnitude, dataset }).then(events => {
+          datasetIds.set(events, dataset)
+          return events
+        })
+      })
+    },
+
+    /**
+     * Filter/viewport query over `events` (see dataCore runQuery). Resolves with
+     * { resultId, filtered, playback, visible, stats } — index arrays into `events`.
+     */
+    query(slot, events, params = {}) {
+      return withRetry(() => {
+        ensureLoaded(slot, events)
+        return call('query', { slot, ...params })
+      })
+    },
+
+    /**
+     * Clusters of a query's visible events for bbox [west, south, east, north] and zoom;
+     * null when the result has been superseded
+     */
+    cluster(resultId, { bbox, zoom, radius, maxZoom }) {
+      return call('cluster', { resultId, bbox, zoom, radius, maxZoom })
+    },
+
+    release(slot) {
+      slots.delete(slot)
+      const done = call('unload', { slot })
+      releaseUnused()
+      return done
+    },
+
+    terminate() {
+      if (worker) worker.terminate()
+      worker = null
+      core = null
+      slots.clear()
+      held.clear()
+      recentParses = []
+    }
+  }
+}
+
+let _engine = null
+
+// shared engine used by the app
+export function getDataEngine() {
+  if (!_engine) _engine = createDataEngine()
+  return _engine
+}
+
+/**
+ * Events at the given indices
+ */
+export function pickEvents(events, indices) {
+  const out = new Array(indices ? indices.length : 0)
+  for (let i = 0; i < out.length; i++) out[i] = events[indices[i]]
+  return out
+}
+
+/**
+ * Packed clusters (dataCore packClusters) -> objects for rendering:
+ * { id, lat, lng, count, isCluster, point, stats, leaves, expansionZoom }
+ */
+export function unpackClusters(packed, events) {
+  if (!packed) return []
+  const out = []
+  for (let i = 0; i < packed.ids.length; i++) {
+    const leaves = pickEvents(events, packed.leafIndices.subarray(packed.leafOffsets[i], packed.leafOffsets[i + 1]))
+    const isCluster = packed.point[i] < 0
+    out.push({
+      id: packed.ids[i],
+      lat: packed.lat[i],
+      lng: packed.lng[i],
+      count: packed.count[i],
+      isCluster,
+      point: isCluster ? null : events[packed.point[i]],
+      stats: {
+        count: packed.count[i],
+        maxMagnitude: packed.maxMagnitude[i],
+        meanMagnitude: packed.meanMagnitude[i],
+        minDepth: packed.minDepth[i],
+        maxDepth: packed.maxDepth[i]
+      },
+      leaves,
+      expansionZoom: packed.expansionZoom[i]
+    })
+  }
+  return out
+}
+
+export default { createDataEngine, getDataEngine, pickEvents, unpackClusters }
@@ -0,0 +1,171 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createDataEngine, pickEvents, unpackClusters } from './dataEngine'
+import { createDataCore } from './dataCore'
+
+const T0 = Date.UTC(2024, 0, 1)
+
+const makeEvents = (n, lon = 0) => Array.from({ length: n }, (_, i) => ({
+  id: `e${lon}-${i}`,
+  magnitude: 2 + (i % 50) / 10,
+  depth: 10,
+  time: T0 + i * 1000,
+  coords: { lat: (i % 20) - 10, lon: lon + (i % 30) / 10 }
+}))
+
+const feedText = n => JSON.stringify({
+  features: Array.from({ length: n }, (_, i) => ({ id: `f${i}`, properties: { mag: 2 + i / 10, time: T0 + i }, geometry: { coordinates: [i, 0, 10] } }))
+})
+
+// Stand-in for the browser Worker: runs the real core on structured clones of each message,
+// like the worker would, and records what was posted to it
+class FakeWorker {
+  constructor() {
+    this.core = createDataCore()
+    this.posted = []
+    FakeWorker.last = this
+  }
+
+  postMessage(data) {
+    this.posted.push(data)
+    const { id, op, args } = structuredClone(data)
+    setTimeout(() => {
+      let reply
+      try {
+        reply = { id, result: structuredClone(this.core.handle(op, args).result) }
+      } catch (err) {
+        reply = { id, error: err.message }
+      }
+      this.onmessage({ data: reply })
+    }, 0)
+  }
+
+  terminate() {}
+
+  // events arrays copied into the worker
+  copies() {
+    return this.posted.filter(m => m.op === 'load' && m.args.events).length
+  }
+}
+
+afterEach(() => {
+  delete globalThis.Worker
+})
+
+describe('data engine without a worker', () => {
+  it('runs queries synchronously on the calling thread', async () => {
+    const engine = createDataEngine()
+    expect(engine.usesWorker).toBe(false)
+    const events = makeEvents(100)
+    const res = await engine.query('map', events, { bounds: { north: 0, south: -10, west: 0, east: 1 }, cull: false })
+    const visible = pickEvents(events, res.visible)
+    expect(visible.length).toBe(res.stats.visible)
+    expect(visible.every(eq => eq.coords.lat <= 0 && eq.coords.lon <= 1)).toBe(true)
+    expect(pickEvents(events, res.filtered)).toHaveLength(100)
+  })
+
+  it('clusters the visible events of a query', async () => {
+    const engine = createDataEngine({ useWorker: false })
+    const events = makeEvents(200)
+    const res = await engine.query('map', events, { cull: false })
+    const { clusters } = await engine.cluster(res.resultId, { bbox: [-180, -85, 180, 85], zoom: 2 })
+    const unpacked = unpackClusters(clusters, events)
+    expect(unpacked.reduce((s, c) => s + c.count, 0)).toBe(200)
+    unpacked.forEach(c => {
+      expect(c.leaves).toHaveLength(c.count)
+      if (!c.isCluster) expect(c.point).toBe(c.leaves[0])
+    })
+  })
+
+  it('returns null clusters for a superseded result', async () => {
+    const engine = createDataEngine({ useWorker: false })
+    const first = await engine.query('map', makeEvents(10), {})
+    await engine.query('map', makeEvents(10, 20), {})
+    expect(await engine.cluster(first.resultId, { bbox: [-180, -85, 180, 85], zoom: 2 })).toBeNull()
+  })
+
+  it('parses feeds and queries the parsed events', async () => {
+    const engine = createDataEngine({ useWorker: false })
+    const events = await engine.parseFeed(feedText(30), { minMagnitude: 4 })
+    expect(events.map(eq => eq.magnitude).every(m => m >= 4)).toBe(true)
+    const res = await engine.query('store', events, {})
+    expect(res.stats.total).toBe(events.length)
+  })
+
+  it('forgets the results of a released slot', async () => {
+    const engine = createDataEngine({ useWorker: false })
+    const events = makeEvents(5)
+    await engine.query('map', events, {})
+    await engine.release('map')
+    await expect(engine.cluster(1, { bbox: [-180, -85, 180, 85], zoom: 2 })).resolves.toBeNull()
+  })
+})
+
+describe('data engine with a worker', () => {
+  it('copies an events array once for every slot that uses it', async () => {
+    globalThis.Worker = FakeWorker
+    const engine = createDataEngine()
+    expect(engine.usesWorker).toBe(true)
+    const events = makeEvents(50)
+    await engine.query('map', events, {})
+    await engine.query('store', events, {})
+    await engine.query('map', events, { cull: false })
+    expect(FakeWorker.last.copies()).toBe(1)
+
+    const next = makeEvents(60, 10)
+    const res = await engine.query('map', next, { cull: false })
+    expect(res.stats.total).toBe(60)
+    expect(FakeWorker.last.copies()).toBe(2)
+    // `store` still uses the first array, so it is kept
+    expect((await engine.query('store', events, {})).stats.total).toBe(50)
+    expect(FakeWorker.last.copies()).toBe(2)
+  })
+
+  it('attaches feeds the worker parsed without copying them back', async () => {
+    globalThis.Worker = FakeWorker
+    const engine = createDataEngine()
+    const events = await engine.parseFeed(feedText(40))
+    expect(events).toHaveLength(40)
+    const res = await engine.query('map', events, {})
+    expect(res.stats.total).toBe(40)
+    await engine.query('store', events, {})
+    expect(FakeWorker.last.copies()).toBe(0)
+  })
+
+  it('drops copies no slot uses any more', async () => {
+    globalThis.Worker = FakeWorker
+    const engine = createDataEngine()
+    const first = makeEvents(10)
+    await engine.query('map', first, {})
+    await engine.query('map', makeEvents(10, 20), {})
+    const drops = FakeWorker.last.posted.filter(m => m.op === 'drop')
+    expect(drops.map(m => m.args.datasets)).toEqual([[1]])
+    // the dropped array is sent again when it comes back
+    await engine.query('map', first, {})
+    expect(FakeWorker.last.copies()).toBe(3)
+  })
+
+  it('keeps only the latest parse results until a slot picks them up', async () => {
+    globalThis.Worker = FakeWorker
+    const engine = createDataEngine()
+    const oldest = await engine.parseFeed(feedText(5))
+    await engine.parseFeed(feedText(6))
+    await engine.parseFeed(feedText(7))
+    // the oldest parse has been dropped in the worker; it is sent with the load instead
+    expect((await engine.query('map', oldest, {})).stats.total).toBe(5)
+    expect(FakeWorker.last.copies()).toBe(1)
+  })
+
+  it('falls back to the main thread when the worker fails', async () => {
+    globalThis.Worker = FakeWorker
+    const engine = createDataEngine()
+    const events = makeEvents(20)
+    await engine.query('map', events, {})
+    const worker = FakeWorker.last
+    // a load error in the worker: the pending query is retried on the main thread
+    worker.postMessage = () => setTimeout(() => worker.onerror({ preventDefault() {} }), 0)
+    const res = await engine.query('store', events, { cull: false })
+    expect(engine.usesWorker).toBe(false)
+    expect(res.stats.total).toBe(20)
+    expect((await engine.query('map', events, {})).stats.total).toBe(20)
+  })
+})
@@ -0,0 +1,36 @@
+// Imported overlay datasets persisted in IndexedDB (via the cache wrapper) without a TTL
+import cache from './cache'
+
+const KEY_PREFIX = 'dataset:'
+
+export const DATASET_COLORS = ['#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#a16207']
+
+export function createDataset({ name, format, events, existing = [] }) {
+  const id = `ds-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+  return {
+    id,
+    name: name || `Dataset ${existing.length + 1}`,
+    color: DATASET_COLORS[existing.length % DATASET_COLORS.length],
+    visible: true,
+    format,
+    createdAt: Date.now(),
+    events
+  }
+}
+
+export async function listDatasets() {
+  const keys = await cache.getKeys()
+  const datasets = await Promise.all(keys.filter(k => k.startsWith(KEY_PREFIX)).map(k => cache.getCache(k)))
+  return datasets.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export async function saveDataset(dataset) {
+  await cache.setCache(`${KEY_PREFIX}${dataset.id}`, dataset, null)
+  return dataset
+}
+
+export async function removeDataset(id) {
+  await cache.removeCache(`${KEY_PREFIX}${id}`)
+}
+
+export default { createDataset, listDatasets, saveDataset, removeDataset, DATASET_COLORS }
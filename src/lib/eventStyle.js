@@ -0,0 +1,233 @@
+// Event styling: which attribute drives marker color and which drives marker size, through
+// continuous or classed scales. The map markers, cluster icons, legend, cross-section and
+// charts all build their colors and sizes from these definitions.
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Sequential palettes, low → high. Colorblind-safe ones stay distinguishable under the common
+// color vision deficiencies.
+export const PALETTES = {
+  classic: { label: 'Classic', colors: ['#10b981', '#84cc16', '#f59e0b', '#f97316', '#b91c1c'], colorblindSafe: false },
+  viridis: { label: 'Viridis', colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'], colorblindSafe: true },
+  cividis: { label: 'Cividis', colors: ['#00224e', '#35456c', '#666970', '#948e77', '#c8b866', '#fee838'], colorblindSafe: true },
+  inferno: { label: 'Inferno', colors: ['#000004', '#57106e', '#bc3754', '#f98e09', '#fcffa4'], colorblindSafe: true },
+  ylorrd: { label: 'Yellow–red', colors: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'], colorblindSafe: true },
+  okabeIto: { label: 'Okabe–Ito', colors: ['#009e73', '#56b4e9', '#f0e442', '#e69f00', '#d55e00'], colorblindSafe: true }
+}
+
+export const COLOR_MODES = {
+  classed: 'Classed',
+  continuous: 'Continuous'
+}
+
+// PAGER alert levels, lowest first
+const ALERT_RANK = { green: 1, yellow: 2, orange: 3, red: 4 }
+const ALERT_COLORS = ['#9ca3af', '#16a34a', '#eab308', '#f97316', '#dc2626']
+const ALERT_LABELS = ['No alert', 'Green', 'Yellow', 'Orange', 'Red']
+
+/**
+ * Attributes that can drive color. `breaks` split the [min, max] domain into classes; continuous
+ * scales spread the palette evenly over the same classes so skewed values (depth, age) still use
+ * the whole palette. `reverse` puts the palette's high end on the low values (shallow, recent).
+ * `notable` says which end summarizes a cluster.
+ */
+export const COLOR_ATTRIBUTES = {
+  magnitude: {
+    label: 'Magnitude',
+    value: eq => eq.magnitude,
+    min: 0,
+    max: 8,
+    breaks: [2, 4, 5, 6],
+    format: v => `M${v}`,
+    notable: 'max'
+  },
+  depth: {
+    label: 'Depth',
+    value: eq => eq.depth,
+    min: 0,
+    max: 700,
+    breaks: [35, 70, 150, 300],
+    format: v => `${v} km`,
+    reverse: true,
+    notable: 'min'
+  },
+  age: {
+    label: 'Age',
+    value: (eq, now) => (eq.time ? (now - eq.time) / HOUR_MS : null),
+    min: 0,
+    max: 24 * 30,
+    breaks: [1, 6, 24, 24 * 7],
+    format: v => (v >= 24 ? `${v / 24} d` : `${v} h`),
+    reverse: true,
+    notable: 'min'
+  },
+  significance: {
+    label: 'Significance',
+    value: eq => eq.sig,
+    min: 0,
+    max: 1500,
+    breaks: [100, 300, 600, 1000],
+    format: v => String(v),
+    notable: 'max'
+  },
+  alert: {
+    label: 'Alert level',
+    value: eq => ALERT_RANK[eq.alert] || 0,
+    categorical: true,
+    notable: 'max'
+  }
+}
+
+export const SIZE_ATTRIBUTES = {
+  magnitude: { label: 'Magnitude' },
+  significance: { label: 'Significance' },
+  depth: { label: 'Depth (shallow larger)' },
+  uniform: { label: 'Uniform' }
+}
+
+export const DEFAULT_STYLE_OPTIONS = {
+  colorBy: 'magnitude',
+  colorMode: 'classed',
+  palette: 'classic',
+  sizeBy: 'magnitude'
+}
+
+const NO_DATA_COLOR = '#9ca3af'
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * Color at t ∈ [0, 1] along the palette, interpolated in RGB
+ */
+export function samplePalette(colors, t) {
+  const x = Math.max(0, Math.min(1, t)) * (colors.length - 1)
+  const i = Math.min(colors.length - 2, Math.floor(x))
+  const a = hexToRgb(colors[i])
+  const b = hexToRgb(colors[i + 1])
+  const f = x - i
+  return rgbToHex(a.map((c, k) => c + (b[k] - c) * f))
+}
+
+// class index of a value: 0 below the first break … breaks.length at or above the last
+function classOf(value, breaks) {
+  let k = 0
+  while (k < breaks.length && value >= breaks[k]) k++
+  return k
+}
+
+// position in [0, 1] with each class taking an equal share
+function classedPosition(value, { min, max, breaks }) {
+  const edges = [min, ...breaks, max]
+  const v = Math.max(min, Math.min(max, value))
+  const k = Math.min(breaks.length, classOf(v, breaks))
+  const lo = edges[k]
+  const hi = edges[k + 1]
+  return (k + (hi > lo ? (v - lo) / (hi - lo) : 0)) / (breaks.length + 1)
+}
+
+function classLabels({ breaks, format }) {
+  return breaks.map((b, k) => (k === 0 ? `< ${format(b)}` : `${format(breaks[k - 1])} – ${format(b)}`))
+    .concat(`${format(breaks[breaks.length - 1])}+`)
+}
+
+/**
+ * Color scale for an attribute:
+ *   color(eq)            marker color
+ *   groupColor(events)   color of a cluster, from its most notable member
+ *   valueColor(value)    color of a raw attribute value (chart buckets)
+ *   legend               { type: 'classes', items: [{ color, label }] }
+ *                        or { type: 'gradient', colors, ticks: [{ t, label }] }
+ */
+export function createColorScale({ colorBy = 'magnitude', colorMode = 'classed', palette = 'classic', now = Date.now() } = {}) {
+  const attr = COLOR_ATTRIBUTES[colorBy] || COLOR_ATTRIBUTES.magnitude
+  const colors = (PALETTES[palette] || PALETTES.classic).colors
+  const valueOf = eq => attr.value(eq, now)
+  let valueColor
+  let legend
+
+  if (attr.categorical) {
+    valueColor = v => ALERT_COLORS[v] || ALERT_COLORS[0]
+    legend = { type: 'classes', items: ALERT_LABELS.map((label, k) => ({ color: ALERT_COLORS[k], label })) }
+  } else {
+    const n = attr.breaks.length + 1
+    const flip = t => (attr.reverse ? 1 - t : t)
+    if (colorMode === 'continuous') {
+      valueColor = v => samplePalette(colors, flip(classedPosition(v, attr)))
+      const ticks = [attr.min, ...attr.breaks].map((b, k) => ({ t: k / n, label: attr.format(b) }))
+      legend = {
+        type: 'gradient',
+        colors: Array.from({ length: 11 }, (_, i) => samplePalette(colors, flip(i / 10))),
+        ticks: [...ticks, { t: 1, label: `${attr.format(attr.max)}+` }]
+      }
+    } else {
+      const classColors = Array.from({ length: n }, (_, k) => samplePalette(colors, flip(k / (n - 1))))
+      valueColor = v => classColors[classOf(v, attr.breaks)]
+      const labels = classLabels(attr)
+      legend = { type: 'classes', items: classColors.map((color, k) => ({ color, label: labels[k] })) }
+    }
+  }
+
+  const color = eq => {
+    const v = valueOf(eq)
+    return v === null || v === undefined || Number.isNaN(v) ? NO_DATA_COLOR : valueColor(v)
+  }
+
+  const groupColor = events => {
+    let best = null
+    for (const eq of events) {
+      const v = valueOf(eq)
+      if (v === null || v === undefined || Number.isNaN(v)) continue
+      if (best === null || (attr.notable === 'min' ? v < best : v > best)) best = v
+    }
+    return best === null ? NO_DATA_COLOR : valueColor(best)
+  }
+
+  return { attribute: colorBy, label: attr.label, color, groupColor, valueColor, legend }
+}
+
+/**
+ * Size scale: radius(eq) in pixels, plus legend samples [{ radius, label }]
+ */
+export function createSizeScale({ sizeBy = 'magnitude' } = {}) {
+  let radius
+  let legend
+  if (sizeBy === 'significance') {
+    radius = eq => (typeof eq.sig === 'number' ? Math.max(4, Math.min(24, 4 + Math.sqrt(eq.sig) * 0.6)) : 4)
+    legend = [100, 400, 1000].map(sig => ({ radius: radius({ sig }), label: `sig ${sig}` }))
+  } else if (sizeBy === 'depth') {
+    radius = eq => (typeof eq.depth === 'number' ? Math.max(4, 16 - Math.sqrt(Math.max(0, eq.depth)) * 0.45) : 4)
+    legend = [10, 100, 600].map(depth => ({ radius: radius({ depth }), label: `${depth} km` }))
+  } else if (sizeBy === 'uniform') {
+    radius = () => 6
+    legend = []
+  } else {
+    radius = eq => {
+      const m = eq.magnitude
+      if (!m && m !== 0) return 4
+      return Math.max(4, Math.min(40, m * 4))
+    }
+    legend = [2, 4, 6].map(magnitude => ({ radius: radius({ magnitude }), label: `M${magnitude}` }))
+  }
+  return { attribute: sizeBy, label: (SIZE_ATTRIBUTES[sizeBy] || SIZE_ATTRIBUTES.magnitude).label, radius, legend }
+}
+
+/**
+ * Both scales for a set of rendering options ({ colorBy, colorMode, palette, sizeBy })
+ */
+export function createEventStyle(options = {}, now = Date.now()) {
+  const opts = { ...DEFAULT_STYLE_OPTIONS, ...options }
+  return {
+    options: opts,
+    color: createColorScale({ ...opts, now }),
+    size: createSizeScale(opts)
+  }
+}
+
+export default { createEventStyle, createColorScale, createSizeScale, samplePalette, PALETTES, COLOR_MODES, COLOR_ATTRIBUTES, SIZE_ATTRIBUTES, DEFAULT_STYLE_OPTIONS }
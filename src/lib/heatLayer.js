@@ -0,0 +1,190 @@
+// Density heatmap drawn on a Leaflet canvas layer.
+// Intensity is accumulated into the alpha channel of an offscreen buffer (one blurred
+// stamp per point, alpha = weight / max), then every pixel is colorized through a
+// 256-entry gradient palette. The canvas follows the map and is redrawn on every move/zoom.
+import L from 'leaflet'
+import { eventEnergy } from '../utils/seismic'
+
+export const HEAT_GRADIENTS = {
+  classic: { 0.4: '#2563eb', 0.6: '#06b6d4', 0.7: '#84cc16', 0.8: '#facc15', 1.0: '#dc2626' },
+  inferno: { 0.0: '#000004', 0.25: '#57106e', 0.5: '#bc3754', 0.75: '#f98e09', 1.0: '#fcffa4' },
+  viridis: { 0.0: '#440154', 0.25: '#3b528b', 0.5: '#21918c', 0.75: '#5ec962', 1.0: '#fde725' },
+  greyscale: { 0.0: '#ffffff', 1.0: '#111827' }
+}
+
+// Per-event weighting. `max` is the accumulated weight that saturates the palette:
+// with count weighting five overlapping events reach the top colour.
+export const HEAT_WEIGHTINGS = {
+  count: { label: 'Count', max: 5 },
+  magnitude: { label: 'Magnitude', max: 3 },
+  energy: { label: 'Energy / moment', max: 1 }
+}
+
+/**
+ * Heat points for a list of events; weights are relative to the largest event so the
+ * palette range doesn't depend on the catalog. Energy weighting is magType-aware and
+ * equally stands in for moment, since both scale as 10^(1.5 Mw).
+ */
+export function heatPoints(events, weighting = 'count', weightFor = null) {
+  const maxMag = events.reduce((m, eq) => Math.max(m, eq.magnitude || 0), 0)
+  const maxEnergy = weighting === 'energy' ? events.reduce((m, eq) => Math.max(m, eventEnergy(eq)), 0) : 0
+  return events.map(eq => {
+    let weight = 1
+    if (weighting === 'magnitude') weight = maxMag > 0 ? Math.max(0, eq.magnitude || 0) / maxMag : 1
+    else if (weighting === 'energy') weight = maxEnergy > 0 ? eventEnergy(eq) / maxEnergy : 1
+    return { lat: eq.coords.lat, lng: eq.coords.lon, intensity: weight * (weightFor ? weightFor(eq) : 1) }
+  })
+}
+
+export function createPalette(gradient = HEAT_GRADIENTS.classic) {
+  const canvas = document.createElement('canvas')
+  canvas.width = 256
+  canvas.height = 1
+  const ctx = canvas.getContext('2d')
+  const grad = ctx.createLinearGradient(0, 0, 256, 0)
+  Object.keys(gradient).forEach(stop => grad.addColorStop(Number(stop), gradient[stop]))
+  ctx.fillStyle = grad
+  ctx.fillRect(0, 0, 256, 1)
+  return ctx.getImageData(0, 0, 256, 1).data
+}
+
+// Soft circular stamp: a solid circle drawn off-canvas whose shadow lands in view
+function createStamp(radius, blur) {
+  const r = radius + blur
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = r * 2
+  const ctx = canvas.getContext('2d')
+  ctx.shadowOffsetX = ctx.shadowOffsetY = r * 2
+  ctx.shadowBlur = blur
+  ctx.shadowColor = 'black'
+  ctx.beginPath()
+  ctx.arc(-r, -r, radius, 0, Math.PI * 2, true)
+  ctx.closePath()
+  ctx.fill()
+  return canvas
+}
+
+export const HeatCanvasLayer = L.Layer.extend({
+  options: {
+    radius: 25,
+    blur: 15,
+    max: 1,
+    minOpacity: 0.05,
+    opacity: 0.75,
+    gradient: HEAT_GRADIENTS.classic
+  },
+
+  // points: [{ lat, lng, intensity }]
+  initialize(points, options) {
+    this._points = points || []
+    L.setOptions(this, options)
+  },
+
+  setPoints(points) {
+    this._points = points || []
+    return this.redraw()
+  },
+
+  setOptions(options) {
+    L.setOptions(this, options)
+    this._stamp = null
+    this._palette = null
+    return this.redraw()
+  },
+
+  setOpacity(opacity) {
+    this.options.opacity = opacity
+    if (this._canvas) this._canvas.style.opacity = opacity
+    return this
+  },
+
+  redraw() {
+    if (this._map && !this._frame) {
+      this._frame = L.Util.requestAnimFrame(this._redraw, this)
+    }
+    return this
+  },
+
+  onAdd(map) {
+    this._map = map
+    const canvas = (this._canvas = L.DomUtil.create('canvas', 'leaflet-heatmap-layer leaflet-layer'))
+    const animated = map.options.zoomAnimation && L.Browser.any3d
+    L.DomUtil.addClass(canvas, `leaflet-zoom-${animated ? 'animated' : 'hide'}`)
+    canvas.style.opacity = this.options.opacity
+    canvas.style.pointerEvents = 'none'
+    map.getPanes().overlayPane.appendChild(canvas)
+    map.on('moveend', this._reset, this)
+    map.on('resize', this._reset, this)
+    if (animated) map.on('zoomanim', this._animateZoom, this)
+    this._reset()
+  },
+
+  onRemove(map) {
+    map.getPanes().overlayPane.removeChild(this._canvas)
+    map.off('moveend', this._reset, this)
+    map.off('resize', this._reset, this)
+    map.off('zoomanim', this._animateZoom, this)
+    if (this._frame) L.Util.cancelAnimFrame(this._frame)
+    this._frame = null
+  },
+
+  // keep the canvas pinned to the viewport and redraw for the new view
+  _reset() {
+    const topLeft = this._map.containerPointToLayerPoint([0, 0])
+    L.DomUtil.setPosition(this._canvas, topLeft)
+    const size = this._map.getSize()
+    if (this._canvas.width !== size.x) this._canvas.width = size.x
+    if (this._canvas.height !== size.y) this._canvas.height = size.y
+    this._redraw()
+  },
+
+  _animateZoom(e) {
+    const scale = this._map.getZoomScale(e.zoom)
+    const offset = this._map._latLngBoundsToNewLayerBounds(this._map.getBounds(), e.zoom, e.center).min
+    L.DomUtil.setTransform(this._canvas, offset, scale)
+  },
+
+  _redraw() {
+    this._frame = null
+    if (!this._map) return
+    const { radius, blur, max, minOpacity } = this.options
+    const canvas = this._canvas
+    const ctx = canvas.getContext('2d')
+    const { width, height } = canvas
+    ctx.clearRect(0, 0, width, height)
+    if (!this._points.length || !width || !height) return
+
+    if (!this._stamp) this._stamp = createStamp(radius, blur)
+    if (!this._palette) this._palette = createPalette(this.options.gradient)
+    const r = radius + blur
+
+    // 1. accumulate intensity as alpha
+    for (const p of this._points) {
+      const pt = this._map.latLngToContainerPoint([p.lat, p.lng])
+      if (pt.x < -r || pt.y < -r || pt.x > width + r || pt.y > height + r) continue
+      ctx.globalAlpha = Math.min(1, Math.max(minOpacity, (p.intensity ?? 1) / max))
+      ctx.drawImage(this._stamp, pt.x - r, pt.y - r)
+    }
+    ctx.globalAlpha = 1
+
+    // 2. colorize: alpha indexes into the palette
+    const image = ctx.getImageData(0, 0, width, height)
+    const pixels = image.data
+    const palette = this._palette
+    for (let i = 3; i < pixels.length; i += 4) {
+      const a = pixels[i]
+      if (!a) continue
+      const j = a * 4
+      pixels[i - 3] = palette[j]
+      pixels[i - 2] = palette[j + 1]
+      pixels[i - 1] = palette[j + 2]
+    }
+    ctx.putImageData(image, 0, 0)
+  }
+})
+
+export function heatCanvasLayer(points, options) {
+  return new HeatCanvasLayer(points, options)
+}
+
+export default { HeatCanvasLayer, heatCanvasLayer, heatPoints, createPalette, HEAT_GRADIENTS, HEAT_WEIGHTINGS }
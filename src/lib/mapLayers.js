@@ -0,0 +1,74 @@
+// Basemaps and bundled vector overlays offered by the layer manager
+import plateBoundaries from '../data/plateBoundaries.json'
+import majorFaults from '../data/majorFaults.json'
+import { nearestLineFeature } from '../utils/geo'
+
+export const BASEMAPS = {
+  street: {
+    label: 'Street',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19
+  },
+  topo: {
+    label: 'Topographic',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: 'Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    maxZoom: 17
+  },
+  satellite: {
+    label: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles &copy; Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    maxZoom: 19
+  },
+  // no tiles at all: clean background for printing
+  blank: { label: 'Blank (print)', url: null, attribution: '', maxZoom: 19 }
+}
+
+export const BOUNDARY_TYPE_COLORS = {
+  subduction: '#dc2626',
+  ridge: '#2563eb',
+  transform: '#16a34a',
+  collision: '#9333ea'
+}
+
+export const OVERLAYS = {
+  plates: {
+    label: 'Plate boundaries',
+    data: plateBoundaries,
+    defaultStyle: { color: '#dc2626', weight: 2, opacity: 0.8, colorByType: true }
+  },
+  faults: {
+    label: 'Major faults',
+    data: majorFaults,
+    defaultStyle: { color: '#f97316', weight: 1.5, opacity: 0.8, colorByType: false }
+  }
+}
+
+export const DEFAULT_OVERLAY_STYLES = Object.fromEntries(Object.entries(OVERLAYS).map(([id, o]) => [id, o.defaultStyle]))
+
+/**
+ * Leaflet path style for one overlay feature
+ */
+export function overlayFeatureStyle(overlayId, style, feature) {
+  const type = feature && feature.properties && feature.properties.type
+  const color = style.colorByType && BOUNDARY_TYPE_COLORS[type] ? BOUNDARY_TYPE_COLORS[type] : style.color
+  return {
+    color,
+    weight: style.weight,
+    opacity: style.opacity,
+    dashArray: type === 'transform' || type === 'strike-slip' ? '6 4' : null
+  }
+}
+
+/**
+ * Nearest bundled plate boundary to an event: { name, type, distanceKm }
+ */
+export function nearestPlateBoundary(eq) {
+  if (!eq || !eq.coords) return null
+  const { feature, distanceKm } = nearestLineFeature(eq.coords, plateBoundaries)
+  return feature ? { name: feature.properties.name, type: feature.properties.type, distanceKm } : null
+}
+
+export default { BASEMAPS, OVERLAYS, DEFAULT_OVERLAY_STYLES, BOUNDARY_TYPE_COLORS, overlayFeatureStyle, nearestPlateBoundary }
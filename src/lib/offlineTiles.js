@@ -0,0 +1,140 @@
+// Pre-downloads basemap tiles into the Cache Storage bucket the service worker (public/sw.js)
+// answers tile requests from, so a chosen area stays browsable offline.
+import { circleRing } from '../utils/geo'
+
+// must match TILE_CACHE in public/sw.js
+export const TILE_CACHE = 'tiles-v1'
+
+// Tile servers (OSM in particular) forbid bulk downloading; keep each request modest
+export const MAX_TILES = 2000
+const CONCURRENCY = 4
+const MAX_LAT = 85.0511
+
+const clampLat = lat => Math.max(-MAX_LAT, Math.min(MAX_LAT, lat))
+
+export function lonToTileX(lon, z) {
+  const n = 2 ** z
+  return Math.min(n - 1, Math.max(0, Math.floor(((lon + 180) / 360) * n)))
+}
+
+export function latToTileY(lat, z) {
+  const n = 2 ** z
+  const rad = (clampLat(lat) * Math.PI) / 180
+  const y = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n)
+  return Math.min(n - 1, Math.max(0, y))
+}
+
+function tileRange(bounds, z) {
+  return {
+    minX: lonToTileX(bounds.west, z),
+    maxX: lonToTileX(bounds.east, z),
+    minY: latToTileY(bounds.north, z),
+    maxY: latToTileY(bounds.south, z)
+  }
+}
+
+/**
+ * Number of tiles covering bounds { north, south, east, west } for zooms minZoom..maxZoom
+ */
+export function countTiles(bounds, minZoom, maxZoom) {
+  let total = 0
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z)
+    total += (maxX - minX + 1) * (maxY - minY + 1)
+  }
+  return total
+}
+
+export function* tilesForBounds(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = tileRange(bounds, z)
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) yield { x, y, z }
+    }
+  }
+}
+
+/**
+ * Tile URL for a basemap template, picking {s} the same way Leaflet does so cached
+ * entries match the requests the TileLayer makes
+ */
+export function tileUrl(template, { x, y, z }, subdomains = 'abc') {
+  const s = subdomains[Math.abs(x + y) % subdomains.length]
+  return template.replace('{s}', s).replace('{z}', z).replace('{x}', x).replace('{y}', y).replace('{r}', '')
+}
+
+/**
+ * Bounding box of a saved region (see lib/regions), clamped to the Web Mercator range
+ */
+export function regionBounds(region) {
+  const ring = region.shape === 'circle' ? circleRing(region.center, region.radiusKm) : region.ring
+  const lons = ring.map(p => p[0])
+  const lats = ring.map(p => p[1])
+  return {
+    north: clampLat(Math.max(...lats)),
+    south: clampLat(Math.min(...lats)),
+    east: Math.min(180, Math.max(...lons)),
+    west: Math.max(-180, Math.min(...lons))
+  }
+}
+
+export function offlineSupported() {
+  return typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator
+}
+
+/**
+ * Fetch every tile of the area into the tile cache. Tiles already cached are skipped.
+ * onProgress({ done, total, failed }) is called after each tile; resolves with the same shape.
+ */
+export async function downloadTiles({ basemap, bounds, minZoom, maxZoom, onProgress = () => {}, signal } = {}) {
+  if (!basemap || !basemap.url) throw new Error('This basemap has no tiles to download')
+  const total = countTiles(bounds, minZoom, maxZoom)
+  if (total > MAX_TILES) throw new Error(`Too many tiles (${total}); the limit is ${MAX_TILES}. Pick a smaller area or zoom range.`)
+
+  const cache = await caches.open(TILE_CACHE)
+  const queue = tilesForBounds(bounds, minZoom, maxZoom)
+  const progress = { done: 0, total, failed: 0 }
+
+  const worker = async () => {
+    for (let next = queue.next(); !next.done; next = queue.next()) {
+      if (signal && signal.aborted) return
+      const url = tileUrl(basemap.url, next.value)
+      try {
+        if (!(await cache.match(url))) {
+          const res = await fetch(url, { mode: 'cors', signal })
+          if (!res.ok) throw new Error(`HTTP ${res.status}`)
+          await cache.put(url, res)
+        }
+      } catch (e) {
+        if (signal && signal.aborted) return
+        progress.failed++
+      }
+      progress.done++
+      onProgress({ ...progress })
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker))
+  return { ...progress }
+}
+
+export async function countCachedTiles() {
+  if (!offlineSupported()) return 0
+  const cache = await caches.open(TILE_CACHE)
+  return (await cache.keys()).length
+}
+
+export async function clearTiles() {
+  if (offlineSupported()) await caches.delete(TILE_CACHE)
+}
+
+/**
+ * Origin storage usage/quota in bytes (all caches and IndexedDB), or null when unavailable
+ */
+export async function storageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+  return { usage, quota }
+}
+
+export default { TILE_CACHE, MAX_TILES, countTiles, tilesForBounds, tileUrl, regionBounds, offlineSupported, downloadTiles, countCachedTiles, clearTiles, storageEstimate }
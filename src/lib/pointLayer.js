@@ -0,0 +1,278 @@
+// Event markers drawn on a single Leaflet canvas layer, for datasets too large for one
+// DOM element/SVG path per event. Circles are batched by style so a redraw costs a handful of
+// fill/stroke calls; a screen-space grid built during the redraw answers hover and click
+// hit-tests without scanning every event. The canvas follows the map like the heat layer.
+import L from 'leaflet'
+
+// hit-test grid cell, in CSS pixels
+const CELL = 32
+// extra pixels around a marker that still count as a hit
+const HIT_SLOP = 3
+
+const DEFAULT_STYLE = { radius: 4, color: '#2563eb', fillColor: '#2563eb', fillOpacity: 0.8, opacity: 1, weight: 1 }
+
+export const PointCanvasLayer = L.Layer.extend({
+  options: {
+    // eq -> { radius, color, fillColor, fillOpacity, opacity, weight, halo, top }
+    // `halo` draws an outer ring (new events), `top` draws the marker above all others
+    style: null,
+    interactive: true,
+    // eq -> html for the hover tooltip / click popup; null disables them
+    tooltip: null,
+    popup: null,
+    onClick: null,
+    // eq under the cursor, or null when it leaves
+    onHover: null
+  },
+
+  // events: normalized events ({ id, coords: { lat, lon }, magnitude, ... })
+  initialize(events, options) {
+    L.setOptions(this, options)
+    this._setEvents(events)
+    this._hits = null
+    this._hover = null
+  },
+
+  setEvents(events) {
+    this._setEvents(events)
+    return this.redraw()
+  },
+
+  setOptions(options) {
+    L.setOptions(this, options)
+    return this.redraw()
+  },
+
+  redraw() {
+    if (this._map && !this._frame) {
+      this._frame = L.Util.requestAnimFrame(this._redraw, this)
+    }
+    return this
+  },
+
+  onAdd(map) {
+    this._map = map
+    const canvas = (this._canvas = L.DomUtil.create('canvas', 'leaflet-point-layer leaflet-layer'))
+    const animated = map.options.zoomAnimation && L.Browser.any3d
+    L.DomUtil.addClass(canvas, `leaflet-zoom-${animated ? 'animated' : 'hide'}`)
+    // hit-testing goes through map events so tiles/overlays underneath still get theirs
+    canvas.style.pointerEvents = 'none'
+    this.getPane().appendChild(canvas)
+    map.on('moveend', this._reset, this)
+    map.on('resize', this._reset, this)
+    map.on('mousemove', this._onMouseMove, this)
+    map.on('mouseout', this._clearHover, this)
+    map.on('click', this._onClick, this)
+    if (animated) map.on('zoomanim', this._animateZoom, this)
+    this._reset()
+  },
+
+  onRemove(map) {
+    this._clearHover()
+    this.getPane().removeChild(this._canvas)
+    map.off('moveend', this._reset, this)
+    map.off('resize', this._reset, this)
+    map.off('mousemove', this._onMouseMove, this)
+    map.off('mouseout', this._clearHover, this)
+    map.off('click', this._onClick, this)
+    map.off('zoomanim', this._animateZoom, this)
+    if (this._frame) L.Util.cancelAnimFrame(this._frame)
+    this._frame = null
+    this._hits = null
+  },
+
+  /**
+   * Topmost event under a container point, or null
+   */
+  hitTest(point) {
+    const hits = this._hits
+    if (!hits) return null
+    const bucket = hits.grid.get(`${Math.floor(point.x / CELL)}:${Math.floor(point.y / CELL)}`)
+    if (!bucket) return null
+    // later entries are drawn on top, so walk backwards
+    for (let k = bucket.length - 1; k >= 0; k--) {
+      const i = bucket[k]
+      const dx = point.x - hits.x[i]
+      const dy = point.y - hits.y[i]
+      const r = hits.r[i] + HIT_SLOP
+      if (dx * dx + dy * dy <= r * r) return hits.events[i]
+    }
+    return null
+  },
+
+  // smallest magnitudes first so the largest events end up on top
+  _setEvents(events) {
+    this._events = (events || []).filter(eq => eq && eq.coords).sort((a, b) => (a.magnitude || 0) - (b.magnitude || 0))
+  },
+
+  _reset() {
+    const topLeft = this._map.containerPointToLayerPoint([0, 0])
+    L.DomUtil.setPosition(this._canvas, topLeft)
+    const size = this._map.getSize()
+    const ratio = window.devicePixelRatio || 1
+    this._canvas.width = Math.round(size.x * ratio)
+    this._canvas.height = Math.round(size.y * ratio)
+    this._canvas.style.width = `${size.x}px`
+    this._canvas.style.height = `${size.y}px`
+    this._redraw()
+  },
+
+  _animateZoom(e) {
+    const scale = this._map.getZoomScale(e.zoom)
+    const offset = this._map._latLngBoundsToNewLayerBounds(this._map.getBounds(), e.zoom, e.center).min
+    L.DomUtil.setTransform(this._canvas, offset, scale)
+  },
+
+  _redraw() {
+    this._frame = null
+    if (!this._map) return
+    const map = this._map
+    const canvas = this._canvas
+    const ratio = window.devicePixelRatio || 1
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    const size = map.getSize()
+    const centerLng = map.getCenter().lng
+    const styleFor = this.options.style
+
+    // project and bucket by style; `top` markers form their own layer after everything else
+    const drawn = []
+    const batches = new Map()
+    const topBatches = new Map()
+    for (const eq of this._events) {
+      const style = styleFor ? { ...DEFAULT_STYLE, ...styleFor(eq) } : DEFAULT_STYLE
+      if (!style.radius || (!style.opacity && !style.fillOpacity)) continue
+      // draw on the world copy being viewed when the map is panned across the antimeridian
+      const lng = eq.coords.lon + Math.round((centerLng - eq.coords.lon) / 360) * 360
+      const pt = map.latLngToContainerPoint([eq.coords.lat, lng])
+      const reach = style.radius + style.weight + (style.halo ? 6 : 0)
+      if (pt.x < -reach || pt.y < -reach || pt.x > size.x + reach || pt.y > size.y + reach) continue
+      const key = `${style.fillColor}|${style.color}|${style.fillOpacity}|${style.opacity}|${style.weight}|${style.halo ? 1 : 0}`
+      const target = style.top ? topBatches : batches
+      if (!target.has(key)) target.set(key, { style, points: [] })
+      target.get(key).points.push(drawn.length)
+      drawn.push({ eq, x: pt.x, y: pt.y, r: style.radius })
+    }
+
+    const drawBatch = ({ style, points }) => {
+      ctx.beginPath()
+      for (const i of points) {
+        const p = drawn[i]
+        ctx.moveTo(p.x + p.r, p.y)
+        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2)
+      }
+      ctx.globalAlpha = style.fillOpacity
+      ctx.fillStyle = style.fillColor
+      ctx.fill()
+      if (style.weight) {
+        ctx.globalAlpha = style.opacity
+        ctx.strokeStyle = style.color
+        ctx.lineWidth = style.weight
+        ctx.stroke()
+      }
+      if (style.halo) {
+        ctx.beginPath()
+        for (const i of points) {
+          const p = drawn[i]
+          ctx.moveTo(p.x + p.r + 5, p.y)
+          ctx.arc(p.x, p.y, p.r + 5, 0, Math.PI * 2)
+        }
+        ctx.globalAlpha = style.opacity * 0.6
+        ctx.strokeStyle = style.color
+        ctx.lineWidth = 2
+        ctx.stroke()
+      }
+    }
+    batches.forEach(drawBatch)
+    topBatches.forEach(drawBatch)
+
+    const hover = this._hover && drawn.find(p => p.eq === this._hover)
+    if (hover) {
+      ctx.beginPath()
+      ctx.arc(hover.x, hover.y, hover.r + 2, 0, Math.PI * 2)
+      ctx.globalAlpha = 1
+      ctx.strokeStyle = '#111827'
+      ctx.lineWidth = 2
+      ctx.stroke()
+    }
+    ctx.globalAlpha = 1
+
+    this._hits = this.options.interactive ? this._buildHits(drawn, [...batches.values(), ...topBatches.values()]) : null
+  },
+
+  // grid of drawn markers in draw order; each marker is listed in every cell it overlaps
+  _buildHits(drawn, batches) {
+    const n = drawn.length
+    const hits = { events: new Array(n), x: new Float32Array(n), y: new Float32Array(n), r: new Float32Array(n), grid: new Map() }
+    let k = 0
+    for (const { points } of batches) {
+      for (const i of points) {
+        const p = drawn[i]
+        hits.events[k] = p.eq
+        hits.x[k] = p.x
+        hits.y[k] = p.y
+        hits.r[k] = p.r
+        const reach = p.r + HIT_SLOP
+        for (let cx = Math.floor((p.x - reach) / CELL); cx <= Math.floor((p.x + reach) / CELL); cx++) {
+          for (let cy = Math.floor((p.y - reach) / CELL); cy <= Math.floor((p.y + reach) / CELL); cy++) {
+            const key = `${cx}:${cy}`
+            const bucket = hits.grid.get(key)
+            if (bucket) bucket.push(k)
+            else hits.grid.set(key, [k])
+          }
+        }
+        k++
+      }
+    }
+    return hits
+  },
+
+  _onMouseMove(e) {
+    if (!this.options.interactive) return
+    const eq = this.hitTest(e.containerPoint)
+    if (eq === this._hover) return
+    this._hover = eq
+    if (this.options.onHover) this.options.onHover(eq)
+    this._map.getContainer().style.cursor = eq ? 'pointer' : ''
+    if (this._tooltip) this._map.closeTooltip(this._tooltip)
+    this._tooltip = null
+    if (eq && this.options.tooltip) {
+      this._tooltip = L.tooltip({ direction: 'top', offset: [0, -8] })
+        .setLatLng(e.latlng)
+        .setContent(this.options.tooltip(eq))
+      this._map.openTooltip(this._tooltip)
+    }
+    this.redraw()
+  },
+
+  _clearHover() {
+    if (!this._hover) return
+    this._hover = null
+    if (this.options.onHover) this.options.onHover(null)
+    if (this._map) {
+      this._map.getContainer().style.cursor = ''
+      if (this._tooltip) this._map.closeTooltip(this._tooltip)
+      this.redraw()
+    }
+    this._tooltip = null
+  },
+
+  _onClick(e) {
+    if (!this.options.interactive) return
+    const eq = this.hitTest(e.containerPoint)
+    if (!eq) return
+    if (this.options.onClick) this.options.onClick(eq)
+    if (this.options.popup) {
+      const lng = eq.coords.lon + Math.round((e.latlng.lng - eq.coords.lon) / 360) * 360
+      this._map.openPopup(this.options.popup(eq), [eq.coords.lat, lng])
+    }
+  }
+})
+
+export function pointCanvasLayer(events, options) {
+  return new PointCanvasLayer(events, options)
+}
+
+export default { PointCanvasLayer, pointCanvasLayer }
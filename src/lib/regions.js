@@ -0,0 +1,111 @@
+// User-drawn regions (rectangle, polygon, circle) persisted in IndexedDB without a TTL,
+// plus containment tests and GeoJSON round-tripping.
+import cache from './cache'
+import { haversineKm, pointInPolygon, circleRing } from '../utils/geo'
+
+const KEY_PREFIX = 'region:'
+
+export const REGION_SHAPES = {
+  rectangle: 'Rectangle',
+  polygon: 'Polygon',
+  circle: 'Circle'
+}
+
+function closeRing(ring) {
+  const first = ring[0]
+  const last = ring[ring.length - 1]
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first]
+}
+
+/**
+ * rectangle/polygon: `ring` of [lon, lat]; circle: `center` { lat, lon } and `radiusKm`
+ */
+export function createRegion({ name, shape, ring = null, center = null, radiusKm = null, existing = [] }) {
+  if (!REGION_SHAPES[shape]) throw new Error(`Unknown region shape: ${shape}`)
+  if (shape === 'circle' && !(center && radiusKm > 0)) throw new Error('A circle needs a center and a positive radius')
+  if (shape !== 'circle' && !(ring && ring.length >= 3)) throw new Error('A polygon needs at least three points')
+  const id = `rg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+  return {
+    id,
+    name: name || `Region ${existing.length + 1}`,
+    shape,
+    ring: shape === 'circle' ? null : closeRing(ring),
+    center: shape === 'circle' ? { lat: center.lat, lon: center.lon } : null,
+    radiusKm: shape === 'circle' ? radiusKm : null,
+    createdAt: Date.now()
+  }
+}
+
+export function regionContains(region, eq) {
+  if (!region) return true
+  if (!eq || !eq.coords) return false
+  if (region.shape === 'circle') return haversineKm(region.center, eq.coords) <= region.radiusKm
+  return pointInPolygon(eq.coords, region.ring)
+}
+
+export function filterByRegion(events, region) {
+  return region ? events.filter(eq => regionContains(region, eq)) : events
+}
+
+export function regionToFeature(region) {
+  const ring = region.shape === 'circle' ? circleRing(region.center, region.radiusKm) : region.ring
+  const properties = { name: region.name, shape: region.shape }
+  if (region.shape === 'circle') {
+    properties.center = [region.center.lon, region.center.lat]
+    properties.radiusKm = region.radiusKm
+  }
+  return { type: 'Feature', id: region.id, properties, geometry: { type: 'Polygon', coordinates: [ring] } }
+}
+
+export function regionsToGeoJSON(regions) {
+  return JSON.stringify({ type: 'FeatureCollection', features: regions.map(regionToFeature) }, null, 2)
+}
+
+/**
+ * Regions from GeoJSON text or object. Circles exported by this app come back as circles;
+ * any other Polygon/MultiPolygon becomes a polygon region (outer ring only).
+ */
+export function regionsFromGeoJSON(input, existing = []) {
+  const json = typeof input === 'string' ? JSON.parse(input) : input
+  const features = json.type === 'FeatureCollection' ? json.features || []
+    : json.type === 'Feature' ? [json]
+    : [{ type: 'Feature', properties: {}, geometry: json }]
+  const regions = []
+  features.forEach(f => {
+    const props = f.properties || {}
+    const geom = f.geometry
+    if (!geom) return
+    const baseName = props.name || props.title || `Imported region ${existing.length + regions.length + 1}`
+    if (props.shape === 'circle' && Array.isArray(props.center) && props.radiusKm > 0) {
+      regions.push(createRegion({ name: baseName, shape: 'circle', center: { lon: props.center[0], lat: props.center[1] }, radiusKm: Number(props.radiusKm), existing: [...existing, ...regions] }))
+      return
+    }
+    const polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.type === 'MultiPolygon' ? geom.coordinates : []
+    polygons.forEach((poly, j) => {
+      const ring = poly && poly[0]
+      if (!ring || ring.length < 3) return
+      const name = polygons.length > 1 ? `${baseName} (${j + 1})` : baseName
+      const shape = props.shape === 'rectangle' ? 'rectangle' : 'polygon'
+      regions.push(createRegion({ name, shape, ring: ring.map(([lon, lat]) => [Number(lon), Number(lat)]), existing: [...existing, ...regions] }))
+    })
+  })
+  if (!regions.length) throw new Error('No polygon features found')
+  return regions
+}
+
+export async function listRegions() {
+  const keys = await cache.getKeys()
+  const regions = await Promise.all(keys.filter(k => k.startsWith(KEY_PREFIX)).map(k => cache.getCache(k)))
+  return regions.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export async function saveRegion(region) {
+  await cache.setCache(`${KEY_PREFIX}${region.id}`, region, null)
+  return region
+}
+
+export async function removeRegion(id) {
+  await cache.removeCache(`${KEY_PREFIX}${id}`)
+}
+
+export default { createRegion, regionContains, filterByRegion, regionToFeature, regionsToGeoJSON, regionsFromGeoJSON, listRegions, saveRegion, removeRegion, REGION_SHAPES }
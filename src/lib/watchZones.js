@@ -0,0 +1,129 @@
+// Watch zones: a region geometry with its own magnitude/depth thresholds, plus a persistent
+// per-zone alert inbox. Zones and alerts are stored in IndexedDB without a TTL so the inbox
+// keeps growing across sessions; alerts are deduplicated by event id.
+import cache from './cache'
+import { regionContains } from './regions'
+
+const ZONE_PREFIX = 'watch:'
+const ALERT_PREFIX = 'alerts:'
+
+// Keep inboxes bounded; the oldest alerts are dropped first
+export const MAX_ALERTS_PER_ZONE = 500
+
+/**
+ * A zone copies the geometry of a saved region so deleting the region doesn't orphan it
+ */
+export function createWatchZone({ name, region, minMagnitude = 4, minDepth = null, maxDepth = null, notify = false, existing = [] }) {
+  if (!region) throw new Error('A watch zone needs a region')
+  const id = `wz-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+  return {
+    id,
+    name: name || region.name || `Watch zone ${existing.length + 1}`,
+    shape: region.shape,
+    ring: region.ring,
+    center: region.center,
+    radiusKm: region.radiusKm,
+    minMagnitude,
+    minDepth,
+    maxDepth,
+    notify,
+    enabled: true,
+    // only events from this moment on raise alerts
+    createdAt: Date.now()
+  }
+}
+
+export function zoneMatches(zone, eq) {
+  if (!zone || !zone.enabled || !eq) return false
+  if ((eq.time || 0) < zone.createdAt) return false
+  if (zone.minMagnitude !== null && (eq.magnitude ?? -Infinity) < zone.minMagnitude) return false
+  if (zone.minDepth !== null && (eq.depth ?? -Infinity) < zone.minDepth) return false
+  if (zone.maxDepth !== null && (eq.depth ?? Infinity) > zone.maxDepth) return false
+  return regionContains(zone, eq)
+}
+
+function toAlert(zone, eq) {
+  return {
+    id: eq.id,
+    zoneId: zone.id,
+    magnitude: eq.magnitude,
+    magType: eq.magType || null,
+    place: eq.place,
+    time: eq.time,
+    depth: eq.depth,
+    coords: eq.coords,
+    url: eq.url || null,
+    createdAt: Date.now(),
+    read: false
+  }
+}
+
+export async function listWatchZones() {
+  const keys = await cache.getKeys()
+  const zones = await Promise.all(keys.filter(k => k.startsWith(ZONE_PREFIX)).map(k => cache.getCache(k)))
+  return zones.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export async function saveWatchZone(zone) {
+  await cache.setCache(`${ZONE_PREFIX}${zone.id}`, zone, null)
+  return zone
+}
+
+export async function removeWatchZone(id) {
+  await cache.removeCache(`${ZONE_PREFIX}${id}`)
+  await cache.removeCache(`${ALERT_PREFIX}${id}`)
+}
+
+// newest first
+export async function listAlerts(zoneId) {
+  return (await cache.getCache(`${ALERT_PREFIX}${zoneId}`)) || []
+}
+
+async function saveAlerts(zoneId, alerts) {
+  await cache.setCache(`${ALERT_PREFIX}${zoneId}`, alerts.slice(0, MAX_ALERTS_PER_ZONE), null)
+}
+
+// Inbox writes are read-modify-write, so they run one at a time
+let queue = Promise.resolve()
+function serialized(task) {
+  const run = queue.then(task, task)
+  queue = run.catch(() => {})
+  return run
+}
+
+/**
+ * Append alerts for events matching any zone; returns only the alerts that are new
+ */
+export function recordAlerts(events, zones) {
+  return serialized(async () => {
+    const created = []
+    for (const zone of zones) {
+      if (!zone.enabled) continue
+      const matches = events.filter(eq => zoneMatches(zone, eq))
+      if (!matches.length) continue
+      const existing = await listAlerts(zone.id)
+      const seen = new Set(existing.map(a => a.id))
+      const fresh = matches.filter(eq => !seen.has(eq.id)).map(eq => toAlert(zone, eq))
+      if (!fresh.length) continue
+      fresh.sort((a, b) => b.time - a.time)
+      await saveAlerts(zone.id, [...fresh, ...existing])
+      created.push(...fresh)
+    }
+    return created
+  })
+}
+
+export function markAlertsRead(zoneId, ids = null) {
+  return serialized(async () => {
+    const alerts = await listAlerts(zoneId)
+    const next = alerts.map(a => (!ids || ids.includes(a.id) ? { ...a, read: true } : a))
+    await saveAlerts(zoneId, next)
+    return next
+  })
+}
+
+export function clearAlerts(zoneId) {
+  return serialized(() => cache.removeCache(`${ALERT_PREFIX}${zoneId}`))
+}
+
+export default { createWatchZone, zoneMatches, listWatchZones, saveWatchZone, removeWatchZone, listAlerts, recordAlerts, markAlertsRead, clearAlerts }
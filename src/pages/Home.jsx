@@ -3,17 +3,95 @@ import MapView from '../components/MapView'
 import Filters from '../components/Filters'
 import Charts from '../components/Charts'
 import ThemeToggle from '../components/ThemeToggle'
-import { useState } from 'react'
+import EventDrawer from '../components/EventDrawer'
+import DatasetManager from '../components/DatasetManager'
+import useDatasets from '../hooks/useDatasets'
+import PlaybackControl from '../components/PlaybackControl'
+import AftershockExplorer from '../components/AftershockExplorer'
+import RegionManager from '../components/RegionManager'
+import useRegions from '../hooks/useRegions'
+import { createRegion } from '../lib/regions'
+import CrossSection from '../components/CrossSection'
+import { createProfile, DEFAULT_SWATH_KM } from '../utils/crossSection'
+import WatchZoneManager from '../components/WatchZoneManager'
+import useWatchZones from '../hooks/useWatchZones'
+import OfflineManager from '../components/OfflineManager'
+import { EarthquakeProvider } from '../store/EarthquakeStore'
+import { DEFAULT_PLAYBACK } from '../utils/playback'
+import { createEventStyle } from '../lib/eventStyle'
+import { useCallback, useMemo, useState } from 'react'
+import useUrlState from '../hooks/useUrlState'
 
 export default function Home() {
-  const [range, setRange] = useState('24h')
-  const [minMagnitude, setMinMagnitude] = useState(0)
+  // range, magnitude, advanced filters, selection, map viewport and rendering options live in the query string
+  const [urlState, setUrlField] = useUrlState()
+  const { range, minMagnitude, filters, selectedId, view, render } = urlState
+  const setRange = useCallback(v => setUrlField('range', v), [setUrlField])
+  const setMinMagnitude = useCallback(v => setUrlField('minMagnitude', v), [setUrlField])
+  // advanced attribute filters (depth, type, network, alert, ...) applied client-side
+  const setFilters = useCallback(v => setUrlField('filters', v), [setUrlField])
   // selected event id used to link charts <-> map
-  const [selectedId, setSelectedId] = useState(null)
-  // highlighted ids (from chart hover) to visually emphasize many markers
-  const [highlightedIds, setHighlightedIds] = useState([])
+  const setSelectedId = useCallback(v => setUrlField('selectedId', v), [setUrlField])
+  const setView = useCallback(v => setUrlField('view', v), [setUrlField])
+  const setRenderOptions = useCallback(v => setUrlField('render', v), [setUrlField])
+  // marker color/size scales, shared by the map, charts and cross-section; ages (color by age)
+  // are all measured from when the feed was last loaded
+  const { colorBy, colorMode, palette, sizeBy } = render
+  const [loadedAt, setLoadedAt] = useState(() => Date.now())
+  const eventStyle = useMemo(() => createEventStyle({ colorBy, colorMode, palette, sizeBy }, loadedAt), [colorBy, colorMode, palette, sizeBy, loadedAt])
+  // imported catalogs shown as overlays on the map and in the charts
+  const { datasets, addDataset, updateDataset, removeDataset } = useDatasets()
+  // time-lapse playhead shared by the map and the timeline chart
+  const [playback, setPlayback] = useState(DEFAULT_PLAYBACK)
+  const closeDrawer = useCallback(() => setSelectedId(null), [setSelectedId])
+  // saved regions; the active one filters both the map and the charts
+  const { regions, addRegion, updateRegion, removeRegion } = useRegions()
+  const [activeRegionId, setActiveRegionId] = useState(null)
+  const activeRegion = useMemo(() => regions.find(r => r.id === activeRegionId) || null, [regions, activeRegionId])
+  const [drawMode, setDrawMode] = useState(null)
+  // watch zones record alerts whenever new data is loaded, even while their panel is collapsed
+  const { zones, alerts, addZone, updateZone, removeZone, markRead, clearZoneAlerts } = useWatchZones()
+  // current map bounds: the charts' viewport scope and an area for offline tile downloads
+  const [mapBounds, setMapBounds] = useState(null)
+  // depth cross-section profile drawn on the map (see utils/crossSection)
+  const [profile, setProfile] = useState(null)
+  const [profileDrawing, setProfileDrawing] = useState(false)
+  const cancelDrawing = useCallback(() => setDrawMode(null), [])
+  const cancelProfileDrawing = useCallback(() => setProfileDrawing(false), [])
+  const handleProfileDrawn = useCallback((start, end) => {
+    setProfile(prev => createProfile(start, end, prev ? prev.widthKm : DEFAULT_SWATH_KM))
+    setProfileDrawing(false)
+  }, [])
+  // region and profile drawing both take over map clicks; only one at a time
+  const startRegionDrawing = useCallback(mode => {
+    setDrawMode(mode)
+    if (mode) setProfileDrawing(false)
+  }, [])
+  const startProfileDrawing = useCallback(drawing => {
+    setProfileDrawing(drawing)
+    if (drawing) setDrawMode(null)
+  }, [])
+  const handleRegionDrawn = useCallback(spec => {
+    const region = createRegion({ ...spec, existing: regions })
+    addRegion(region)
+    setActiveRegionId(region.id)
+    setDrawMode(null)
+  }, [regions, addRegion])
 
   return (
+    <EarthquakeProvider
+      range={range}
+      setRange={setRange}
+      minMagnitude={minMagnitude}
+      setMinMagnitude={setMinMagnitude}
+      filters={filters}
+      setFilters={setFilters}
+      region={activeRegion}
+      selectedId={selectedId}
+      setSelectedId={setSelectedId}
+      viewportBounds={mapBounds}
+      onLoad={setLoadedAt}
+    >
     <main className="p-6 font-sans" style={{ padding: '1.5rem', fontFamily: 'Arial, sans-serif' }}>
 
         <div className=" p-4 sm:py-6 rounded mb-4 w-full flex items-center justify-center">
@@ -33,24 +111,70 @@ export default function Home() {
         </div>
 
         <div>
-          <Filters range={range} setRange={setRange} minMagnitude={minMagnitude} setMinMagnitude={setMinMagnitude} />
+          <Filters />
         </div>
 
       <section className="grid grid-cols-1 lg:grid-cols-4 gap-6" style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '1.5rem' }}>
         
         
         <div className="lg:col-span-3">
-          <MapView range={range} minMagnitude={minMagnitude} selectedId={selectedId} setSelectedId={setSelectedId} highlightedIds={highlightedIds} />
+          <MapView view={view} onViewChange={setView} renderOptions={render} setRenderOptions={setRenderOptions} eventStyle={eventStyle} datasets={datasets} playback={playback} drawMode={drawMode} onRegionDrawn={handleRegionDrawn} onDrawCancel={cancelDrawing} onViewportBoundsChange={setMapBounds} profile={profile} profileDrawing={profileDrawing} onProfileDrawn={handleProfileDrawn} onProfileCancel={cancelProfileDrawing} />
+          <PlaybackControl range={range} playback={playback} setPlayback={setPlayback} />
         </div>
         <aside className="lg:col-span-1">
             <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
-            <Charts range={range} minMagnitude={minMagnitude} selectedId={selectedId} setSelectedId={setSelectedId} setHighlightedIds={setHighlightedIds} />
+            <Charts datasets={datasets} playback={playback} setPlayback={setPlayback} eventStyle={eventStyle} />
           </div>
           <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <CrossSection profile={profile} setProfile={setProfile} drawing={profileDrawing} setDrawing={startProfileDrawing} eventStyle={eventStyle} />
+          </div>
+          <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <RegionManager
+              regions={regions}
+              activeRegionId={activeRegionId}
+              setActiveRegionId={setActiveRegionId}
+              onAdd={addRegion}
+              onUpdate={updateRegion}
+              onRemove={removeRegion}
+              drawMode={drawMode}
+              setDrawMode={startRegionDrawing}
+            />
+          </div>
+          <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <WatchZoneManager
+              regions={regions}
+              zones={zones}
+              alerts={alerts}
+              onAdd={addZone}
+              onUpdate={updateZone}
+              onRemove={removeZone}
+              onMarkRead={markRead}
+              onClear={clearZoneAlerts}
+              setSelectedId={setSelectedId}
+            />
+          </div>
+          <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <AftershockExplorer />
+          </div>
+          <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <DatasetManager datasets={datasets} onAdd={addDataset} onUpdate={updateDataset} onRemove={removeDataset} />
+          </div>
+          <div style={{ height: 12 }} />
+          <div className="p-4 rounded shadow" style={{ background: 'var(--panel-bg)', color: 'var(--panel-text)' }}>
+            <OfflineManager basemap={render.basemap} viewBounds={mapBounds} regions={regions} />
+          </div>
           
         </aside>
       </section>
+
+      <EventDrawer eventId={selectedId} onClose={closeDrawer} />
     </main>
+    </EarthquakeProvider>
   )
 }
  
@@ -0,0 +1,215 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import earthquakesAPI from '../api/earthquakes'
+import useDataQuery from '../hooks/useDataQuery'
+import useDebounce from '../hooks/useDebounce'
+
+// Central earthquake store: one fetch of the feed for the whole page, its loading/error state,
+// the active query and filters, and the selections derived from them. The map, charts, filter
+// panel and aftershock explorer all read the same dataset through useEarthquakeStore().
+const EarthquakeContext = createContext(null)
+// The event under the cursor changes on every mouse move across markers, so it has contexts of
+// its own: only components showing it re-render, and the setter's context never changes.
+const HoveredIdContext = createContext(null)
+const SetHoveredIdContext = createContext(() => {})
+
+const EMPTY = []
+
+/**
+ * Range, magnitude, filters and the selected event stay owned by the page (they live in the
+ * URL); the provider receives them with their setters and shares them with every subscriber.
+ */
+export function EarthquakeProvider({
+  range = '24h',
+  setRange = () => {},
+  minMagnitude = 0,
+  setMinMagnitude = () => {},
+  filters = null,
+  setFilters = () => {},
+  region = null,
+  selectedId = null,
+  setSelectedId = () => {},
+  viewportBounds = null,
+  // called with the time whenever a loaded feed is applied
+  onLoad = () => {},
+  children
+}) {
+  const [features, setFeatures] = useState(EMPTY)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [fromCache, setFromCache] = useState(false)
+  const [staleSince, setStaleSince] = useState(null) // set while showing an offline copy of the feed
+  const [fetchTime, setFetchTime] = useState(0)
+  // highlighted ids (chart hover, aftershock sequences) to visually emphasize many markers
+  const [highlightedIds, setHighlightedIds] = useState(EMPTY)
+  // event under the cursor on the map; unlike highlightedIds the map does not restyle for it
+  const [hoveredId, setHoveredId] = useState(null)
+  const [refreshToken, setRefreshToken] = useState(0)
+  // options and callers of the refresh requested since the last load started
+  const pendingRefreshRef = useRef({ silent: false, force: false, waiting: [] })
+  // the loaded events and the query they were loaded for, as of the last applied result
+  const loadedRef = useRef({ features: EMPTY, key: null })
+  const onLoadRef = useRef(onLoad)
+  onLoadRef.current = onLoad
+
+  // Debounced query values
+  const debouncedRange = useDebounce(range, 400)
+  const debouncedMinMagnitude = useDebounce(minMagnitude, 250)
+
+  /**
+   * Reload the feed. `silent` keeps the current events on screen instead of flagging loading
+   * (live updates, reconnecting); `force` skips the cache and goes to the network.
+   * Resolves when the reload settles with { ok, features, previous, stale, error }, where
+   * `previous` is the event list it replaced (null when that was loaded for another query).
+   */
+  const refresh = useCallback(({ silent = false, force = false } = {}) => new Promise(resolve => {
+    const pending = pendingRefreshRef.current
+    pendingRefreshRef.current = {
+      // a silent request doesn't hide a pending non-silent one
+      silent: pending.waiting.length ? pending.silent && silent : silent,
+      force: pending.force || force,
+      waiting: [...pending.waiting, resolve]
+    }
+    setRefreshToken(t => t + 1)
+  }), [])
+
+  // Load the whole feed; caps, viewport and filters are applied by the data engine
+  useEffect(() => {
+    let mounted = true
+    const controller = new AbortController()
+    const { silent, force, waiting } = pendingRefreshRef.current
+    pendingRefreshRef.current = { silent: false, force: false, waiting: [] }
+    const key = `${debouncedRange}|${debouncedMinMagnitude}`
+    let settled = false
+    const settle = result => {
+      if (settled) return
+      settled = true
+      waiting.forEach(resolve => resolve(result))
+    }
+    if (!silent) setLoading(true)
+    setError(null)
+
+    const fetchStart = performance.now()
+
+    const applyResult = res => {
+      const loaded = loadedRef.current
+      loadedRef.current = { features: res.features, key }
+      setFeatures(res.features)
+      setFromCache(!!res.fromCache)
+      setStaleSince(res.stale ? res.staleSince : null)
+      setError(null)
+      onLoadRef.current(Date.now())
+      return loaded.key === key ? loaded.features : null
+    }
+
+    earthquakesAPI.getEarthquakes({
+      range: debouncedRange,
+      minMagnitude: debouncedMinMagnitude,
+      maxResults: null,
+      signal: controller.signal,
+      force,
+      // an expired cached feed is shown at once and swapped for the refreshed one
+      onRevalidate: res => { if (mounted && res.ok) applyResult(res) }
+    }).then(res => {
+      if (!mounted) return
+      setFetchTime(performance.now() - fetchStart)
+      if (res.ok) {
+        const previous = applyResult(res)
+        settle({ ok: true, features: res.features, previous, stale: !!res.stale })
+      } else {
+        if (res.error !== 'aborted') setError(res.error || 'Failed to fetch')
+        settle({ ok: false, error: res.error || 'Failed to fetch' })
+      }
+      setLoading(false)
+    }).catch(err => {
+      if (!mounted) return
+      if (err && err.name !== 'AbortError') {
+        setError(err.message || String(err))
+      }
+      settle({ ok: false, error: (err && err.message) || String(err) })
+      setLoading(false)
+    })
+
+    return () => {
+      mounted = false
+      controller.abort()
+      settle({ ok: false, error: 'aborted' })
+    }
+  }, [debouncedRange, debouncedMinMagnitude, refreshToken])
+
+  // Reload as soon as the connection comes back while an offline copy is shown
+  useEffect(() => {
+    if (!staleSince) return
+    const onOnline = () => refresh({ silent: true })
+    window.addEventListener('online', onOnline)
+    return () => window.removeEventListener('online', onOnline)
+  }, [staleSince, refresh])
+
+  // Derived selections: every loaded event passing the filters and region, and those of them
+  // inside the map viewport (in marker priority order)
+  const selectionQuery = useMemo(() => ({ filters, region, bounds: viewportBounds, cull: false }), [filters, region, viewportBounds])
+  const selection = useDataQuery('store', features, selectionQuery)
+  const selectedEvent = useMemo(() => (selectedId ? features.find(eq => eq.id === selectedId) || null : null), [features, selectedId])
+
+  const value = useMemo(() => ({
+    // query
+    range,
+    setRange,
+    minMagnitude,
+    setMinMagnitude,
+    // values the current feed was actually requested with
+    query: { range: debouncedRange, minMagnitude: debouncedMinMagnitude },
+    filters,
+    setFilters,
+    region,
+    // data
+    features,
+    loading,
+    error,
+    fromCache,
+    staleSince,
+    fetchTime,
+    refresh,
+    // derived selections
+    filtered: selection.filtered,
+    inView: selection.visible,
+    viewportBounds,
+    selectedId,
+    setSelectedId,
+    selectedEvent,
+    highlightedIds,
+    setHighlightedIds
+  }), [range, setRange, minMagnitude, setMinMagnitude, debouncedRange, debouncedMinMagnitude, filters, setFilters, region, features, loading, error, fromCache, staleSince, fetchTime, refresh, selection, viewportBounds, selectedId, setSelectedId, selectedEvent, highlightedIds])
+
+  return (
+    <EarthquakeContext.Provider value={value}>
+      <SetHoveredIdContext.Provider value={setHoveredId}>
+        <HoveredIdContext.Provider value={hoveredId}>{children}</HoveredIdContext.Provider>
+      </SetHoveredIdContext.Provider>
+    </EarthquakeContext.Provider>
+  )
+}
+
+/**
+ * The shared earthquake store; components must be rendered inside <EarthquakeProvider>
+ */
+export function useEarthquakeStore() {
+  const store = useContext(EarthquakeContext)
+  if (!store) throw new Error('useEarthquakeStore must be used inside an EarthquakeProvider')
+  return store
+}
+
+/**
+ * Id of the event under the cursor on the map, or null
+ */
+export function useHoveredId() {
+  return useContext(HoveredIdContext)
+}
+
+/**
+ * Setter for the hovered event id; using it does not re-render on hover changes
+ */
+export function useSetHoveredId() {
+  return useContext(SetHoveredIdContext)
+}
+
+export default EarthquakeProvider
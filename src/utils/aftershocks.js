@@ -0,0 +1,148 @@
+// Aftershock sequence analysis: space-time windows, modified Omori law fitting and Båth's law.
+// Times are in days since the mainshock throughout.
+
+import { haversineKm } from './geo'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Båth's law: the largest aftershock is on average 1.2 units smaller than the mainshock
+export const BATH_DELTA = 1.2
+
+export const WINDOW_MODES = {
+  gk: 'Gardner–Knopoff',
+  fixed: 'Fixed window'
+}
+
+/**
+ * Gardner & Knopoff (1974) window, as parameterised by Uhrhammer / van Stiphout et al. (2012)
+ */
+export function gardnerKnopoffWindow(magnitude) {
+  const m = magnitude || 0
+  const radiusKm = Math.pow(10, 0.1238 * m + 0.983)
+  const days = m >= 6.5 ? Math.pow(10, 0.032 * m + 2.7389) : Math.pow(10, 0.5409 * m - 0.547)
+  return { radiusKm, days }
+}
+
+export function sequenceWindow(mainshock, { mode = 'gk', radiusKm = 100, days = 30 } = {}) {
+  return mode === 'gk' ? gardnerKnopoffWindow(mainshock.magnitude) : { radiusKm, days }
+}
+
+/**
+ * Events after the mainshock that fall inside the window, oldest first
+ */
+export function selectAftershocks(mainshock, events, window) {
+  if (!mainshock || !mainshock.coords) return []
+  const end = mainshock.time + window.days * DAY_MS
+  return events
+    .filter(eq => eq.id !== mainshock.id && eq.coords && eq.time > mainshock.time && eq.time <= end)
+    .filter(eq => haversineKm(mainshock.coords, eq.coords) <= window.radiusKm)
+    .sort((a, b) => a.time - b.time)
+}
+
+export function daysSince(mainshock, eq) {
+  return (eq.time - mainshock.time) / DAY_MS
+}
+
+// ∫_start^end (t + c)^-p dt
+function omoriIntegral(c, p, start, end) {
+  if (Math.abs(p - 1) < 1e-9) return Math.log(end + c) - Math.log(start + c)
+  return (Math.pow(end + c, 1 - p) - Math.pow(start + c, 1 - p)) / (1 - p)
+}
+
+// Profile log-likelihood with K at its closed-form optimum n / ∫(t + c)^-p
+function profileLogLikelihood(times, c, p, start, end) {
+  const n = times.length
+  const integral = omoriIntegral(c, p, start, end)
+  if (!(integral > 0)) return { ll: -Infinity, K: 0 }
+  const K = n / integral
+  const sumLog = times.reduce((s, t) => s + Math.log(t + c), 0)
+  return { ll: n * Math.log(K) - p * sumLog - n, K }
+}
+
+/**
+ * Maximum-likelihood fit (Ogata 1983) of the modified Omori law n(t) = K / (t + c)^p to
+ * event times observed over [start, end] days. A coarse grid over log c and p is refined
+ * by shrinking the grid around the best point.
+ */
+export function fitOmori(times, { start = 0, end = null, minEvents = 10 } = {}) {
+  const ts = times.filter(t => t >= start).sort((a, b) => a - b)
+  if (ts.length < minEvents) return null
+  const T = end ?? ts[ts.length - 1]
+  if (!(T > start)) return null
+
+  let best = { ll: -Infinity }
+  let logC = { from: -4, to: 1 }
+  let pRange = { from: 0.3, to: 2.5 }
+  const steps = 24
+  for (let round = 0; round < 5; round++) {
+    for (let i = 0; i <= steps; i++) {
+      const c = Math.pow(10, logC.from + ((logC.to - logC.from) * i) / steps)
+      for (let j = 0; j <= steps; j++) {
+        const p = pRange.from + ((pRange.to - pRange.from) * j) / steps
+        const { ll, K } = profileLogLikelihood(ts, c, p, start, T)
+        if (ll > best.ll) best = { ll, K, c, p }
+      }
+    }
+    const dc = (logC.to - logC.from) / steps
+    const dp = (pRange.to - pRange.from) / steps
+    const lc = Math.log10(best.c)
+    logC = { from: lc - 2 * dc, to: lc + 2 * dc }
+    pRange = { from: Math.max(0.05, best.p - 2 * dp), to: best.p + 2 * dp }
+  }
+  return { K: best.K, c: best.c, p: best.p, n: ts.length, start, end: T, logLikelihood: best.ll }
+}
+
+export function omoriRate(t, fit) {
+  return fit.K / Math.pow(t + fit.c, fit.p)
+}
+
+/**
+ * Observed rate (events/day) in log-spaced time bins, for plotting against the fit
+ */
+export function observedRates(times, { start = 0.001, end = null, binsPerDecade = 5 } = {}) {
+  if (!times.length) return []
+  const T = end ?? Math.max(...times)
+  const lo = Math.log10(Math.max(start, 1e-4))
+  const hi = Math.log10(Math.max(T, start * 10))
+  const n = Math.max(1, Math.ceil((hi - lo) * binsPerDecade))
+  const bins = []
+  for (let i = 0; i < n; i++) {
+    const from = Math.pow(10, lo + ((hi - lo) * i) / n)
+    const to = Math.pow(10, lo + ((hi - lo) * (i + 1)) / n)
+    const count = times.filter(t => t >= from && (i === n - 1 ? t <= to : t < to)).length
+    bins.push({ t: Math.sqrt(from * to), from, to, count, rate: count / (to - from) })
+  }
+  return bins
+}
+
+/**
+ * Largest aftershock and its difference from the mainshock, compared to Båth's 1.2
+ */
+export function bathComparison(mainshock, aftershocks) {
+  if (!mainshock || !aftershocks.length) return null
+  const largest = aftershocks.reduce((best, eq) => ((eq.magnitude ?? -Infinity) > (best.magnitude ?? -Infinity) ? eq : best), aftershocks[0])
+  const delta = (mainshock.magnitude || 0) - (largest.magnitude || 0)
+  return { largest, delta, expected: BATH_DELTA, departure: delta - BATH_DELTA }
+}
+
+/**
+ * Full sequence analysis for a mainshock against a candidate event list
+ */
+export function analyzeSequence(mainshock, events, windowOptions, { now = Date.now() } = {}) {
+  const window = sequenceWindow(mainshock, windowOptions)
+  const aftershocks = selectAftershocks(mainshock, events, window)
+  const times = aftershocks.map(eq => daysSince(mainshock, eq))
+  // the sequence can only be observed up to now, even if the window runs further
+  const end = Math.min(window.days, (now - mainshock.time) / DAY_MS)
+  const fit = fitOmori(times, { start: 0, end })
+  return {
+    window,
+    aftershocks,
+    times,
+    fit,
+    rates: observedRates(times, { end }),
+    bath: bathComparison(mainshock, aftershocks)
+  }
+}
+
+export default { gardnerKnopoffWindow, sequenceWindow, selectAftershocks, fitOmori, omoriRate, observedRates, bathComparison, analyzeSequence, WINDOW_MODES, BATH_DELTA }
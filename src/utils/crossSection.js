@@ -0,0 +1,60 @@
+// Depth cross-sections: events within a swath either side of a great-circle profile a→b,
+// projected onto distance along the profile.
+
+import { haversineKm, destinationPoint, initialBearing, profilePosition } from './geo'
+
+export const DEFAULT_SWATH_KM = 100
+
+/**
+ * Profile from two { lat, lon } points; widthKm is the full swath width (half on each side)
+ */
+export function createProfile(start, end, widthKm = DEFAULT_SWATH_KM) {
+  return { start: { lat: start.lat, lon: start.lon }, end: { lat: end.lat, lon: end.lon }, widthKm }
+}
+
+export function profileLengthKm(profile) {
+  return haversineKm(profile.start, profile.end)
+}
+
+/**
+ * Events inside the swath with { eq, distanceKm, offsetKm, depth }, ordered along the profile.
+ * Events without a depth cannot be placed and are left out.
+ */
+export function crossSection(events, profile) {
+  if (!profile) return []
+  const lengthKm = profileLengthKm(profile)
+  const half = profile.widthKm / 2
+  const points = []
+  for (const eq of events) {
+    if (!eq.coords || typeof eq.depth !== 'number') continue
+    const { alongKm, offsetKm } = profilePosition(eq.coords, profile.start, profile.end)
+    if (alongKm < 0 || alongKm > lengthKm || Math.abs(offsetKm) > half) continue
+    points.push({ eq, distanceKm: alongKm, offsetKm, depth: eq.depth })
+  }
+  return points.sort((a, b) => a.distanceKm - b.distanceKm)
+}
+
+/**
+ * Closed [lon, lat] ring outlining the swath, following the great circle in `segments` steps
+ */
+export function swathRing(profile, segments = 16) {
+  const lengthKm = profileLengthKm(profile)
+  const bearing = initialBearing(profile.start, profile.end)
+  const half = profile.widthKm / 2
+  const left = []
+  const right = []
+  for (let i = 0; i <= segments; i++) {
+    const center = destinationPoint(profile.start, bearing, (lengthKm * i) / segments)
+    // the local heading drifts along a great circle; take it towards the end (or from the start at the end)
+    const heading = i < segments ? initialBearing(center, profile.end) : (initialBearing(profile.end, profile.start) + 180) % 360
+    const l = destinationPoint(center, heading - 90, half)
+    const r = destinationPoint(center, heading + 90, half)
+    left.push([l.lon, l.lat])
+    right.push([r.lon, r.lat])
+  }
+  const ring = [...left, ...right.reverse()]
+  ring.push(ring[0])
+  return ring
+}
+
+export default { createProfile, profileLengthKm, crossSection, swathRing, DEFAULT_SWATH_KM }
@@ -0,0 +1,33 @@
+// Compare two snapshots of normalized events by id.
+// An event counts as updated when its USGS `updated` timestamp moved forward.
+export function diffEvents(previous = [], next = []) {
+  const before = new Map()
+  previous.forEach(eq => { if (eq && eq.id) before.set(eq.id, eq) })
+
+  const added = []
+  const updated = []
+  const seen = new Set()
+  next.forEach(eq => {
+    if (!eq || !eq.id) return
+    seen.add(eq.id)
+    const old = before.get(eq.id)
+    if (!old) {
+      added.push(eq)
+    } else if ((eq.updated || 0) > (old.updated || 0)) {
+      updated.push(eq)
+    }
+  })
+
+  const removed = []
+  before.forEach((eq, id) => {
+    if (!seen.has(id)) removed.push(eq)
+  })
+
+  return { added, updated, removed }
+}
+
+export function isEmptyDiff(diff) {
+  return !diff || (diff.added.length === 0 && diff.updated.length === 0 && diff.removed.length === 0)
+}
+
+export default { diffEvents, isEmptyDiff }
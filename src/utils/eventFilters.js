@@ -0,0 +1,101 @@
+// Client-side attribute filters applied on top of the feed (range + min magnitude are applied by the API helper)
+
+export const DEFAULT_FILTERS = {
+  maxMagnitude: null,
+  minDepth: null,
+  maxDepth: null,
+  types: [], // event types to keep, empty = all
+  networks: [], // contributing networks to keep, empty = all
+  alerts: [], // PAGER alert levels to keep, empty = all
+  reviewedOnly: false,
+  tsunamiOnly: false
+}
+
+export const MAX_DEPTH_KM = 700
+
+export const DEPTH_PRESETS = [
+  { id: 'shallow', label: 'Shallow', min: 0, max: 70 },
+  { id: 'intermediate', label: 'Intermediate', min: 70, max: 300 },
+  { id: 'deep', label: 'Deep', min: 300, max: MAX_DEPTH_KM }
+]
+
+export const ALERT_LEVELS = ['green', 'yellow', 'orange', 'red']
+
+// One predicate per filter so we can report how many events each of them removes on its own
+const PREDICATES = {
+  maxMagnitude: (eq, f) => f.maxMagnitude === null || f.maxMagnitude === undefined || (eq.magnitude || 0) <= f.maxMagnitude,
+  depth: (eq, f) => {
+    const d = eq.depth || 0
+    if (f.minDepth !== null && f.minDepth !== undefined && d < f.minDepth) return false
+    if (f.maxDepth !== null && f.maxDepth !== undefined && d > f.maxDepth) return false
+    return true
+  },
+  types: (eq, f) => !f.types || f.types.length === 0 || f.types.includes(eq.type),
+  networks: (eq, f) => !f.networks || f.networks.length === 0 || f.networks.includes(eq.net),
+  alerts: (eq, f) => !f.alerts || f.alerts.length === 0 || f.alerts.includes(eq.alert),
+  reviewedOnly: (eq, f) => !f.reviewedOnly || eq.status === 'reviewed',
+  tsunamiOnly: (eq, f) => !f.tsunamiOnly || !!eq.tsunami
+}
+
+export const FILTER_NAMES = Object.keys(PREDICATES)
+
+export function matchesFilters(eq, filters) {
+  if (!filters) return true
+  for (const name of FILTER_NAMES) {
+    if (!PREDICATES[name](eq, filters)) return false
+  }
+  return true
+}
+
+export function applyFilters(events, filters) {
+  if (!events || !filters || !hasActiveFilters(filters)) return events || []
+  return events.filter(eq => matchesFilters(eq, filters))
+}
+
+export function hasActiveFilters(filters) {
+  return countActiveFilters(filters) > 0
+}
+
+export function countActiveFilters(filters) {
+  if (!filters) return 0
+  let n = 0
+  if (filters.maxMagnitude !== null && filters.maxMagnitude !== undefined) n++
+  if ((filters.minDepth !== null && filters.minDepth !== undefined) || (filters.maxDepth !== null && filters.maxDepth !== undefined)) n++
+  if (filters.types && filters.types.length) n++
+  if (filters.networks && filters.networks.length) n++
+  if (filters.alerts && filters.alerts.length) n++
+  if (filters.reviewedOnly) n++
+  if (filters.tsunamiOnly) n++
+  return n
+}
+
+/**
+ * For each filter, count the events it rejects when considered on its own
+ */
+export function countRemovedByFilter(events, filters) {
+  const removed = {}
+  FILTER_NAMES.forEach(name => { removed[name] = 0 })
+  if (!events || !filters) return removed
+  events.forEach(eq => {
+    FILTER_NAMES.forEach(name => {
+      if (!PREDICATES[name](eq, filters)) removed[name] += 1
+    })
+  })
+  return removed
+}
+
+/**
+ * Distinct event types and networks present in the data, most frequent first
+ */
+export function collectFilterOptions(events) {
+  const types = new Map()
+  const networks = new Map()
+  ;(events || []).forEach(eq => {
+    if (eq.type) types.set(eq.type, (types.get(eq.type) || 0) + 1)
+    if (eq.net) networks.set(eq.net, (networks.get(eq.net) || 0) + 1)
+  })
+  const sorted = m => Array.from(m.entries()).sort((a, b) => b[1] - a[1]).map(([value, count]) => ({ value, count }))
+  return { types: sorted(types), networks: sorted(networks) }
+}
+
+export default { DEFAULT_FILTERS, applyFilters, matchesFilters, countRemovedByFilter, collectFilterOptions, countActiveFilters }
@@ -0,0 +1,244 @@
+// Serialize normalized events to GeoJSON, CSV, KML and QuakeML 1.2.
+// Every format carries the export metadata (generation time, query parameters, event count).
+
+import { countActiveFilters } from './eventFilters'
+
+export const EXPORT_FORMATS = [
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  { id: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  { id: 'kml', label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  { id: 'quakeml', label: 'QuakeML 1.2', extension: 'xml', mime: 'application/xml' }
+]
+
+const iso = ms => (ms === null || ms === undefined ? '' : new Date(ms).toISOString())
+
+export const CSV_COLUMNS = [
+  { key: 'id', label: 'id', get: eq => eq.id },
+  { key: 'time', label: 'time', get: eq => iso(eq.time) },
+  { key: 'latitude', label: 'latitude', get: eq => eq.coords && eq.coords.lat },
+  { key: 'longitude', label: 'longitude', get: eq => eq.coords && eq.coords.lon },
+  { key: 'depth', label: 'depth', get: eq => eq.depth },
+  { key: 'mag', label: 'mag', get: eq => eq.magnitude },
+  { key: 'magType', label: 'magType', get: eq => eq.magType },
+  { key: 'place', label: 'place', get: eq => eq.place },
+  { key: 'type', label: 'type', get: eq => eq.type },
+  { key: 'status', label: 'status', get: eq => eq.status },
+  { key: 'net', label: 'net', get: eq => eq.net },
+  { key: 'sig', label: 'sig', get: eq => eq.sig },
+  { key: 'alert', label: 'alert', get: eq => eq.alert },
+  { key: 'tsunami', label: 'tsunami', get: eq => (eq.tsunami ? 1 : 0) },
+  { key: 'felt', label: 'felt', get: eq => eq.felt },
+  { key: 'cdi', label: 'cdi', get: eq => eq.cdi },
+  { key: 'mmi', label: 'mmi', get: eq => eq.mmi },
+  { key: 'gap', label: 'gap', get: eq => eq.gap },
+  { key: 'rms', label: 'rms', get: eq => eq.rms },
+  { key: 'dmin', label: 'dmin', get: eq => eq.dmin },
+  { key: 'updated', label: 'updated', get: eq => iso(eq.updated) },
+  { key: 'url', label: 'url', get: eq => eq.url }
+]
+
+export const DEFAULT_CSV_COLUMNS = ['id', 'time', 'latitude', 'longitude', 'depth', 'mag', 'magType', 'place', 'type', 'status', 'net']
+
+/**
+ * Describe how the exported set was produced
+ */
+export function buildExportMetadata({ range, minMagnitude, filters, scope, count, source = 'USGS Earthquake Hazards Program' } = {}) {
+  const query = { range, minMagnitude }
+  if (filters && countActiveFilters(filters) > 0) query.filters = filters
+  return {
+    title: `Earthquakes (${range || 'custom'}, M${minMagnitude || 0}+)`,
+    generated: new Date().toISOString(),
+    generator: 'Earthquake Visualizer',
+    source,
+    scope: scope || 'all',
+    count,
+    query
+  }
+}
+
+function xmlEscape(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const s = String(value)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function describeMetadata(metadata) {
+  return [
+    `title: ${metadata.title}`,
+    `generated: ${metadata.generated}`,
+    `source: ${metadata.source}`,
+    `scope: ${metadata.scope}`,
+    `count: ${metadata.count}`,
+    `query: ${JSON.stringify(metadata.query)}`
+  ]
+}
+
+export function toGeoJSON(events, metadata = {}) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    metadata,
+    features: events.map(eq => {
+      const { coords, depth, ...properties } = eq
+      return {
+        type: 'Feature',
+        id: eq.id,
+        properties,
+        geometry: { type: 'Point', coordinates: [coords.lon, coords.lat, depth] }
+      }
+    })
+  }, null, 2)
+}
+
+// Metadata goes in leading "#" comment lines, which QGIS and pandas (comment='#') skip
+export function toCSV(events, columnKeys = DEFAULT_CSV_COLUMNS, metadata = null) {
+  const columns = CSV_COLUMNS.filter(c => columnKeys.includes(c.key))
+  const lines = []
+  if (metadata) describeMetadata(metadata).forEach(line => lines.push(`# ${line}`))
+  lines.push(columns.map(c => csvCell(c.label)).join(','))
+  events.forEach(eq => lines.push(columns.map(c => csvCell(c.get(eq))).join(',')))
+  return lines.join('\n') + '\n'
+}
+
+// KML colors are aabbggrr
+const KML_STYLES = [
+  { id: 'mag6', min: 6, color: 'ff1c1cb9', scale: 1.6 },
+  { id: 'mag5', min: 5, color: 'ff1673f9', scale: 1.3 },
+  { id: 'mag4', min: 4, color: 'ff0b9ef5', scale: 1.1 },
+  { id: 'mag2', min: 2, color: 'ff16cc84', scale: 0.9 },
+  { id: 'mag0', min: -Infinity, color: 'ff81b910', scale: 0.7 }
+]
+
+function kmlStyleFor(m) {
+  return KML_STYLES.find(s => (m || 0) >= s.min)
+}
+
+export function toKML(events, metadata = {}) {
+  const styles = KML_STYLES.map(s => `    <Style id="${s.id}">
+      <IconStyle><color>${s.color}</color><scale>${s.scale}</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png</href></Icon></IconStyle>
+      <LabelStyle><scale>0</scale></LabelStyle>
+    </Style>`).join('\n')
+
+  const placemarks = events.map(eq => {
+    const data = CSV_COLUMNS
+      .filter(c => !['latitude', 'longitude'].includes(c.key))
+      .map(c => {
+        const v = c.get(eq)
+        return v === null || v === undefined || v === '' ? '' : `        <Data name="${c.key}"><value>${xmlEscape(v)}</value></Data>`
+      })
+      .filter(Boolean)
+      .join('\n')
+    return `    <Placemark id="${xmlEscape(eq.id)}">
+      <name>M${eq.magnitude != null ? Number(eq.magnitude).toFixed(1) : '?'} ${xmlEscape(eq.place)}</name>
+      <TimeStamp><when>${iso(eq.time)}</when></TimeStamp>
+      <styleUrl>#${kmlStyleFor(eq.magnitude).id}</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${eq.coords.lon},${eq.coords.lat},0</coordinates></Point>
+    </Placemark>`
+  }).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(metadata.title)}</name>
+    <description>${xmlEscape(metadata.title ? describeMetadata(metadata).join('\n') : '')}</description>
+${styles}
+${placemarks}
+  </Document>
+</kml>
+`
+}
+
+// QuakeML 1.2 EventType enumeration values that USGS `type` strings map onto directly
+const QUAKEML_EVENT_TYPES = [
+  'earthquake', 'explosion', 'quarry blast', 'chemical explosion', 'nuclear explosion', 'mining explosion',
+  'ice quake', 'landslide', 'rock burst', 'sonic boom', 'induced or triggered event', 'volcanic eruption',
+  'collapse', 'mine collapse', 'other event', 'not reported', 'snow avalanche', 'acoustic noise', 'meteorite'
+]
+
+function quakemlEventType(type) {
+  if (!type) return 'not reported'
+  return QUAKEML_EVENT_TYPES.includes(type) ? type : 'other event'
+}
+
+const optionalValue = (tag, value) => (value === null || value === undefined ? '' : `<${tag}><value>${xmlEscape(value)}</value></${tag}>`)
+
+export function toQuakeML(events, metadata = {}) {
+  const rid = id => `smi:local/earthquake-visualizer/${encodeURIComponent(id)}`
+  const body = events.map(eq => {
+    const originId = `${rid(eq.id)}/origin`
+    const magId = `${rid(eq.id)}/magnitude`
+    const mode = eq.status === 'reviewed' ? 'manual' : 'automatic'
+    const status = eq.status === 'reviewed' ? 'reviewed' : 'preliminary'
+    // mag/value must be a real number, so an event without a magnitude gets no magnitude element
+    const hasMagnitude = eq.magnitude !== null && eq.magnitude !== undefined
+    const magnitude = hasMagnitude ? `
+      <magnitude publicID="${xmlEscape(magId)}">
+        <mag><value>${eq.magnitude}</value></mag>
+        ${eq.magType ? `<type>${xmlEscape(eq.magType)}</type>` : ''}
+        <originID>${xmlEscape(originId)}</originID>
+        <evaluationMode>${mode}</evaluationMode>
+      </magnitude>` : ''
+    return `    <event publicID="${xmlEscape(rid(eq.id))}">
+      <preferredOriginID>${xmlEscape(originId)}</preferredOriginID>
+      ${hasMagnitude ? `<preferredMagnitudeID>${xmlEscape(magId)}</preferredMagnitudeID>` : ''}
+      <type>${quakemlEventType(eq.type)}</type>
+      <description><text>${xmlEscape(eq.place)}</text><type>region name</type></description>
+      <origin publicID="${xmlEscape(originId)}">
+        <time><value>${iso(eq.time)}</value></time>
+        <latitude><value>${eq.coords.lat}</value></latitude>
+        <longitude><value>${eq.coords.lon}</value></longitude>
+        ${optionalValue('depth', eq.depth === null || eq.depth === undefined ? null : Math.round(eq.depth * 1000))}
+        <quality>${eq.gap !== null && eq.gap !== undefined ? `<azimuthalGap>${eq.gap}</azimuthalGap>` : ''}${eq.rms !== null && eq.rms !== undefined ? `<standardError>${eq.rms}</standardError>` : ''}${eq.dmin !== null && eq.dmin !== undefined ? `<minimumDistance>${eq.dmin}</minimumDistance>` : ''}</quality>
+        <evaluationMode>${mode}</evaluationMode>
+        <evaluationStatus>${status}</evaluationStatus>
+        <creationInfo>${eq.net ? `<agencyID>${xmlEscape(eq.net.toUpperCase())}</agencyID>` : ''}${eq.updated ? `<creationTime>${iso(eq.updated)}</creationTime>` : ''}</creationInfo>
+      </origin>${magnitude}
+    </event>`
+  }).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<q:quakeml xmlns="http://quakeml.org/xmlns/bed/1.2" xmlns:q="http://quakeml.org/xmlns/quakeml/1.2">
+  <eventParameters publicID="smi:local/earthquake-visualizer/export/${xmlEscape(metadata.generated || iso(Date.now()))}">
+    <comment><text>${xmlEscape(describeMetadata(metadata).join('\n'))}</text></comment>
+    <creationInfo><author>${xmlEscape(metadata.generator || 'Earthquake Visualizer')}</author><creationTime>${xmlEscape(metadata.generated || iso(Date.now()))}</creationTime></creationInfo>
+${body}
+  </eventParameters>
+</q:quakeml>
+`
+}
+
+export function exportEvents(format, events, { metadata, columns } = {}) {
+  switch (format) {
+    case 'geojson': return toGeoJSON(events, metadata)
+    case 'csv': return toCSV(events, columns, metadata)
+    case 'kml': return toKML(events, metadata)
+    case 'quakeml': return toQuakeML(events, metadata)
+    default: throw new Error(`Unknown export format: ${format}`)
+  }
+}
+
+export function downloadFile(content, filename, mime = 'text/plain') {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  // give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export default { exportEvents, downloadFile, buildExportMetadata, EXPORT_FORMATS, CSV_COLUMNS }
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { toQuakeML } from './exporters'
+
+const event = (id, magnitude) => ({
+  id,
+  magnitude,
+  magType: 'ml',
+  place: 'Test <place>',
+  time: Date.UTC(2024, 0, 1),
+  depth: 8.5,
+  coords: { lat: 35, lon: -117 },
+  status: 'reviewed',
+  type: 'earthquake'
+})
+
+const metadata = { generated: '2024-01-02T00:00:00.000Z' }
+
+describe('toQuakeML', () => {
+  it('writes the magnitude of each event', () => {
+    const xml = toQuakeML([event('a', 4.2)], metadata)
+    expect(xml).toContain('<mag><value>4.2</value></mag>')
+    expect(xml).toContain('<preferredMagnitudeID>smi:local/earthquake-visualizer/a/magnitude</preferredMagnitudeID>')
+    expect(xml).toContain('<depth><value>8500</value></depth>')
+    expect(xml).toContain('Test &lt;place&gt;')
+  })
+
+  it('omits the magnitude of events that have none', () => {
+    const xml = toQuakeML([event('a', 4.2), event('b', null)], metadata)
+    const [, second] = xml.split('</event>')
+    expect(second).toContain('<origin publicID="smi:local/earthquake-visualizer/b/origin">')
+    expect(second).not.toContain('<magnitude')
+    expect(second).not.toContain('preferredMagnitudeID')
+    expect(xml.match(/<magnitude /g)).toHaveLength(1)
+  })
+})
@@ -4,4 +4,14 @@ export function formatTimestamp(ms) {
   return d.toLocaleString()
 }
 
-export default { formatTimestamp }
+// Compact duration: "45 s", "12 min", "3 h", "2 d"
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || !isFinite(ms)) return '—'
+  const s = Math.max(0, Math.round(ms / 1000))
+  if (s < 60) return `${s} s`
+  if (s < 3600) return `${Math.round(s / 60)} min`
+  if (s < 86400) return `${Math.round(s / 3600)} h`
+  return `${Math.round(s / 86400)} d`
+}
+
+export default { formatTimestamp, formatDuration }
@@ -0,0 +1,137 @@
+// Small spherical-earth geometry helpers (distances in km)
+
+export const EARTH_RADIUS_KM = 6371
+
+const toRad = deg => (deg * Math.PI) / 180
+
+/**
+ * Great-circle distance between two { lat, lon } points
+ */
+export function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat)
+  const dLon = toRad(b.lon - a.lon)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Point `distanceKm` away from `origin` along `bearingDeg` (clockwise from north)
+ */
+export function destinationPoint(origin, bearingDeg, distanceKm) {
+  const d = distanceKm / EARTH_RADIUS_KM
+  const brng = toRad(bearingDeg)
+  const lat1 = toRad(origin.lat)
+  const lon1 = toRad(origin.lon)
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng))
+  const lon2 = lon1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2))
+  return { lat: (lat2 * 180) / Math.PI, lon: (lon2 * 180) / Math.PI }
+}
+
+/**
+ * Closed [lon, lat] ring approximating a great-circle radius around `center`
+ */
+export function circleRing(center, radiusKm, segments = 64) {
+  const ring = []
+  for (let i = 0; i < segments; i++) {
+    const p = destinationPoint(center, (360 * i) / segments, radiusKm)
+    ring.push([p.lon, p.lat])
+  }
+  ring.push(ring[0])
+  return ring
+}
+
+/**
+ * Initial great-circle bearing from a to b, degrees clockwise from north
+ */
+export function initialBearing(a, b) {
+  const lat1 = toRad(a.lat)
+  const lat2 = toRad(b.lat)
+  const dLon = toRad(b.lon - a.lon)
+  const y = Math.sin(dLon) * Math.cos(lat2)
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon)
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360
+}
+
+/**
+ * Distance from `point` to the great-circle segment a→b, clamped to the endpoints
+ */
+export function distanceToSegmentKm(point, a, b) {
+  const d13 = haversineKm(a, point) / EARTH_RADIUS_KM
+  const d12 = haversineKm(a, b) / EARTH_RADIUS_KM
+  if (d12 === 0) return d13 * EARTH_RADIUS_KM
+  const delta = toRad(initialBearing(a, point) - initialBearing(a, b))
+  // behind the start of the segment
+  if (Math.cos(delta) < 0) return d13 * EARTH_RADIUS_KM
+  const dxt = Math.asin(Math.sin(d13) * Math.sin(delta))
+  const dat = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(dxt)))
+  if (dat > d12) return haversineKm(b, point)
+  return Math.abs(dxt) * EARTH_RADIUS_KM
+}
+
+/**
+ * Position of `point` relative to the great circle a→b: distance along it from `a` (negative
+ * behind `a`) and signed cross-track offset (positive to the right of the direction of travel)
+ */
+export function profilePosition(point, a, b) {
+  const d13 = haversineKm(a, point) / EARTH_RADIUS_KM
+  const delta = toRad(initialBearing(a, point) - initialBearing(a, b))
+  const dxt = Math.asin(Math.sin(d13) * Math.sin(delta))
+  const dat = Math.acos(Math.max(-1, Math.min(1, Math.cos(d13) / Math.cos(dxt))))
+  return {
+    alongKm: (Math.cos(delta) < 0 ? -dat : dat) * EARTH_RADIUS_KM,
+    offsetKm: dxt * EARTH_RADIUS_KM
+  }
+}
+
+/**
+ * Distance from `point` to a [lon, lat] polyline
+ */
+export function distanceToLineKm(point, coordinates) {
+  let best = Infinity
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = { lon: coordinates[i - 1][0], lat: coordinates[i - 1][1] }
+    const b = { lon: coordinates[i][0], lat: coordinates[i][1] }
+    best = Math.min(best, distanceToSegmentKm(point, a, b))
+  }
+  return best
+}
+
+/**
+ * Nearest LineString/MultiLineString feature of a FeatureCollection: { feature, distanceKm }
+ */
+export function nearestLineFeature(point, collection) {
+  let nearest = { feature: null, distanceKm: Infinity }
+  for (const feature of (collection && collection.features) || []) {
+    const geom = feature.geometry
+    if (!geom) continue
+    const lines = geom.type === 'LineString' ? [geom.coordinates] : geom.type === 'MultiLineString' ? geom.coordinates : []
+    for (const line of lines) {
+      const d = distanceToLineKm(point, line)
+      if (d < nearest.distanceKm) nearest = { feature, distanceKm: d }
+    }
+  }
+  return nearest
+}
+
+// Even-odd ray casting on a [lon, lat] ring
+function inRing(lon, lat, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+/**
+ * Point-in-polygon for a { lat, lon } point and a [lon, lat] ring. Rings drawn across the
+ * antimeridian keep continuous longitudes (e.g. 170 … 190), so the point is also tried
+ * one world copy either side.
+ */
+export function pointInPolygon(point, ring) {
+  if (!point || !ring || ring.length < 3) return false
+  return [0, 360, -360].some(shift => inRing(point.lon + shift, point.lat, ring))
+}
+
+export default { haversineKm, destinationPoint, circleRing, pointInPolygon, initialBearing, distanceToSegmentKm, profilePosition, distanceToLineKm, nearestLineFeature, EARTH_RADIUS_KM }
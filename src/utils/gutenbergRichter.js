@@ -0,0 +1,148 @@
+// Frequency–magnitude distribution (FMD) analysis: magnitude of completeness (Mc),
+// maximum-likelihood b-value and the fitted Gutenberg–Richter relation log10 N(≥M) = a − bM.
+// Everything here is pure and works on plain magnitude arrays.
+
+export const DEFAULT_BIN_WIDTH = 0.1
+export const MC_METHODS = {
+  maxc: 'Maximum curvature',
+  gof: 'Goodness of fit'
+}
+
+// Smallest sample that gives a usable b-value
+export const MIN_EVENTS = 25
+
+function roundTo(value, step) {
+  // round half away from zero at the bin centre, then trim float noise
+  return Number((Math.round(value / step + 1e-9) * step).toFixed(6))
+}
+
+export function magnitudesOf(events) {
+  return events.map(eq => eq.magnitude).filter(m => typeof m === 'number' && isFinite(m))
+}
+
+/**
+ * Bin magnitudes at `binWidth`. Returns contiguous bins from the smallest to the largest
+ * magnitude, each with the non-cumulative count and the cumulative count N(≥M).
+ */
+export function frequencyMagnitude(mags, binWidth = DEFAULT_BIN_WIDTH) {
+  if (!mags.length) return []
+  const counts = new Map()
+  let min = Infinity
+  let max = -Infinity
+  mags.forEach(m => {
+    const bin = roundTo(m, binWidth)
+    counts.set(bin, (counts.get(bin) || 0) + 1)
+    if (bin < min) min = bin
+    if (bin > max) max = bin
+  })
+  const bins = []
+  const steps = Math.round((max - min) / binWidth)
+  for (let i = 0; i <= steps; i++) {
+    const mag = roundTo(min + i * binWidth, binWidth)
+    bins.push({ mag, count: counts.get(mag) || 0, cumulative: 0 })
+  }
+  let total = 0
+  for (let i = bins.length - 1; i >= 0; i--) {
+    total += bins[i].count
+    bins[i].cumulative = total
+  }
+  return bins
+}
+
+/**
+ * Aki–Utsu maximum-likelihood b-value for events with M ≥ mc, with the Shi & Bolt (1982)
+ * standard error. Returns null when fewer than `minEvents` events are complete.
+ */
+export function bValueMLE(mags, mc, binWidth = DEFAULT_BIN_WIDTH, minEvents = MIN_EVENTS) {
+  const complete = mags.filter(m => m >= mc - binWidth / 2 - 1e-9)
+  const n = complete.length
+  if (n < Math.max(2, minEvents)) return null
+  const mean = complete.reduce((s, m) => s + m, 0) / n
+  const denom = mean - (mc - binWidth / 2)
+  if (denom <= 0) return null
+  const b = Math.LOG10E / denom
+  const variance = complete.reduce((s, m) => s + (m - mean) * (m - mean), 0) / (n * (n - 1))
+  const sigma = 2.3 * b * b * Math.sqrt(variance)
+  const a = Math.log10(n) + b * mc
+  return { b, sigma, a, n, mc }
+}
+
+/**
+ * Maximum curvature: Mc is the bin with the highest non-cumulative count
+ * (Wiemer & Wyss 2000). `correction` is added on top; +0.2 is the usual fix for the
+ * method's known underestimate.
+ */
+export function mcMaxCurvature(fmd, correction = 0) {
+  if (!fmd.length) return null
+  let best = fmd[0]
+  fmd.forEach(bin => { if (bin.count > best.count) best = bin })
+  return Number((best.mag + correction).toFixed(6))
+}
+
+/**
+ * Goodness-of-fit residual R (percent) between the observed cumulative FMD above `mc` and
+ * the G-R model fitted to it; 100 is a perfect fit.
+ */
+export function goodnessOfFit(fmd, fit) {
+  const above = fmd.filter(bin => bin.mag >= fit.mc - 1e-9)
+  const observed = above.reduce((s, bin) => s + bin.count, 0)
+  if (!observed) return 0
+  let misfit = 0
+  above.forEach((bin, i) => {
+    const next = above[i + 1]
+    const expected = Math.pow(10, fit.a - fit.b * bin.mag) - (next ? Math.pow(10, fit.a - fit.b * next.mag) : 0)
+    misfit += Math.abs(bin.count - expected)
+  })
+  return 100 - (100 * misfit) / observed
+}
+
+/**
+ * Goodness-of-fit Mc (Wiemer & Wyss 2000): the lowest trial Mc whose fit explains 95 % of
+ * the data, else 90 %; falls back to maximum curvature when neither level is reached.
+ */
+export function mcGoodnessOfFit(mags, binWidth = DEFAULT_BIN_WIDTH, { levels = [95, 90], minEvents = MIN_EVENTS } = {}) {
+  const fmd = frequencyMagnitude(mags, binWidth)
+  const trials = fmd
+    .map(bin => {
+      const fit = bValueMLE(mags, bin.mag, binWidth, minEvents)
+      return fit ? { mc: bin.mag, fit, residual: goodnessOfFit(fmd, fit) } : null
+    })
+    .filter(Boolean)
+  for (const level of levels) {
+    const hit = trials.find(t => t.residual >= level)
+    if (hit) return { mc: hit.mc, level, trials }
+  }
+  return { mc: mcMaxCurvature(fmd), level: null, trials }
+}
+
+/**
+ * Cumulative G-R curve N(≥M) = 10^(a − bM) over [from, to]
+ */
+export function grLine(fit, from, to, binWidth = DEFAULT_BIN_WIDTH) {
+  if (!fit) return []
+  const out = []
+  const steps = Math.round((to - from) / binWidth)
+  for (let i = 0; i <= steps; i++) {
+    const mag = roundTo(from + i * binWidth, binWidth)
+    out.push({ mag, expected: Math.pow(10, fit.a - fit.b * mag) })
+  }
+  return out
+}
+
+/**
+ * Full analysis of an event list: FMD, Mc by both methods, b-value at the chosen Mc and
+ * the fitted line sampled on the FMD bins
+ */
+export function analyzeCatalog(events, { binWidth = DEFAULT_BIN_WIDTH, method = 'maxc', maxcCorrection = 0.2 } = {}) {
+  const mags = magnitudesOf(events)
+  const fmd = frequencyMagnitude(mags, binWidth)
+  if (!fmd.length) return { count: 0, fmd, mc: null, mcMaxc: null, mcGof: null, fit: null, line: [] }
+  const mcMaxc = mcMaxCurvature(fmd, maxcCorrection)
+  const gof = mcGoodnessOfFit(mags, binWidth)
+  const mc = method === 'gof' ? gof.mc : mcMaxc
+  const fit = mc === null ? null : bValueMLE(mags, mc, binWidth)
+  const line = fit ? grLine(fit, mc, fmd[fmd.length - 1].mag, binWidth) : []
+  return { count: mags.length, fmd, mc, mcMaxc, mcGof: gof.mc, gofLevel: gof.level, fit, line }
+}
+
+export default { frequencyMagnitude, bValueMLE, mcMaxCurvature, mcGoodnessOfFit, goodnessOfFit, grLine, analyzeCatalog, magnitudesOf, MC_METHODS }
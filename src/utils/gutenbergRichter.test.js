@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest'
+import {
+  frequencyMagnitude,
+  bValueMLE,
+  mcMaxCurvature,
+  mcGoodnessOfFit,
+  analyzeCatalog
+} from './gutenbergRichter'
+
+// Deterministic PRNG (mulberry32) so the random catalogs are the same on every run
+function rng(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const round1 = m => Math.round(m * 10) / 10
+
+/**
+ * Catalog complete above `mc` with Gutenberg–Richter slope `b`, reported at 0.1 magnitude
+ * units like a real catalog, plus `incomplete` events below mc whose detection falls off
+ * towards smaller magnitudes.
+ */
+function syntheticCatalog({ b = 1, mc = 2, n = 5000, incomplete = 0, seed = 1 } = {}) {
+  const random = rng(seed)
+  const beta = b * Math.LN10
+  const mags = []
+  // continuous exponential above the lower edge of the mc bin, then rounded to the bin
+  for (let i = 0; i < n; i++) mags.push(round1(mc - 0.05 - Math.log(1 - random()) / beta))
+  for (let i = 0; i < incomplete; i++) mags.push(round1(mc - 0.1 - Math.sqrt(random()) * 1))
+  return mags
+}
+
+/**
+ * Exact binned G-R counts with N(≥mc) = total, and a detection ramp below mc
+ */
+function exactCatalog({ b = 1, mc = 2, total = 10000, max = 6 } = {}) {
+  const mags = []
+  const cumulative = m => total * Math.pow(10, -b * (m - mc))
+  for (let m = mc; m <= max + 1e-9; m = round1(m + 0.1)) {
+    const count = Math.round(cumulative(m) - cumulative(round1(m + 0.1)))
+    for (let i = 0; i < count; i++) mags.push(m)
+  }
+  // below mc: fewer events per bin the smaller the magnitude
+  const peak = Math.round(cumulative(mc) - cumulative(mc + 0.1))
+  ;[0.8, 0.6, 0.4, 0.2].forEach((share, k) => {
+    const m = round1(mc - 0.1 * (k + 1))
+    for (let i = 0; i < Math.round(peak * share); i++) mags.push(m)
+  })
+  return mags
+}
+
+describe('frequencyMagnitude', () => {
+  it('bins contiguously with cumulative counts', () => {
+    const fmd = frequencyMagnitude([1.0, 1.04, 1.2, 1.2, 1.5])
+    expect(fmd.map(bin => bin.mag)).toEqual([1, 1.1, 1.2, 1.3, 1.4, 1.5])
+    expect(fmd.map(bin => bin.count)).toEqual([2, 0, 2, 0, 0, 1])
+    expect(fmd.map(bin => bin.cumulative)).toEqual([5, 3, 3, 1, 1, 1])
+  })
+
+  it('returns no bins for no magnitudes', () => {
+    expect(frequencyMagnitude([])).toEqual([])
+  })
+})
+
+describe('bValueMLE', () => {
+  it('recovers b = 1 above Mc = 2 from exact G-R counts', () => {
+    const fit = bValueMLE(exactCatalog(), 2)
+    expect(fit.b).toBeCloseTo(1, 1)
+    expect(Math.abs(fit.b - 1)).toBeLessThan(0.03)
+    expect(fit.mc).toBe(2)
+    // a is log10 N(≥Mc) + b·Mc
+    expect(fit.a).toBeCloseTo(Math.log10(fit.n) + fit.b * 2, 9)
+  })
+
+  it('recovers b within its standard error from random catalogs', () => {
+    ;[[1, 11], [0.8, 12], [1.3, 13]].forEach(([b, seed]) => {
+      const fit = bValueMLE(syntheticCatalog({ b, n: 5000, seed }), 2)
+      expect(fit.n).toBe(5000)
+      expect(Math.abs(fit.b - b)).toBeLessThan(3 * fit.sigma)
+    })
+  })
+
+  it('gives the Shi & Bolt standard error', () => {
+    const mags = syntheticCatalog({ b: 1, n: 5000, seed: 3 })
+    const fit = bValueMLE(mags, 2)
+    const mean = mags.reduce((s, m) => s + m, 0) / mags.length
+    const variance = mags.reduce((s, m) => s + (m - mean) ** 2, 0) / (mags.length * (mags.length - 1))
+    expect(fit.sigma).toBeCloseTo(2.3 * fit.b * fit.b * Math.sqrt(variance), 12)
+    // for an exponential sample the error is close to 2.3·b²·σ(M)/√n ≈ b/√n
+    expect(fit.sigma).toBeGreaterThan(0.8 / Math.sqrt(5000))
+    expect(fit.sigma).toBeLessThan(1.2 / Math.sqrt(5000))
+  })
+
+  it('ignores events below Mc', () => {
+    const complete = syntheticCatalog({ b: 1, n: 3000, seed: 4 })
+    const withSmall = syntheticCatalog({ b: 1, n: 3000, incomplete: 2000, seed: 4 })
+    expect(bValueMLE(withSmall, 2).b).toBeCloseTo(bValueMLE(complete, 2).b, 9)
+  })
+
+  it('returns null for too few events', () => {
+    expect(bValueMLE([2, 2.1, 2.5], 2)).toBeNull()
+    expect(bValueMLE(syntheticCatalog({ n: 30 }), 2, 0.1, 50)).toBeNull()
+  })
+})
+
+describe('Mc estimates', () => {
+  it('maximum curvature picks the most populated bin', () => {
+    const fmd = frequencyMagnitude(exactCatalog())
+    expect(mcMaxCurvature(fmd)).toBe(2)
+    expect(mcMaxCurvature(fmd, 0.2)).toBe(2.2)
+    expect(mcMaxCurvature([])).toBeNull()
+  })
+
+  it('maximum curvature finds Mc of a random catalog with an incomplete tail', () => {
+    const mags = syntheticCatalog({ b: 1, n: 5000, incomplete: 1500, seed: 5 })
+    expect(Math.abs(mcMaxCurvature(frequencyMagnitude(mags)) - 2)).toBeLessThanOrEqual(0.1 + 1e-9)
+  })
+
+  it('goodness of fit reaches 95 % at Mc = 2 on exact counts', () => {
+    const gof = mcGoodnessOfFit(exactCatalog())
+    expect(gof.mc).toBe(2)
+    expect(gof.level).toBe(95)
+    // trial Mcs inside the incomplete range fit worse
+    const below = gof.trials.find(t => t.mc === 1.7)
+    expect(below.residual).toBeLessThan(95)
+  })
+
+  it('goodness of fit finds Mc of a random catalog within a bin', () => {
+    const gof = mcGoodnessOfFit(syntheticCatalog({ b: 1, n: 5000, incomplete: 1500, seed: 6 }))
+    expect(gof.level).not.toBeNull()
+    expect(Math.abs(gof.mc - 2)).toBeLessThanOrEqual(0.1 + 1e-9)
+  })
+})
+
+describe('analyzeCatalog', () => {
+  it('chains Mc, b-value and the fitted line', () => {
+    const events = exactCatalog().map((magnitude, i) => ({ id: String(i), magnitude }))
+    events.push({ id: 'x', magnitude: null })
+    const result = analyzeCatalog(events, { method: 'gof' })
+    expect(result.count).toBe(events.length - 1)
+    expect(result.mc).toBe(2)
+    expect(result.mcMaxc).toBe(2.2)
+    expect(Math.abs(result.fit.b - 1)).toBeLessThan(0.03)
+    expect(result.line[0].mag).toBe(2)
+    expect(result.line[0].expected).toBeCloseTo(Math.pow(10, result.fit.a - result.fit.b * 2), 9)
+  })
+
+  it('handles an empty catalog', () => {
+    expect(analyzeCatalog([])).toMatchObject({ count: 0, mc: null, fit: null })
+  })
+})
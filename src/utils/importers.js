@@ -0,0 +1,183 @@
+// Parse local earthquake catalogs (GeoJSON, CSV, QuakeML) into the same shape normalizeFeature produces
+
+import { normalizeFeature } from '../api/normalize'
+
+// Field list of a normalized event, used to fill the gaps formats don't provide
+const EMPTY_EVENT = {
+  id: null, magnitude: null, place: null, time: null, url: null, detail: null, depth: null, coords: { lat: 0, lon: 0 },
+  magType: null, sig: null, tsunami: false, alert: null, felt: null, cdi: null, mmi: null,
+  status: null, type: null, net: null, updated: null, gap: null, rms: null, dmin: null
+}
+
+function num(v) {
+  if (v === null || v === undefined || v === '') return null
+  const n = Number(v)
+  return isFinite(n) ? n : null
+}
+
+// Accepts ISO strings, epoch milliseconds and epoch seconds
+export function parseTime(v) {
+  if (v === null || v === undefined || v === '') return null
+  const n = Number(v)
+  if (isFinite(n)) return n < 1e11 ? n * 1000 : n
+  const t = Date.parse(v)
+  return isNaN(t) ? null : t
+}
+
+function makeEvent(fields) {
+  return { ...EMPTY_EVENT, ...fields, coords: { ...EMPTY_EVENT.coords, ...(fields.coords || {}) } }
+}
+
+function isValid(eq) {
+  return eq.coords && isFinite(eq.coords.lat) && isFinite(eq.coords.lon) && Math.abs(eq.coords.lat) <= 90
+}
+
+export function detectFormat(filename = '', text = '') {
+  const lower = filename.toLowerCase()
+  if (lower.endsWith('.geojson') || lower.endsWith('.json')) return 'geojson'
+  if (lower.endsWith('.csv') || lower.endsWith('.txt')) return 'csv'
+  if (lower.endsWith('.xml') || lower.endsWith('.quakeml') || lower.endsWith('.qml')) return 'quakeml'
+  const head = text.slice(0, 500).trim()
+  if (head.startsWith('{')) return 'geojson'
+  if (head.startsWith('<')) return 'quakeml'
+  return 'csv'
+}
+
+export function parseGeoJSON(text, { idPrefix = 'import' } = {}) {
+  const json = JSON.parse(text)
+  const features = json.type === 'FeatureCollection' ? json.features : json.type === 'Feature' ? [json] : null
+  if (!Array.isArray(features)) throw new Error('Not a GeoJSON Feature or FeatureCollection')
+  return features
+    .filter(f => f && f.geometry && f.geometry.type === 'Point')
+    .map((f, i) => {
+      const p = f.properties || {}
+      const eq = normalizeFeature(f)
+      // files written by our own exporter use the normalized names rather than the USGS ones
+      return makeEvent({
+        ...eq,
+        id: eq.id || p.id || `${idPrefix}-${i}`,
+        magnitude: eq.magnitude ?? num(p.magnitude),
+        time: parseTime(eq.time ?? p.time),
+        updated: parseTime(p.updated),
+        depth: num(eq.depth) ?? num(p.depth)
+      })
+    })
+    .filter(isValid)
+}
+
+/**
+ * Minimal RFC 4180 parser; lines starting with "#" before the header are treated as comments
+ */
+export function parseCSV(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++ } else if (ch === '"') inQuotes = false
+      else cell += ch
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === ',') {
+      row.push(cell); cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(cell); cell = ''
+      rows.push(row); row = []
+    } else {
+      cell += ch
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row) }
+
+  const content = rows.filter(r => !(r.length === 1 && r[0].trim() === ''))
+  while (content.length && content[0][0] && content[0][0].trim().startsWith('#')) content.shift()
+  const [headers = [], ...body] = content
+  return { headers: headers.map(h => h.trim()), rows: body }
+}
+
+export const CSV_FIELDS = [
+  { key: 'id', label: 'Event id', aliases: ['id', 'eventid', 'event_id', 'evid'] },
+  { key: 'time', label: 'Origin time', aliases: ['time', 'datetime', 'origin_time', 'origintime', 'date'], required: true },
+  { key: 'latitude', label: 'Latitude', aliases: ['latitude', 'lat'], required: true },
+  { key: 'longitude', label: 'Longitude', aliases: ['longitude', 'lon', 'lng', 'long'], required: true },
+  { key: 'depth', label: 'Depth (km)', aliases: ['depth', 'depth_km', 'dep'] },
+  { key: 'magnitude', label: 'Magnitude', aliases: ['mag', 'magnitude', 'mw', 'ml'] },
+  { key: 'magType', label: 'Magnitude type', aliases: ['magtype', 'mag_type'] },
+  { key: 'place', label: 'Place / label', aliases: ['place', 'location', 'region', 'name'] }
+]
+
+/**
+ * Guess which CSV column feeds each field: { time: 'origin_time', latitude: 'lat', ... }
+ */
+export function guessCsvMapping(headers = []) {
+  const lower = headers.map(h => h.toLowerCase())
+  const mapping = {}
+  CSV_FIELDS.forEach(f => {
+    const idx = lower.findIndex(h => f.aliases.includes(h))
+    mapping[f.key] = idx >= 0 ? headers[idx] : ''
+  })
+  return mapping
+}
+
+export function csvToEvents({ headers, rows }, mapping, { idPrefix = 'import' } = {}) {
+  const missing = CSV_FIELDS.filter(f => f.required && !mapping[f.key]).map(f => f.label)
+  if (missing.length) throw new Error(`Map a column for: ${missing.join(', ')}`)
+  const index = {}
+  Object.keys(mapping).forEach(k => { index[k] = mapping[k] ? headers.indexOf(mapping[k]) : -1 })
+  const get = (row, key) => (index[key] >= 0 ? row[index[key]] : undefined)
+
+  return rows.map((row, i) => makeEvent({
+    id: get(row, 'id') || `${idPrefix}-${i}`,
+    time: parseTime(get(row, 'time')),
+    coords: { lat: num(get(row, 'latitude')), lon: num(get(row, 'longitude')) },
+    depth: num(get(row, 'depth')),
+    magnitude: num(get(row, 'magnitude')),
+    magType: get(row, 'magType') || null,
+    place: get(row, 'place') || null
+  })).filter(eq => eq.coords.lat !== null && eq.coords.lon !== null && isValid(eq))
+}
+
+function childText(el, path) {
+  let node = el
+  for (const name of path) {
+    if (!node) return null
+    node = Array.from(node.children).find(c => c.localName === name)
+  }
+  return node ? node.textContent.trim() : null
+}
+
+export function parseQuakeML(text, { idPrefix = 'import' } = {}) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid QuakeML/XML document')
+  const events = Array.from(doc.getElementsByTagNameNS('*', 'event'))
+  return events.map((ev, i) => {
+    const children = Array.from(ev.children)
+    const origins = children.filter(c => c.localName === 'origin')
+    const magnitudes = children.filter(c => c.localName === 'magnitude')
+    const preferredOrigin = childText(ev, ['preferredOriginID'])
+    const preferredMag = childText(ev, ['preferredMagnitudeID'])
+    const origin = origins.find(o => o.getAttribute('publicID') === preferredOrigin) || origins[0]
+    const mag = magnitudes.find(m => m.getAttribute('publicID') === preferredMag) || magnitudes[0]
+    if (!origin) return null
+    const depthM = num(childText(origin, ['depth', 'value']))
+    const mode = childText(origin, ['evaluationMode'])
+    return makeEvent({
+      id: ev.getAttribute('publicID') || `${idPrefix}-${i}`,
+      time: parseTime(childText(origin, ['time', 'value'])),
+      coords: { lat: num(childText(origin, ['latitude', 'value'])), lon: num(childText(origin, ['longitude', 'value'])) },
+      depth: depthM === null ? null : depthM / 1000, // QuakeML depths are in meters
+      magnitude: mag ? num(childText(mag, ['mag', 'value'])) : null,
+      magType: mag ? childText(mag, ['type']) : null,
+      place: childText(ev, ['description', 'text']),
+      type: childText(ev, ['type']),
+      status: mode === 'manual' ? 'reviewed' : mode ? 'automatic' : null,
+      gap: num(childText(origin, ['quality', 'azimuthalGap'])),
+      rms: num(childText(origin, ['quality', 'standardError']))
+    })
+  }).filter(eq => eq && eq.coords.lat !== null && eq.coords.lon !== null && isValid(eq))
+}
+
+export default { detectFormat, parseGeoJSON, parseCSV, guessCsvMapping, csvToEvents, parseQuakeML, CSV_FIELDS }
@@ -0,0 +1,31 @@
+// Thin wrapper around the browser Notification API; every call is a no-op where it is unavailable
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported'
+  if (Notification.permission !== 'default') return Notification.permission
+  try {
+    return await Notification.requestPermission()
+  } catch (e) {
+    return 'denied'
+  }
+}
+
+export function notifyEvent(eq, { title } = {}) {
+  if (!notificationsSupported() || Notification.permission !== 'granted' || !eq) return null
+  try {
+    const mag = eq.magnitude != null ? `M${Number(eq.magnitude).toFixed(1)}` : 'Earthquake'
+    return new Notification(title || `${mag} earthquake`, {
+      body: `${eq.place || 'Unknown location'}\n${new Date(eq.time).toLocaleString()}`,
+      tag: eq.id // the browser collapses repeat notifications for the same event
+    })
+  } catch (e) {
+    // some platforms (e.g. Android Chrome) only allow notifications from a service worker
+    return null
+  }
+}
+
+export default { notificationsSupported, requestNotificationPermission, notifyEvent }
@@ -0,0 +1,71 @@
+// Time-lapse playback helpers: which events are on screen at the playhead and how faded they are
+
+const HOUR = 60 * 60 * 1000
+
+export const RANGE_MS = {
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': 30 * 24 * HOUR
+}
+
+// Step size for the step buttons, per feed range
+export const RANGE_STEP_MS = {
+  '24h': 15 * 60 * 1000,
+  '7d': HOUR,
+  '30d': 6 * HOUR
+}
+
+export const TRAILING_WINDOWS = [
+  { label: 'All so far', value: null },
+  { label: '1 hour', value: HOUR },
+  { label: '6 hours', value: 6 * HOUR },
+  { label: '24 hours', value: 24 * HOUR },
+  { label: '3 days', value: 72 * HOUR }
+]
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8]
+
+// At 1x the whole range plays in one minute
+export const BASE_PLAY_DURATION_MS = 60 * 1000
+
+export const DEFAULT_PLAYBACK = {
+  enabled: false,
+  playing: false,
+  time: null, // playhead (epoch ms)
+  start: null,
+  end: null,
+  speed: 1,
+  windowMs: 6 * HOUR
+}
+
+const MIN_OPACITY = 0.15
+
+export function playbackExtent(range, now = Date.now()) {
+  return { start: now - (RANGE_MS[range] || RANGE_MS['24h']), end: now }
+}
+
+export function isPlaybackActive(playback) {
+  return !!(playback && playback.enabled && playback.time !== null)
+}
+
+/**
+ * Events that have happened by the playhead (and, with a trailing window, not before it)
+ */
+export function applyPlayback(events, playback) {
+  if (!isPlaybackActive(playback)) return events
+  const { time, windowMs } = playback
+  const from = windowMs ? time - windowMs : -Infinity
+  return events.filter(eq => eq.time <= time && eq.time >= from)
+}
+
+/**
+ * 1 for an event happening at the playhead, fading to MIN_OPACITY at the far edge of the window
+ */
+export function playbackFade(eq, playback) {
+  if (!isPlaybackActive(playback)) return 1
+  const span = playback.windowMs || Math.max(1, playback.time - playback.start)
+  const age = Math.max(0, playback.time - (eq.time || 0))
+  return Math.max(MIN_OPACITY, 1 - (age / span) * (1 - MIN_OPACITY))
+}
+
+export default { applyPlayback, playbackFade, playbackExtent, isPlaybackActive, DEFAULT_PLAYBACK }
@@ -0,0 +1,120 @@
+// Magnitude → seismic moment / radiated energy conversions.
+// Catalog magnitudes come in several types; everything is first brought to an equivalent
+// moment magnitude (Mw) and then converted with the standard Hanks–Kanamori relations.
+
+// Scordilis (2006) global conversions to Mw
+function mbToMw(mb) {
+  return 0.85 * mb + 1.03
+}
+
+function msToMw(ms) {
+  return ms < 6.2 ? 0.67 * ms + 2.07 : 0.99 * ms + 0.08
+}
+
+/**
+ * Equivalent moment magnitude for a magnitude of the given type.
+ * Local/duration magnitudes (ml, md, mlg, …) are used as-is: they track Mw closely in the
+ * small-event range they are reported for.
+ */
+export function toMomentMagnitude(magnitude, magType = '') {
+  if (typeof magnitude !== 'number' || !isFinite(magnitude)) return null
+  const type = String(magType || '').toLowerCase()
+  if (type === 'mb' || type === 'mb_lg') return mbToMw(magnitude)
+  if (type === 'ms' || type === 'ms_20' || type === 'msz') return msToMw(magnitude)
+  return magnitude
+}
+
+/**
+ * Scalar seismic moment in N·m: log10 M0 = 1.5 Mw + 9.1
+ */
+export function seismicMoment(magnitude, magType) {
+  const mw = toMomentMagnitude(magnitude, magType)
+  return mw === null ? 0 : Math.pow(10, 1.5 * mw + 9.1)
+}
+
+/**
+ * Radiated energy in joules: log10 E = 1.5 Mw + 4.8
+ */
+export function radiatedEnergy(magnitude, magType) {
+  const mw = toMomentMagnitude(magnitude, magType)
+  return mw === null ? 0 : Math.pow(10, 1.5 * mw + 4.8)
+}
+
+export function eventMoment(eq) {
+  return eq ? seismicMoment(eq.magnitude, eq.magType) : 0
+}
+
+export function eventEnergy(eq) {
+  return eq ? radiatedEnergy(eq.magnitude, eq.magType) : 0
+}
+
+// Inverse of seismicMoment, handy for labelling totals ("equivalent to one M6.4")
+export function momentToMagnitude(moment) {
+  return moment > 0 ? (Math.log10(moment) - 9.1) / 1.5 : null
+}
+
+function formatPower(value, unit) {
+  if (!value) return `0 ${unit}`
+  const exp = Math.floor(Math.log10(value))
+  const mantissa = value / Math.pow(10, exp)
+  return `${mantissa.toFixed(2)}×10^${exp} ${unit}`
+}
+
+export function formatMoment(moment) {
+  return formatPower(moment, 'N·m')
+}
+
+export function formatEnergy(energy) {
+  return formatPower(energy, 'J')
+}
+
+/**
+ * Cumulative moment release bucketed by hour: one step per bucket with the ids behind it
+ */
+export function cumulativeMoment(events, bucketMs = 60 * 60 * 1000) {
+  const buckets = new Map()
+  events.forEach(eq => {
+    if (!eq || !eq.time) return
+    const ts = Math.floor(eq.time / bucketMs) * bucketMs
+    const entry = buckets.get(ts) || { ts, moment: 0, ids: [] }
+    entry.moment += eventMoment(eq)
+    if (eq.id) entry.ids.push(eq.id)
+    buckets.set(ts, entry)
+  })
+  let total = 0
+  return Array.from(buckets.values())
+    .sort((a, b) => a.ts - b.ts)
+    .map(step => {
+      total += step.moment
+      return { ...step, cumulative: total }
+    })
+}
+
+/**
+ * Sum radiated energy into lat/lon cells of `cellDeg` degrees
+ */
+export function energyGrid(events, cellDeg = 2) {
+  const cells = new Map()
+  events.forEach(eq => {
+    if (!eq || !eq.coords) return
+    const { lat, lon } = eq.coords
+    if (!isFinite(lat) || !isFinite(lon)) return
+    const row = Math.floor((Math.min(lat, 89.9999) + 90) / cellDeg)
+    const col = Math.floor((((lon + 180) % 360) + 360) % 360 / cellDeg)
+    const key = `${row}:${col}`
+    let cell = cells.get(key)
+    if (!cell) {
+      const south = row * cellDeg - 90
+      const west = col * cellDeg - 180
+      cell = { key, bounds: [[south, west], [Math.min(90, south + cellDeg), west + cellDeg]], energy: 0, count: 0, maxMagnitude: -Infinity, ids: [] }
+      cells.set(key, cell)
+    }
+    cell.energy += eventEnergy(eq)
+    cell.count += 1
+    cell.maxMagnitude = Math.max(cell.maxMagnitude, eq.magnitude || 0)
+    if (eq.id) cell.ids.push(eq.id)
+  })
+  return Array.from(cells.values())
+}
+
+export default { toMomentMagnitude, seismicMoment, radiatedEnergy, eventMoment, eventEnergy, momentToMagnitude, cumulativeMoment, energyGrid, formatMoment, formatEnergy }
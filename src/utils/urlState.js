@@ -0,0 +1,169 @@
+// Serialize the shareable app state (filters, viewport, selection, rendering options) to/from the query string.
+// Default values are omitted so a fresh page keeps a clean URL.
+
+import { DEFAULT_FILTERS, ALERT_LEVELS } from './eventFilters'
+import { HEAT_GRADIENTS, HEAT_WEIGHTINGS } from '../lib/heatLayer'
+import { BASEMAPS, OVERLAYS, DEFAULT_OVERLAY_STYLES } from '../lib/mapLayers'
+import { COLOR_ATTRIBUTES, COLOR_MODES, PALETTES, SIZE_ATTRIBUTES, DEFAULT_STYLE_OPTIONS } from '../lib/eventStyle'
+
+export const RANGES = ['24h', '7d', '30d']
+export const PERFORMANCE_MODES = ['performance', 'balanced', 'high']
+
+export const DEFAULT_RENDER_OPTIONS = {
+  showHeatmap: false,
+  heatRadius: 25,
+  heatBlur: 15,
+  heatScale: 1,
+  heatWeighting: 'count',
+  heatGradient: 'classic',
+  showEnergyGrid: false,
+  basemap: 'street',
+  overlays: [], // visible overlay ids
+  overlayStyles: DEFAULT_OVERLAY_STYLES, // per-overlay color/opacity/width; not written to the URL
+  plateDistance: false,
+  performanceMode: 'balanced',
+  // marker styling (see lib/eventStyle)
+  ...DEFAULT_STYLE_OPTIONS
+}
+
+export const DEFAULT_URL_STATE = {
+  range: '24h',
+  minMagnitude: 0,
+  filters: DEFAULT_FILTERS,
+  selectedId: null,
+  view: null, // { lat, lng, zoom } — null means the map's default view
+  render: DEFAULT_RENDER_OPTIONS
+}
+
+// Fields whose changes create a new history entry; everything else replaces the current one
+export const HISTORY_FIELDS = ['range', 'minMagnitude', 'filters']
+
+function num(value) {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return isFinite(n) ? n : null
+}
+
+function list(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : []
+}
+
+function round(n, digits) {
+  const f = Math.pow(10, digits)
+  return Math.round(n * f) / f
+}
+
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search || '')
+  const state = { ...DEFAULT_URL_STATE, filters: { ...DEFAULT_FILTERS }, render: { ...DEFAULT_RENDER_OPTIONS } }
+
+  const range = params.get('range')
+  if (RANGES.includes(range)) state.range = range
+  const min = num(params.get('min'))
+  if (min !== null && min >= 0) state.minMagnitude = min
+
+  state.filters.maxMagnitude = num(params.get('max'))
+  state.filters.minDepth = num(params.get('dmin'))
+  state.filters.maxDepth = num(params.get('dmax'))
+  state.filters.types = list(params.get('types'))
+  state.filters.networks = list(params.get('nets'))
+  state.filters.alerts = list(params.get('alerts')).filter(a => ALERT_LEVELS.includes(a))
+  state.filters.reviewedOnly = params.get('reviewed') === '1'
+  state.filters.tsunamiOnly = params.get('tsunami') === '1'
+
+  state.selectedId = params.get('event') || null
+
+  const lat = num(params.get('lat'))
+  const lng = num(params.get('lng'))
+  const zoom = num(params.get('z'))
+  if (lat !== null && lng !== null && zoom !== null) {
+    state.view = { lat: Math.max(-90, Math.min(90, lat)), lng, zoom: Math.max(0, Math.min(19, zoom)) }
+  }
+
+  state.render.showHeatmap = params.get('heat') === '1'
+  const hr = num(params.get('hr'))
+  if (hr !== null) state.render.heatRadius = hr
+  const hb = num(params.get('hb'))
+  if (hb !== null) state.render.heatBlur = hb
+  const hs = num(params.get('hs'))
+  if (hs !== null) state.render.heatScale = hs
+  const hw = params.get('hw')
+  if (HEAT_WEIGHTINGS[hw]) state.render.heatWeighting = hw
+  const hg = params.get('hg')
+  if (HEAT_GRADIENTS[hg]) state.render.heatGradient = hg
+  state.render.showEnergyGrid = params.get('energy') === '1'
+  const base = params.get('base')
+  if (BASEMAPS[base]) state.render.basemap = base
+  state.render.overlays = list(params.get('ovl')).filter(id => OVERLAYS[id])
+  state.render.plateDistance = params.get('pd') === '1'
+  const perf = params.get('perf')
+  if (PERFORMANCE_MODES.includes(perf)) state.render.performanceMode = perf
+  const colorBy = params.get('color')
+  if (COLOR_ATTRIBUTES[colorBy]) state.render.colorBy = colorBy
+  const colorMode = params.get('cmode')
+  if (COLOR_MODES[colorMode]) state.render.colorMode = colorMode
+  const palette = params.get('pal')
+  if (PALETTES[palette]) state.render.palette = palette
+  const sizeBy = params.get('size')
+  if (SIZE_ATTRIBUTES[sizeBy]) state.render.sizeBy = sizeBy
+
+  return state
+}
+
+export function serializeUrlState(state) {
+  const params = new URLSearchParams()
+  const { range, minMagnitude, filters = DEFAULT_FILTERS, selectedId, view, render = DEFAULT_RENDER_OPTIONS } = state || {}
+
+  if (range && range !== DEFAULT_URL_STATE.range) params.set('range', range)
+  if (minMagnitude) params.set('min', String(minMagnitude))
+
+  if (filters.maxMagnitude !== null && filters.maxMagnitude !== undefined) params.set('max', String(filters.maxMagnitude))
+  if (filters.minDepth !== null && filters.minDepth !== undefined) params.set('dmin', String(filters.minDepth))
+  if (filters.maxDepth !== null && filters.maxDepth !== undefined) params.set('dmax', String(filters.maxDepth))
+  if (filters.types && filters.types.length) params.set('types', filters.types.join(','))
+  if (filters.networks && filters.networks.length) params.set('nets', filters.networks.join(','))
+  if (filters.alerts && filters.alerts.length) params.set('alerts', filters.alerts.join(','))
+  if (filters.reviewedOnly) params.set('reviewed', '1')
+  if (filters.tsunamiOnly) params.set('tsunami', '1')
+
+  if (selectedId) params.set('event', selectedId)
+
+  if (view) {
+    params.set('lat', String(round(view.lat, 4)))
+    params.set('lng', String(round(view.lng, 4)))
+    params.set('z', String(round(view.zoom, 2)))
+  }
+
+  if (render.showHeatmap) params.set('heat', '1')
+  if (render.heatRadius !== DEFAULT_RENDER_OPTIONS.heatRadius) params.set('hr', String(render.heatRadius))
+  if (render.heatBlur !== DEFAULT_RENDER_OPTIONS.heatBlur) params.set('hb', String(render.heatBlur))
+  if (render.heatScale !== DEFAULT_RENDER_OPTIONS.heatScale) params.set('hs', String(render.heatScale))
+  if (render.heatWeighting && render.heatWeighting !== DEFAULT_RENDER_OPTIONS.heatWeighting) params.set('hw', render.heatWeighting)
+  if (render.heatGradient && render.heatGradient !== DEFAULT_RENDER_OPTIONS.heatGradient) params.set('hg', render.heatGradient)
+  if (render.showEnergyGrid) params.set('energy', '1')
+  if (render.basemap && render.basemap !== DEFAULT_RENDER_OPTIONS.basemap) params.set('base', render.basemap)
+  if (render.overlays && render.overlays.length) params.set('ovl', render.overlays.join(','))
+  if (render.plateDistance) params.set('pd', '1')
+  if (render.performanceMode !== DEFAULT_RENDER_OPTIONS.performanceMode) params.set('perf', render.performanceMode)
+  if (render.colorBy && render.colorBy !== DEFAULT_RENDER_OPTIONS.colorBy) params.set('color', render.colorBy)
+  if (render.colorMode && render.colorMode !== DEFAULT_RENDER_OPTIONS.colorMode) params.set('cmode', render.colorMode)
+  if (render.palette && render.palette !== DEFAULT_RENDER_OPTIONS.palette) params.set('pal', render.palette)
+  if (render.sizeBy && render.sizeBy !== DEFAULT_RENDER_OPTIONS.sizeBy) params.set('size', render.sizeBy)
+
+  const qs = params.toString()
+  return qs ? `?${qs}` : ''
+}
+
+/**
+ * True when the two states differ in a field that should get its own history entry
+ */
+export function differsInHistoryFields(a, b) {
+  const pick = s => {
+    const picked = {}
+    HISTORY_FIELDS.forEach(f => { picked[f] = s && s[f] })
+    return serializeUrlState({ ...picked, render: DEFAULT_RENDER_OPTIONS })
+  }
+  return pick(a) !== pick(b)
+}
+
+export default { parseUrlState, serializeUrlState, differsInHistoryFields }
@@ -0,0 +1,14 @@
+// Data worker: runs the data engine core off the main thread (see lib/dataEngine)
+import { createDataCore } from '../lib/dataCore'
+
+const core = createDataCore()
+
+self.onmessage = ({ data }) => {
+  const { id, op, args } = data
+  try {
+    const { result, transfer = [] } = core.handle(op, args)
+    self.postMessage({ id, result }, transfer)
+  } catch (err) {
+    self.postMessage({ id, error: (err && err.message) || String(err) })
+  }
+}
@@ -1,8 +1,28 @@
 import { defineConfig } from 'vite'
 
-// Minimal Vite config — no plugins required for basic JSX transform.
+// Writes the URLs of every built file (bundles, CSS, the data worker) to precache-manifest.json.
+// The service worker (public/sw.js) precaches them on install, so the app shell works offline
+// from the first visit, not only after the bundles were fetched under its control.
+function precacheManifest() {
+  let base = '/'
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle).filter(file => !file.endsWith('.map') && !file.endsWith('.html'))
+      this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files.map(file => base + file)) })
+    }
+  }
+}
+
+// Minimal Vite config — no plugins required for basic JSX transform; the one plugin lists the
+// build output for offline use.
 export default defineConfig({
   root: '.',
+  plugins: [precacheManifest()],
   server: {
     port: 5173
   }